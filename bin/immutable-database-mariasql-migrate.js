@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+'use strict'
+
+/* app modules */
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+
+/* constants */
+
+const USAGE = `usage: immutable-database-mariasql-migrate <up|down|status> [options]
+
+options:
+    --dir <directory>   directory with migration files - default migrations
+    --steps <number>    number of migrations to revert with down - default 1
+    --table <table>     name of tracking table - default schema_migrations
+    --to <version>      migrate up to or down to version
+
+connection params are read from DB_URL, DB_HOST, DB_NAME, DB_PASS, DB_PORT,
+DB_USER and DB_CHARSET. DB_URL with database or DB_NAME is required.`
+
+// get command and options from arguments
+var args = parseArgs(process.argv.slice(2))
+// get connection params from environment
+var connectionParams = Object.assign({
+    charset: 'utf8',
+}, ImmutableDatabaseMariaSQL.envConnectionParams())
+// require valid command and database
+if (['down', 'status', 'up'].indexOf(args.command) === -1 || !connectionParams.db) {
+    console.error(USAGE)
+    process.exit(1)
+}
+// create connection
+var db = new ImmutableDatabaseMariaSQL(connectionParams, {
+    reconnect: false,
+})
+// create migrator
+var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {
+    directory: args.dir || 'migrations',
+    table: args.table,
+})
+// run command
+Promise.resolve().then(() => {
+    if (args.command === 'status') {
+        return migrator.status().then(status => {
+            status.forEach(migration => {
+                var state = migration.missing ? 'missing'
+                    : migration.changed ? 'changed'
+                    : migration.applied ? 'applied'
+                    : 'pending'
+                console.log(`${migration.version} ${migration.name} ${state}`)
+            })
+        })
+    }
+    else if (args.command === 'up') {
+        return migrator.up({to: args.to}).then(applied => {
+            applied.forEach(migration => {
+                console.log(`up ${migration.version} ${migration.name}`)
+            })
+        })
+    }
+    else {
+        return migrator.down({
+            steps: args.steps === undefined ? undefined : parseInt(args.steps, 10),
+            to: args.to,
+        })
+        .then(reverted => {
+            reverted.forEach(migration => {
+                console.log(`down ${migration.version} ${migration.name}`)
+            })
+        })
+    }
+})
+.then(() => {
+    db.close()
+}, err => {
+    console.error(err.message)
+    db.close()
+    process.exitCode = 1
+})
+
+/* private functions */
+
+/**
+ * @function parseArgs
+ *
+ * get command and --name value options from arguments
+ *
+ * @param {array} argv - command line arguments
+ *
+ * @returns {object}
+ */
+function parseArgs (argv) {
+    var args = {}
+
+    for (var i = 0; i < argv.length; i++) {
+        // option with value
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[++i]
+        }
+        // first positional argument is command
+        else if (args.command === undefined) {
+            args.command = argv[i]
+        }
+    }
+
+    return args
+}
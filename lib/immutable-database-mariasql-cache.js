@@ -0,0 +1,327 @@
+'use strict'
+
+/* native modules */
+const crypto = require('crypto')
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* app modules */
+const ImmutableDatabaseMariaSQLLRUCache = require('./immutable-database-mariasql-lru-cache')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLCache
+
+/* constants */
+
+// default milliseconds that results are cached
+const DEFAULT_TTL = 60000
+
+/**
+ * @function ImmutableDatabaseMariaSQLCache
+ *
+ * instantiate a new result cache. results are tagged with the tables they
+ * were read from and are removed when a write to any of those tables is
+ * done through a connection that uses the cache. tags are removed when
+ * results are evicted or expire.
+ *
+ * @param {object} options
+ * @param {number} options.max - max entries for default LRU store
+ * @param {object} options.store - store with get, set and delete methods
+ * @param {number} options.ttl - default milliseconds results are cached
+ *
+ * @returns {ImmutableDatabaseMariaSQLCache}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLCache (options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // get store - default is in-memory LRU
+    var store = options.store === undefined
+        ? new ImmutableDatabaseMariaSQLLRUCache({dispose: key => untag(this, key), max: options.max})
+        : options.store
+    // require store interface
+    if (!store || !_.every(['delete', 'get', 'set'], method => typeof store[method] === 'function')) {
+        throw new Error('cache error: store must have get, set and delete methods')
+    }
+    // store cache info
+    this.store = store
+    this.ttl = options.ttl === undefined ? DEFAULT_TTL : requireValidTtl(options.ttl)
+    // tags and expire time for each cached key
+    this.entries = new Map()
+    // time when next entry expires - entries are pruned after this time
+    // for stores that do not report expiry
+    this.nextExpires = Infinity
+    // keys of cached results for each table
+    this.tags = new Map()
+    // incremented on each invalidation so that results read before a write
+    // are not cached after the write
+    this.version = 0
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLCache.LRUCache = ImmutableDatabaseMariaSQLLRUCache
+ImmutableDatabaseMariaSQLCache.requireValidTtl = requireValidTtl
+
+ImmutableDatabaseMariaSQLCache.prototype = {
+    get: get,
+    invalidate: invalidate,
+    key: key,
+    set: set,
+}
+
+/**
+ * @function get
+ *
+ * get copy of cached result
+ *
+ * @param {string} key - cache key
+ *
+ * @returns {Promise<array|object|undefined>}
+ */
+function get (key) {
+    return Promise.resolve(this.store.get(key)).then(value => {
+        // remove tags for result that was evicted by store
+        if (!value) {
+            untag(this, key)
+        }
+
+        return deserialize(value)
+    })
+}
+
+/**
+ * @function invalidate
+ *
+ * remove cached results for tables. all tagged results are removed if
+ * tables is not set.
+ *
+ * @param {array|undefined} tables - table names
+ *
+ * @returns {Promise}
+ */
+function invalidate (tables) {
+    this.version++
+    // get tags for tables or all tags
+    var tags = tables === undefined
+        ? Array.from(this.tags.keys())
+        : _.uniq(_.map(tables, tableTag))
+    // get keys for tags
+    var keys = []
+    _.each(tags, tag => {
+        var tagKeys = this.tags.get(tag)
+        if (tagKeys) {
+            keys.push(...tagKeys)
+        }
+    })
+    // remove all tags for keys
+    keys = _.uniq(keys)
+    _.each(keys, key => untag(this, key))
+
+    return Promise.all(_.map(keys, key => this.store.delete(key)))
+}
+
+/**
+ * @function key
+ *
+ * get cache key for query
+ *
+ * @param {object} connectionParams - connection params
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - client options that change result format
+ *
+ * @returns {string}
+ */
+function key (connectionParams, query, params, options) {
+    return crypto.createHash('sha256').update(JSON.stringify([
+        connectionParams && connectionParams.host,
+        connectionParams && connectionParams.db,
+        query,
+        params,
+        _.pick(options, ['metadata', 'useArray']),
+    ])).digest('hex')
+}
+
+/**
+ * @function set
+ *
+ * cache copy of result tagged with tables. result is not cached if there
+ * was an invalidation since the query started or if the tables it was read
+ * from are not known because writes would never remove it.
+ *
+ * @param {string} key - cache key
+ * @param {array|object} res - database response data
+ * @param {array} tables - table names that result was read from
+ * @param {number} ttl - milliseconds to cache result - default cache ttl
+ * @param {number} version - cache version when query started
+ *
+ * @returns {Promise}
+ */
+function set (key, res, tables, ttl, version) {
+    // result may be from before write or not removable by writes
+    if (version !== undefined && version !== this.version || _.isEmpty(tables)) {
+        return Promise.resolve()
+    }
+    ttl = ttl === undefined ? this.ttl : ttl
+    // remove tags for expired results
+    pruneExpired(this)
+    // replace any existing tags for key
+    untag(this, key)
+    var entry = {
+        expires: ttl ? Date.now() + ttl : Infinity,
+        tags: _.uniq(_.map(tables, tableTag)),
+    }
+    this.entries.set(key, entry)
+    this.nextExpires = Math.min(this.nextExpires, entry.expires)
+    // tag key with tables
+    _.each(entry.tags, tag => {
+        var keys = this.tags.get(tag)
+        if (!keys) {
+            this.tags.set(tag, keys = new Set())
+        }
+        keys.add(key)
+    })
+
+    return Promise.resolve(this.store.set(key, serialize(res), ttl))
+}
+
+/* private functions */
+
+/**
+ * @function deserialize
+ *
+ * get response from cached value
+ *
+ * @param {object|undefined} value - cached value
+ *
+ * @returns {array|object|undefined}
+ */
+function deserialize (value) {
+    // not cached
+    if (!value) {
+        return
+    }
+    // multiple result sets
+    if (value.results) {
+        return _.map(value.results, deserialize)
+    }
+    // responses without rows only have info
+    var res = value.rows ? _.map(value.rows, _.clone) : {}
+    res.info = _.cloneDeep(value.info)
+
+    return res
+}
+
+/**
+ * @function pruneExpired
+ *
+ * remove tags for all expired results once the earliest expire time has
+ * passed
+ *
+ * @param {ImmutableDatabaseMariaSQLCache} cache
+ *
+ * @returns {undefined}
+ */
+function pruneExpired (cache) {
+    var now = Date.now()
+    // no results have expired
+    if (cache.nextExpires > now) {
+        return
+    }
+    cache.nextExpires = Infinity
+    cache.entries.forEach((entry, key) => {
+        if (entry.expires <= now) {
+            untag(cache, key)
+        }
+        else {
+            cache.nextExpires = Math.min(cache.nextExpires, entry.expires)
+        }
+    })
+}
+
+/**
+ * @function requireValidTtl
+ *
+ * validate ttl
+ *
+ * @param {number} ttl - milliseconds
+ *
+ * @returns {number}
+ *
+ * @throws {Error}
+ */
+function requireValidTtl (ttl) {
+    if (typeof ttl !== 'number' || !(ttl >= 0)) {
+        throw new Error('cache error: ttl must be number greater than or equal to 0')
+    }
+
+    return ttl
+}
+
+/**
+ * @function serialize
+ *
+ * get copy of response that can be stored as JSON. info is stored
+ * separately because it is a property of the rows array.
+ *
+ * @param {array|object} res - database response data
+ *
+ * @returns {object}
+ */
+function serialize (res) {
+    // multiple result sets do not have info
+    if (Array.isArray(res) && res.info === undefined) {
+        return {results: _.map(res, serialize)}
+    }
+
+    return {
+        info: _.cloneDeep(res.info),
+        rows: Array.isArray(res) ? _.map(res, _.clone) : undefined,
+    }
+}
+
+/**
+ * @function tableTag
+ *
+ * get tag for table name without database prefix
+ *
+ * @param {string} table - table name
+ *
+ * @returns {string}
+ */
+function tableTag (table) {
+    return _.last(table.split('.')).toLowerCase()
+}
+
+/**
+ * @function untag
+ *
+ * remove key from tags for its tables. tags without keys are removed.
+ *
+ * @param {ImmutableDatabaseMariaSQLCache} cache
+ * @param {string} key - cache key
+ *
+ * @returns {undefined}
+ */
+function untag (cache, key) {
+    var entry = cache.entries.get(key)
+    // key is not tagged
+    if (!entry) {
+        return
+    }
+    cache.entries.delete(key)
+    _.each(entry.tags, tag => {
+        var keys = cache.tags.get(tag)
+        if (keys) {
+            keys.delete(key)
+            if (!keys.size) {
+                cache.tags.delete(tag)
+            }
+        }
+    })
+}
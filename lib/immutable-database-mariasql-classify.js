@@ -0,0 +1,381 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+
+/* exports */
+module.exports = classifyQuery
+
+/* constants */
+
+// statements that do not modify data
+const READ_STATEMENTS = ['DESC', 'DESCRIBE', 'EXPLAIN', 'HELP', 'SELECT', 'SHOW', 'USE']
+// transaction control statements do not modify data by themselves
+const TRANSACTION_STATEMENTS = ['BEGIN', 'COMMIT', 'RELEASE', 'ROLLBACK', 'SAVEPOINT', 'START']
+// SET statements that change server state instead of session variables
+const SET_MUTATING_WORDS = ['GLOBAL', 'PASSWORD', 'PERSIST', 'PERSIST_ONLY', 'ROLE']
+// words that are followed by table names
+const TABLE_WORDS = ['FROM', 'INTO', 'JOIN', 'TABLE', 'TABLES', 'TRUNCATE', 'UPDATE']
+// words that can be between table word and table name
+const TABLE_MODIFIER_WORDS = ['DELAYED', 'EXISTS', 'HIGH_PRIORITY', 'IF', 'IGNORE', 'LOW_PRIORITY', 'NOT', 'QUICK', 'TABLE']
+// lock types after table names in LOCK TABLES
+const LOCK_WORDS = ['LOCAL', 'READ', 'WRITE']
+// words after table name that are not aliases
+const CLAUSE_WORDS = [
+    'CROSS', 'FOR', 'FULL', 'GROUP', 'HAVING', 'INNER', 'JOIN', 'LEFT', 'LIMIT', 'LOCK', 'NATURAL',
+    'ON', 'ORDER', 'OUTER', 'PARTITION', 'READ', 'RIGHT', 'SELECT', 'SET', 'STRAIGHT_JOIN', 'UNION',
+    'USING', 'VALUE', 'VALUES', 'WHERE', 'WINDOW', 'WRITE',
+]
+
+/**
+ * @function classifyQuery
+ *
+ * split query into statements and classify each statement by its type and
+ * whether it can modify data. comments, strings and quoted identifiers are
+ * tokenized so that they cannot hide the type of a statement. statements
+ * that start with WITH are classified by the statement that follows the
+ * common table expressions. anything that is not known to be read only is
+ * classified as mutating. tables are the names that follow FROM, JOIN, INTO,
+ * UPDATE and TABLE.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {object}
+ */
+function classifyQuery (query) {
+    // split tokens into statements
+    var statements = _.map(splitStatements(tokenize(query)), tokens => {
+        // get statement type
+        var type = statementType(tokens)
+
+        return {
+            mutating: isMutating(type, tokens),
+            tables: statementTables(tokens),
+            tokens: tokens,
+            type: type,
+        }
+    })
+
+    return {
+        mutating: _.some(statements, 'mutating'),
+        statements: statements,
+    }
+}
+
+/* public methods */
+
+classifyQuery.tokenize = tokenize
+
+/**
+ * @function tokenize
+ *
+ * get tokens from query. whitespace and comments are skipped except for
+ * executable comments which are tokenized like the rest of the query.
+ * unknown characters are returned as operators so that tokenizing never
+ * fails.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {array}
+ */
+function tokenize (query) {
+    var tokens = []
+    var pos = 0
+    // number of executable comments being tokenized
+    var executableComments = 0
+
+    while (pos < query.length) {
+        var chr = query[pos]
+        var start = pos
+        var match
+        // whitespace
+        if (/\s/.test(chr)) {
+            pos++
+        }
+        // end of executable comment
+        else if (executableComments && query.startsWith('*/', pos)) {
+            executableComments--
+            pos += 2
+        }
+        // executable comments - /*!50100 ... */ and /*M!100100 ... */
+        else if ((match = /^\/\*M?!\d*/.exec(query.slice(pos)))) {
+            executableComments++
+            pos += match[0].length
+        }
+        // comments
+        else if (query.startsWith('-- ', pos) || query.startsWith('--\n', pos) || chr === '#') {
+            pos = query.indexOf('\n', pos)
+            pos = pos === -1 ? query.length : pos + 1
+        }
+        else if (query.startsWith('/*', pos)) {
+            pos = query.indexOf('*/', pos + 2)
+            pos = pos === -1 ? query.length : pos + 2
+        }
+        // quoted strings and identifiers
+        else if (chr === "'" || chr === '"' || chr === '`') {
+            pos++
+            while (pos < query.length) {
+                // backslash escapes are not used in identifiers
+                if (query[pos] === '\\' && chr !== '`') {
+                    pos += 2
+                }
+                else if (query[pos] === chr) {
+                    pos++
+                    // quote escaped by doubling
+                    if (query[pos] !== chr) {
+                        break
+                    }
+                    pos++
+                }
+                else {
+                    pos++
+                }
+            }
+            tokens.push({
+                end: pos,
+                start: start,
+                type: chr === '`' ? 'identifier' : 'string',
+                value: query.slice(start, pos),
+            })
+        }
+        // words
+        else if ((match = /^[a-z_$][a-z0-9_$]*/i.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'word', upper: match[0].toUpperCase(), value: match[0]})
+        }
+        // numbers
+        else if ((match = /^\d+(\.\d*)?/.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'number', value: match[0]})
+        }
+        // everything else is an operator
+        else {
+            pos++
+            tokens.push({end: pos, start: start, type: 'operator', value: chr})
+        }
+    }
+
+    return tokens
+}
+
+/* private functions */
+
+/**
+ * @function isMutating
+ *
+ * check if statement can modify data
+ *
+ * @param {string} type - statement type
+ * @param {array} tokens - statement tokens
+ *
+ * @returns {boolean}
+ */
+function isMutating (type, tokens) {
+    // get words in statement
+    var words = _.map(_.filter(tokens, {type: 'word'}), 'upper')
+    // SELECT ... INTO OUTFILE writes file
+    if (type === 'SELECT') {
+        return _.some(words, (word, i) => word === 'INTO' && (words[i + 1] === 'OUTFILE' || words[i + 1] === 'DUMPFILE'))
+    }
+    // EXPLAIN ANALYZE runs the statement being explained
+    if ((type === 'EXPLAIN' || type === 'DESCRIBE' || type === 'DESC') && words[1] === 'ANALYZE') {
+        return isMutating(statementType(tokens.slice(2)), tokens.slice(2))
+    }
+    // SET is only read only for session variables
+    if (type === 'SET') {
+        return _.some(words, word => _.includes(SET_MUTATING_WORDS, word))
+    }
+
+    return !_.includes(READ_STATEMENTS, type) && !_.includes(TRANSACTION_STATEMENTS, type)
+}
+
+/**
+ * @function skipParens
+ *
+ * get position after parenthesized group starting at position
+ *
+ * @param {array} tokens - statement tokens
+ * @param {number} pos - position of opening paren
+ *
+ * @returns {number}
+ */
+function skipParens (tokens, pos) {
+    var depth = 0
+
+    for (; pos < tokens.length; pos++) {
+        if (tokens[pos].value === '(') {
+            depth++
+        }
+        else if (tokens[pos].value === ')' && --depth === 0) {
+            return pos + 1
+        }
+    }
+
+    return pos
+}
+
+/**
+ * @function splitStatements
+ *
+ * split tokens into statements on semicolons. empty statements are removed.
+ *
+ * @param {array} tokens - query tokens
+ *
+ * @returns {array}
+ */
+function splitStatements (tokens) {
+    var statements = [[]]
+
+    _.each(tokens, token => {
+        if (token.type === 'operator' && token.value === ';') {
+            statements.push([])
+        }
+        else {
+            _.last(statements).push(token)
+        }
+    })
+
+    return _.filter(statements, 'length')
+}
+
+/**
+ * @function statementType
+ *
+ * get type of statement from first keyword. common table expressions and
+ * leading parens are skipped.
+ *
+ * @param {array} tokens - statement tokens
+ *
+ * @returns {string|undefined}
+ */
+function statementType (tokens) {
+    var pos = 0
+    // skip parens around statement
+    while (tokens[pos] && tokens[pos].value === '(') {
+        pos++
+    }
+    // get first word
+    var token = tokens[pos]
+    if (!token || token.type !== 'word') {
+        return
+    }
+    // statement type is first word unless there are common table expressions
+    if (token.upper !== 'WITH') {
+        return token.upper
+    }
+    pos++
+    // skip RECURSIVE
+    if (tokens[pos] && tokens[pos].upper === 'RECURSIVE') {
+        pos++
+    }
+    // skip each expression - name [(columns)] AS (query)
+    while (pos < tokens.length) {
+        // name
+        pos++
+        // column list
+        if (tokens[pos] && tokens[pos].value === '(') {
+            pos = skipParens(tokens, pos)
+        }
+        // AS
+        if (tokens[pos] && tokens[pos].upper === 'AS') {
+            pos++
+        }
+        // query
+        if (tokens[pos] && tokens[pos].value === '(') {
+            pos = skipParens(tokens, pos)
+        }
+        // continue if there is another expression
+        if (!tokens[pos] || tokens[pos].value !== ',') {
+            break
+        }
+        pos++
+    }
+    // type is type of statement after expressions
+    return statementType(tokens.slice(pos))
+}
+
+/**
+ * @function statementTables
+ *
+ * get names of tables in statement. names are returned as written with
+ * quotes removed and database prefix kept.
+ *
+ * @param {array} tokens - statement tokens
+ *
+ * @returns {array}
+ */
+function statementTables (tokens) {
+    var tables = []
+    // get name at position - quotes are removed from identifiers
+    var name = pos => {
+        var token = tokens[pos]
+        if (!token) {
+            return
+        }
+        if (token.type === 'identifier') {
+            return token.value.slice(1, -1).replace(/``/g, '`')
+        }
+        if (token.type === 'word') {
+            return token.value
+        }
+    }
+
+    // positions of open parens
+    var parens = []
+
+    _.each(tokens, (token, i) => {
+        // track parens so that FROM in function calls like EXTRACT and TRIM
+        // is skipped
+        if (token.value === '(') {
+            parens.push(i)
+        }
+        else if (token.value === ')') {
+            parens.pop()
+        }
+        if (token.type !== 'word' || !_.includes(TABLE_WORDS, token.upper)) {
+            return
+        }
+        // parens that do not start with a query are function calls
+        var first = parens.length ? tokens[_.last(parens) + 1] : undefined
+        if (first && first.upper !== 'SELECT' && first.upper !== 'WITH') {
+            return
+        }
+        var pos = i + 1
+        // skip modifiers
+        while (tokens[pos] && _.includes(TABLE_MODIFIER_WORDS, tokens[pos].upper)) {
+            pos++
+        }
+        // get comma separated list of tables
+        while (name(pos) !== undefined) {
+            var table = name(pos++)
+            // keep database prefix
+            if (tokens[pos] && tokens[pos].value === '.' && name(pos + 1) !== undefined) {
+                table += '.'+name(pos + 1)
+                pos += 2
+            }
+            // keywords are not tables
+            if (_.includes(CLAUSE_WORDS, table.toUpperCase()) || table.toUpperCase() === 'DUAL') {
+                break
+            }
+            tables.push(table)
+            // skip alias
+            if (tokens[pos] && tokens[pos].upper === 'AS') {
+                pos += 2
+            }
+            else if (name(pos) !== undefined && !_.includes(CLAUSE_WORDS, tokens[pos].upper)) {
+                pos++
+            }
+            // skip lock types
+            while (tokens[pos] && _.includes(LOCK_WORDS, tokens[pos].upper)) {
+                pos++
+            }
+            // continue if there is another table
+            if (!tokens[pos] || tokens[pos].value !== ',') {
+                break
+            }
+            pos++
+        }
+    })
+
+    return _.uniq(tables)
+}
@@ -0,0 +1,170 @@
+'use strict'
+
+/* native modules */
+const util = require('util')
+
+/* npm modules */
+const _ = require('lodash')
+
+/* exports */
+module.exports = {
+    fromError: fromError,
+}
+
+/* constants */
+
+// SQL states for error codes - used when driver does not provide state
+const SQL_STATES = {
+    1022: '23000',
+    1044: '42000',
+    1045: '28000',
+    1048: '23000',
+    1049: '42000',
+    1050: '42S01',
+    1051: '42S02',
+    1053: '08S01',
+    1054: '42S22',
+    1062: '23000',
+    1064: '42000',
+    1142: '42000',
+    1143: '42000',
+    1146: '42S02',
+    1149: '42000',
+    1152: '08S01',
+    1205: 'HY000',
+    1213: '40001',
+    1216: '23000',
+    1217: '23000',
+    1227: '42000',
+    1264: '22003',
+    1292: '22007',
+    1364: 'HY000',
+    1366: '22007',
+    1406: '22001',
+    1451: '23000',
+    1452: '23000',
+    1586: '23000',
+    1927: '70100',
+    1969: '70100',
+}
+
+/**
+ * @function DatabaseError
+ *
+ * instantiate a new database error. errors from the driver are converted to
+ * the subclass for their error code and unknown codes are DatabaseError.
+ * isOperational is true for errors that can happen when the code is correct,
+ * like duplicate keys, deadlocks and lost connections, and false for errors
+ * that indicate a bug or misconfiguration, like syntax errors.
+ *
+ * @param {string} message - error message
+ * @param {object} properties
+ * @param {Error} properties.cause - original error
+ * @param {number|string} properties.code - error code
+ * @param {string} properties.dbQueryId - id of query that failed
+ * @param {string} properties.sqlState - SQL state
+ *
+ * @returns {DatabaseError}
+ */
+function DatabaseError (message, properties) {
+    Error.captureStackTrace(this, this.constructor)
+    // store error info
+    this.message = message
+    this.isOperational = this.constructor.isOperational
+    _.assign(this, properties)
+}
+
+util.inherits(DatabaseError, Error)
+
+DatabaseError.codes = []
+DatabaseError.isOperational = false
+DatabaseError.prototype.name = 'DatabaseError'
+
+// create error classes - codes are mariadb error codes or module codes.
+// mariasql uses -1 when the connection closes before a query completes.
+var errors = {
+    AccessDeniedError: defineError('AccessDeniedError', [1044, 1045, 1142, 1143, 1227], false),
+    AppendOnlyError: defineError('AppendOnlyError', ['EAPPENDONLY'], false),
+    ConnectionLostError: defineError('ConnectionLostError', [-1, 1053, 1152, 1927, 2002, 2003, 2006, 2013, 2055], true),
+    DataError: defineError('DataError', [1048, 1264, 1292, 1364, 1366, 1406], true),
+    DatabaseError: DatabaseError,
+    DeadlockError: defineError('DeadlockError', [1213], true),
+    DuplicateKeyError: defineError('DuplicateKeyError', [1022, 1062, 1586], true),
+    ForeignKeyError: defineError('ForeignKeyError', [1216, 1217, 1451, 1452], true),
+    LockWaitTimeoutError: defineError('LockWaitTimeoutError', [1205], true),
+    SchemaError: defineError('SchemaError', [1049, 1050, 1051, 1054, 1146], false),
+    SyntaxError: defineError('SyntaxError', [1064, 1149], false),
+    TimeoutError: defineError('TimeoutError', ['ETIMEDOUT', 1317, 1969, 3024], true),
+}
+
+// error classes keyed by code
+const ERROR_CLASSES = {}
+_.each(errors, ErrorClass => {
+    _.each(ErrorClass.codes, code => {
+        ERROR_CLASSES[code] = ErrorClass
+    })
+})
+
+_.assign(module.exports, errors)
+
+/* public methods */
+
+/**
+ * @function fromError
+ *
+ * get database error for driver error. errors without a code are returned
+ * unchanged. query id is added to database errors that do not have one.
+ *
+ * @param {Error} err - error from driver
+ * @param {string} dbQueryId - id of query that failed
+ *
+ * @returns {Error}
+ */
+function fromError (err, dbQueryId) {
+    // convert errors with code from server or client
+    if (!(err instanceof DatabaseError)) {
+        if (!err || err.code === undefined) {
+            return err
+        }
+        var ErrorClass = ERROR_CLASSES[err.code] || DatabaseError
+        err = new ErrorClass(err.message, {
+            cause: err,
+            code: err.code,
+            sqlState: err.sqlState || SQL_STATES[err.code],
+        })
+    }
+    // add id of query that failed
+    if (dbQueryId !== undefined && err.dbQueryId === undefined) {
+        err.dbQueryId = dbQueryId
+    }
+
+    return err
+}
+
+/* private functions */
+
+/**
+ * @function defineError
+ *
+ * create subclass of DatabaseError
+ *
+ * @param {string} name - class name
+ * @param {array} codes - error codes for class
+ * @param {boolean} isOperational - errors can happen when code is correct
+ *
+ * @returns {function}
+ */
+function defineError (name, codes, isOperational) {
+    var ErrorClass = function (message, properties) {
+        DatabaseError.call(this, message, properties)
+    }
+
+    util.inherits(ErrorClass, DatabaseError)
+    // set name used in stack traces and logs
+    Object.defineProperty(ErrorClass, 'name', {value: name})
+    ErrorClass.prototype.name = name
+    ErrorClass.codes = codes
+    ErrorClass.isOperational = isOperational
+
+    return ErrorClass
+}
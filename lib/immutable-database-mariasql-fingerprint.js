@@ -0,0 +1,63 @@
+'use strict'
+
+/* native modules */
+const crypto = require('crypto')
+
+/* exports */
+module.exports = fingerprint
+
+/* constants */
+
+// strings and comments are matched together so that quotes in comments and
+// comment markers in strings are not mistaken for each other
+const STRING_OR_COMMENT = /('(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*")|\/\*[\s\S]*?(?:\*\/|$)|(?:--(?=\s|$)|#)[^\n]*/g
+// length of hex hash
+const HASH_LENGTH = 16
+
+/**
+ * @function fingerprint
+ *
+ * get query with literal values and params replaced by ?, comments removed,
+ * whitespace collapsed and lists of values folded so that the same query
+ * with different values has the same fingerprint
+ *
+ * @param {string} query - query string
+ *
+ * @returns {string}
+ */
+function fingerprint (query) {
+    return query
+        // strings and comments
+        .replace(STRING_OR_COMMENT, (match, string) => string ? '?' : ' ')
+        // hex and bit values
+        .replace(/\b0x[0-9a-fA-F]+\b|\b[xXbB]\?/g, '?')
+        // numbers not part of identifiers
+        .replace(/\b\d+(\.\d+)?([eE][-+]?\d+)?\b/g, '?')
+        // named params
+        .replace(/:[a-zA-Z_]\w*/g, '?')
+        // lists of values
+        .replace(/\(\s*\?(\s*,\s*\?)*\s*\)/g, '(?)')
+        // multiple rows of values
+        .replace(/\(\?\)(\s*,\s*\(\?\))+/g, '(?)')
+        // whitespace
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/* public methods */
+
+fingerprint.hash = hash
+
+/**
+ * @function hash
+ *
+ * get stable hash of query fingerprint that can be used to group queries
+ * in logs. hash is first 16 hex characters of sha256.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {string}
+ */
+function hash (query) {
+    return crypto.createHash('sha256').update(fingerprint(query)).digest('hex').substr(0, HASH_LENGTH)
+}
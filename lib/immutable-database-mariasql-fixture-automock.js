@@ -0,0 +1,236 @@
+'use strict'
+
+/* native modules */
+const fs = require('fs')
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* exports */
+module.exports = fixtureAutomock
+
+/**
+ * @function fixtureAutomock
+ *
+ * create automock function that records query responses to a fixture file
+ * or replays responses from a fixture file without connecting to the
+ * database. the driver level query is wrapped so logging and response
+ * formatting are the same as for a real query.
+ *
+ * in record mode the fixture file is overwritten with the queries recorded
+ * by this automock function.
+ *
+ * @param {object} args
+ * @param {string} args.file - path to fixture file
+ * @param {string} args.mode - record|replay - default replay
+ *
+ * @returns {function}
+ *
+ * @throws {Error}
+ */
+function fixtureAutomock (args) {
+    // validate optional args - create objects if not passed in
+    args = requireValidOptionalObject(args)
+    // require file
+    if (typeof args.file !== 'string' || !args.file.length) {
+        throw new Error('automock error: file required')
+    }
+    // use replay by default
+    var mode = args.mode === undefined ? 'replay' : args.mode
+    // fixture data keyed by normalized query
+    var fixtures = {}
+    // record mode
+    if (mode === 'record') {
+        return connection => {
+            // get original driver query method
+            var queryPromise = connection.client.queryPromise
+            // wrap driver query method to record responses
+            connection.client.queryPromise = function (query, params, options) {
+                // create fixture for query
+                var fixture = {
+                    params: _.cloneDeep(params),
+                    query: query,
+                }
+                // add fixture to list for query
+                addFixture(fixtures, query, fixture)
+                // perform real query
+                return Promise.resolve(queryPromise.call(this, query, params, options))
+                // store response
+                .then(res => {
+                    fixture.response = serializeResponse(res)
+                    writeFixtures(args.file, fixtures)
+                    return res
+                })
+                // store error
+                .catch(err => {
+                    fixture.error = {
+                        code: err.code,
+                        message: err.message,
+                    }
+                    writeFixtures(args.file, fixtures)
+                    return Promise.reject(err)
+                })
+            }
+        }
+    }
+    // replay mode
+    else if (mode === 'replay') {
+        // load fixtures
+        fixtures = readFixtures(args.file)
+        // number of times each fixture has been replayed
+        var replayed = new Map()
+        // return automock function
+        return connection => {
+            // replace driver query method with replay
+            connection.client.queryPromise = function (query, params) {
+                // get completed fixtures matching query and params
+                var matches = _.filter(fixtures[normalizeQuery(query)], fixture => {
+                    return (fixture.response || fixture.error)
+                        && _.isEqual(fixture.params, params)
+                })
+                // fail on unrecorded query
+                if (!matches.length) {
+                    return Promise.reject(new Error('automock error: unrecorded query: '+query))
+                }
+                // use fixtures in order recorded - repeating last
+                var count = replayed.get(matches[0]) || 0
+                replayed.set(matches[0], count + 1)
+                var fixture = matches[Math.min(count, matches.length - 1)]
+                // reject with recorded error
+                if (fixture.error) {
+                    var err = new Error(fixture.error.message)
+                    err.code = fixture.error.code
+                    return Promise.reject(err)
+                }
+                // resolve with recorded response
+                return Promise.resolve(deserializeResponse(fixture.response))
+            }
+        }
+    }
+    // invalid mode
+    else {
+        throw new Error('automock error: invalid mode '+mode)
+    }
+}
+
+/* private functions */
+
+/**
+ * @function addFixture
+ *
+ * add fixture to list of fixtures for normalized query
+ *
+ * @param {object} fixtures - fixtures keyed by normalized query
+ * @param {string} query - query string
+ * @param {object} fixture - fixture data
+ *
+ * @returns {undefined}
+ */
+function addFixture (fixtures, query, fixture) {
+    // get key for query
+    var key = normalizeQuery(query)
+    // create list for query if not defined
+    if (!fixtures[key]) {
+        fixtures[key] = []
+    }
+    // add fixture to list
+    fixtures[key].push(fixture)
+}
+
+/**
+ * @function deserializeResponse
+ *
+ * convert fixture response data to the format returned by driver
+ *
+ * @param {object} response - fixture response data
+ *
+ * @returns {array|object}
+ */
+function deserializeResponse (response) {
+    // multiple result sets
+    if (response.results) {
+        return _.map(response.results, deserializeResponse)
+    }
+    // copy data so that fixture is not modified by response formatting
+    var res = response.data ? _.cloneDeep(response.data) : {}
+    // add info to response
+    res.info = _.clone(response.info)
+
+    return res
+}
+
+/**
+ * @function normalizeQuery
+ *
+ * remove comments and leading/trailing whitespace and collapse whitespace
+ * in query. comments are removed so that queries with sqlcommenter tags,
+ * which change on every request, match recorded fixtures. executable
+ * comments are kept.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {string}
+ */
+function normalizeQuery (query) {
+    return query.replace(/\/\*(?!M?!)[\s\S]*?\*\//g, ' ').trim().replace(/\s+/g, ' ')
+}
+
+/**
+ * @function readFixtures
+ *
+ * read fixtures from file
+ *
+ * @param {string} file - path to fixture file
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function readFixtures (file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'))
+    }
+    catch (err) {
+        throw new Error('automock error: could not read fixture file '+file+': '+err.message)
+    }
+}
+
+/**
+ * @function serializeResponse
+ *
+ * convert response returned by driver to fixture data. data is copied
+ * because response data is modified by response formatting.
+ *
+ * @param {array|object} res - driver response
+ *
+ * @returns {object}
+ */
+function serializeResponse (res) {
+    // multiple result sets do not have info
+    if (Array.isArray(res) && res.info === undefined) {
+        return {
+            results: _.map(res, serializeResponse),
+        }
+    }
+    // single result set
+    return JSON.parse(JSON.stringify({
+        data: Array.isArray(res) ? Array.from(res) : undefined,
+        info: res.info,
+    }))
+}
+
+/**
+ * @function writeFixtures
+ *
+ * write fixtures to file
+ *
+ * @param {string} file - path to fixture file
+ * @param {object} fixtures - fixtures keyed by normalized query
+ *
+ * @returns {undefined}
+ */
+function writeFixtures (file, fixtures) {
+    fs.writeFileSync(file, JSON.stringify(fixtures, null, 4))
+}
@@ -0,0 +1,126 @@
+'use strict'
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLLRUCache
+
+/* constants */
+
+// default max number of entries
+const DEFAULT_MAX = 1000
+
+/**
+ * @function ImmutableDatabaseMariaSQLLRUCache
+ *
+ * instantiate a new in-memory least recently used cache store. when the
+ * cache is full the entry that was used least recently is removed.
+ *
+ * stores for the result cache must have get, set and delete methods which
+ * can return a promise.
+ *
+ * @param {object} options
+ * @param {function} options.dispose - called with key when entry is evicted
+ *                                     or expires
+ * @param {number} options.max - max number of entries - default 1000
+ *
+ * @returns {ImmutableDatabaseMariaSQLLRUCache}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLLRUCache (options) {
+    // get max entries
+    var max = options && options.max !== undefined ? options.max : DEFAULT_MAX
+    // require positive integer
+    if (!Number.isInteger(max) || max < 1) {
+        throw new Error('cache error: max must be integer greater than 0')
+    }
+    // require function for dispose
+    var dispose = options && options.dispose
+    if (dispose !== undefined && typeof dispose !== 'function') {
+        throw new Error('cache error: dispose must be function')
+    }
+    // store cache info
+    this.dispose = dispose
+    this.entries = new Map()
+    this.max = max
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLLRUCache.prototype = {
+    delete: del,
+    get: get,
+    set: set,
+}
+
+/**
+ * @function delete
+ *
+ * delete entry
+ *
+ * @param {string} key
+ *
+ * @returns {undefined}
+ */
+function del (key) {
+    this.entries.delete(key)
+}
+
+/**
+ * @function get
+ *
+ * get value for key if it has not expired. entry becomes most recently
+ * used.
+ *
+ * @param {string} key
+ *
+ * @returns {*}
+ */
+function get (key) {
+    var entry = this.entries.get(key)
+    // not found
+    if (!entry) {
+        return
+    }
+    // remove expired entry
+    if (entry.expires && entry.expires <= Date.now()) {
+        this.entries.delete(key)
+        if (this.dispose) {
+            this.dispose(key)
+        }
+        return
+    }
+    // move entry to end of map so that it is most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    return entry.value
+}
+
+/**
+ * @function set
+ *
+ * set value for key. least recently used entry is removed if cache is
+ * full.
+ *
+ * @param {string} key
+ * @param {*} value
+ * @param {number} ttl - milliseconds until entry expires - 0 for never
+ *
+ * @returns {undefined}
+ */
+function set (key, value, ttl) {
+    // remove existing entry so that it is added to end of map
+    this.entries.delete(key)
+    // remove least recently used entry - map keys are in insertion order
+    if (this.entries.size >= this.max) {
+        var evicted = this.entries.keys().next().value
+        this.entries.delete(evicted)
+        if (this.dispose) {
+            this.dispose(evicted)
+        }
+    }
+    this.entries.set(key, {
+        expires: ttl ? Date.now() + ttl : 0,
+        value: value,
+    })
+}
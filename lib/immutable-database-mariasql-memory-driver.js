@@ -0,0 +1,2156 @@
+'use strict'
+
+/* native modules */
+const EventEmitter = require('events').EventEmitter
+const Readable = require('stream').Readable
+const util = require('util')
+
+/* npm modules */
+const _ = require('lodash')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLMemoryDriver
+
+/* constants */
+
+// column flags - same values as mariasql
+const NOT_NULL_FLAG = 1
+const PRI_KEY_FLAG = 2
+const UNIQUE_KEY_FLAG = 4
+const BLOB_FLAG = 16
+const UNSIGNED_FLAG = 32
+const BINARY_FLAG = 128
+const AUTO_INCREMENT_FLAG = 512
+const NUM_FLAG = 32768
+
+// map of sql column types to the type names reported in mariasql metadata
+const COLUMN_TYPES = {
+    BIGINT: 'BIGINT',
+    BINARY: 'CHAR',
+    BIT: 'BIT',
+    BLOB: '[Unknown field type]',
+    BOOL: 'TINYINT',
+    BOOLEAN: 'TINYINT',
+    CHAR: 'CHAR',
+    DATE: 'DATE',
+    DATETIME: 'DATETIME',
+    DEC: 'DECIMAL',
+    DECIMAL: 'DECIMAL',
+    DOUBLE: 'DOUBLE',
+    ENUM: 'CHAR',
+    FIXED: 'DECIMAL',
+    FLOAT: 'FLOAT',
+    INT: 'INTEGER',
+    INTEGER: 'INTEGER',
+    JSON: '[Unknown field type]',
+    LONGBLOB: '[Unknown field type]',
+    LONGTEXT: '[Unknown field type]',
+    MEDIUMBLOB: '[Unknown field type]',
+    MEDIUMINT: 'MEDIUMINT',
+    MEDIUMTEXT: '[Unknown field type]',
+    NUMERIC: 'DECIMAL',
+    REAL: 'DOUBLE',
+    SET: 'CHAR',
+    SMALLINT: 'SMALLINT',
+    TEXT: '[Unknown field type]',
+    TIME: 'TIME',
+    TIMESTAMP: 'TIMESTAMP',
+    TINYBLOB: '[Unknown field type]',
+    TINYINT: 'TINYINT',
+    TINYTEXT: '[Unknown field type]',
+    VARBINARY: 'VARCHAR',
+    VARCHAR: 'VARCHAR',
+    YEAR: 'YEAR',
+}
+
+// column types that are numeric
+const NUMERIC_TYPES = ['BIGINT', 'BIT', 'DECIMAL', 'DOUBLE', 'FLOAT', 'INTEGER', 'MEDIUMINT', 'SMALLINT', 'TINYINT', 'YEAR']
+
+// comparison operators
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', '<=>']
+
+// aggregate functions
+const AGGREGATE_FUNCTIONS = ['COUNT', 'MAX', 'MIN', 'SUM']
+// named lock functions
+const LOCK_FUNCTIONS = ['GET_LOCK', 'IS_FREE_LOCK', 'RELEASE_LOCK']
+
+/* global variables */
+
+// databases keyed by name - shared by all driver instances
+var databases = {}
+// last thread id assigned to a driver instance
+var lastThreadId = 0
+// thread ids that hold named locks keyed by lock name
+var locks = {}
+
+/**
+ * @function ImmutableDatabaseMariaSQLMemoryDriver
+ *
+ * instantiate a new in-memory driver with the same interface as the mariasql
+ * client. data is kept in memory and shared by all instances that use the
+ * same db name.
+ *
+ * supports CREATE TABLE, DROP TABLE, INSERT, SELECT with WHERE, ORDER BY
+ * and LIMIT on a single table, START TRANSACTION, COMMIT and ROLLBACK.
+ * GET_LOCK, RELEASE_LOCK and IS_FREE_LOCK can be selected. GET_LOCK does
+ * not wait for a lock held by another connection. results have the same
+ * shape as mariasql with all values returned as strings.
+ *
+ * @param {object} config - connection params
+ *
+ * @returns {ImmutableDatabaseMariaSQLMemoryDriver}
+ */
+function ImmutableDatabaseMariaSQLMemoryDriver (config) {
+    // initialize event emitter
+    EventEmitter.call(this)
+    // store config
+    this.config = _.isPlainObject(config) ? config : {}
+    // connection state
+    this.closing = false
+    this.connected = true
+    this.connecting = false
+    this.threadId = String(++lastThreadId)
+    // rows inserted during transaction - removed on rollback
+    this.transactionJournal = undefined
+}
+
+util.inherits(ImmutableDatabaseMariaSQLMemoryDriver, EventEmitter)
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLMemoryDriver.escape = escape
+ImmutableDatabaseMariaSQLMemoryDriver.reset = reset
+
+_.assign(ImmutableDatabaseMariaSQLMemoryDriver.prototype, {
+    abort: abort,
+    close: close,
+    connect: connect,
+    destroy: destroy,
+    end: close,
+    escape: escape,
+    prepare: prepare,
+    query: query,
+})
+
+/**
+ * @function abort
+ *
+ * queries are executed synchronously so there is never a query to abort
+ *
+ * @param {boolean} killConn - kill connection instead of query
+ * @param {function} callback
+ *
+ * @returns {undefined}
+ */
+function abort (killConn, callback) {
+    // handle optional args
+    if (typeof killConn === 'function') {
+        callback = killConn
+    }
+    // call callback async
+    if (typeof callback === 'function') {
+        process.nextTick(callback)
+    }
+}
+
+/**
+ * @function close
+ *
+ * close connection
+ *
+ * @returns {undefined}
+ */
+function close () {
+    // only close once
+    if (!this.connected) {
+        return
+    }
+    this.connected = false
+    // release named locks held by connection
+    _.each(locks, (threadId, name) => {
+        if (threadId === this.threadId) {
+            delete locks[name]
+        }
+    })
+    // emit events async like mariasql
+    process.nextTick(() => {
+        this.emit('end')
+        this.emit('close')
+    })
+}
+
+/**
+ * @function connect
+ *
+ * reopen connection after close
+ *
+ * @param {function} callback - called when connected
+ *
+ * @returns {undefined}
+ */
+function connect (callback) {
+    // call callback when ready
+    if (typeof callback === 'function') {
+        this.once('ready', callback)
+    }
+    this.connected = true
+    // emit events async like mariasql
+    process.nextTick(() => {
+        this.emit('ready')
+    })
+}
+
+/**
+ * @function destroy
+ *
+ * close connection
+ *
+ * @returns {undefined}
+ */
+function destroy () {
+    this.close()
+}
+
+/**
+ * @function escape
+ *
+ * escape string for use in query
+ *
+ * @param {string} value
+ *
+ * @returns {string}
+ */
+function escape (value) {
+    return String(value).replace(/[\0\n\r\b\t\\'"\x1a]/g, chr => {
+        switch (chr) {
+            case '\0': return '\\0'
+            case '\n': return '\\n'
+            case '\r': return '\\r'
+            case '\b': return '\\b'
+            case '\t': return '\\t'
+            case '\x1a': return '\\Z'
+            default: return '\\'+chr
+        }
+    })
+}
+
+/**
+ * @function prepare
+ *
+ * create function that will replace placeholders in query with values
+ *
+ * @param {string} query - query string with placeholders
+ *
+ * @returns {function}
+ */
+function prepare (query) {
+    // get tokens for query - throws on invalid query
+    var tokens = tokenize(query)
+    // create function that formats values into query
+    return function (values) {
+        var sql = ''
+        var pos = 0
+        // replace each param with formatted value
+        _.each(tokens, token => {
+            if (token.type !== 'param') {
+                return
+            }
+            sql += query.slice(pos, token.start) + formatValue(values && values[token.value])
+            pos = token.end
+        })
+
+        return sql + query.slice(pos)
+    }
+}
+
+/**
+ * @function query
+ *
+ * execute query. if callback is passed then it is called with results
+ * otherwise an event emitter is returned that emits results as a stream.
+ *
+ * @param {string} query - query string
+ * @param {object|array} values - values for placeholders
+ * @param {object} options - query options
+ * @param {function} callback
+ *
+ * @returns {EventEmitter|undefined}
+ *
+ * @throws {Error}
+ */
+function query (query, values, options, callback) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('Missing query string')
+    }
+    // handle optional args
+    if (typeof values === 'function') {
+        callback = values
+        values = options = undefined
+    }
+    else if (typeof options === 'function') {
+        callback = options
+        options = undefined
+    }
+    options = _.isPlainObject(options) ? options : {}
+    // execute query
+    var err, res
+    try {
+        // do not run queries after close
+        if (!this.connected) {
+            throw sqlError(2006, 'MySQL server has gone away')
+        }
+        res = this.execute(query, values, options)
+    }
+    catch (error) {
+        err = error
+    }
+    // buffered results
+    if (typeof callback === 'function') {
+        process.nextTick(() => {
+            err ? callback(err) : callback(null, res)
+        })
+        return
+    }
+    // streamed results
+    var emitter = new EventEmitter()
+
+    process.nextTick(() => {
+        // create stream for result
+        var stream = new Readable({
+            highWaterMark: options.hwm || this.config.streamHWM || 16,
+            objectMode: true,
+            read: () => {},
+        })
+        stream.info = {
+            numRows: undefined,
+            affectedRows: undefined,
+            insertId: undefined,
+            metadata: undefined,
+        }
+        emitter.emit('result', stream)
+        // emit error on stream then end result and query like mariasql so
+        // that next query can run
+        if (err) {
+            stream.emit('error', err)
+            stream.push(null)
+            emitter.emit('end')
+            return
+        }
+        // set info
+        _.assign(stream.info, res.info)
+        // add rows to stream
+        if (Array.isArray(res)) {
+            _.each(res, row => stream.push(row))
+        }
+        // end stream
+        stream.on('end', () => emitter.emit('end'))
+        stream.push(null)
+    })
+
+    return emitter
+}
+
+/**
+ * @function reset
+ *
+ * clear all databases
+ *
+ * @returns {undefined}
+ */
+function reset () {
+    databases = {}
+    locks = {}
+}
+
+/* private methods */
+
+ImmutableDatabaseMariaSQLMemoryDriver.prototype.execute = execute
+
+/**
+ * @function execute
+ *
+ * parse and execute query
+ *
+ * @param {string} query - query string
+ * @param {object|array} values - values for placeholders
+ * @param {object} options - query options
+ *
+ * @returns {array|object}
+ *
+ * @throws {Error}
+ */
+function execute (query, values, options) {
+    // parse query
+    var parser = new Parser(query, values)
+    var statement = parser.parseStatement()
+    // get database
+    var dbName = this.config.db || ''
+    var database = databases[dbName] || (databases[dbName] = {name: dbName, tables: {}})
+    // execute statement
+    switch (statement.type) {
+        case 'COMMIT':
+            this.transactionJournal = undefined
+            return infoResult(0, 0)
+        case 'CREATE':
+            this.transactionJournal = undefined
+            return executeCreate(database, statement)
+        case 'DROP':
+            this.transactionJournal = undefined
+            return executeDrop(database, statement)
+        case 'INSERT':
+            return executeInsert(database, statement, this.transactionJournal)
+        case 'ROLLBACK':
+            rollback(this.transactionJournal)
+            this.transactionJournal = undefined
+            return infoResult(0, 0)
+        case 'SELECT':
+            resolveLockCalls(statement, this.threadId)
+            return executeSelect(database, statement, options)
+        // starting a transaction implicitly commits open transaction
+        case 'START':
+            this.transactionJournal = []
+            return infoResult(0, 0)
+    }
+}
+
+/* private functions */
+
+/**
+ * @function compareValues
+ *
+ * compare values numerically if both are numbers and otherwise as case
+ * insensitive strings. null is less than any other value.
+ *
+ * @param {*} a
+ * @param {*} b
+ *
+ * @returns {number}
+ */
+function compareValues (a, b) {
+    if (a === null || b === null) {
+        return a === b ? 0 : (a === null ? -1 : 1)
+    }
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b)
+    }
+    a = String(a).toLowerCase()
+    b = String(b).toLowerCase()
+
+    return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * @function currentTimestamp
+ *
+ * get current time formatted like mysql
+ *
+ * @returns {string}
+ */
+function currentTimestamp () {
+    var date = new Date()
+    var pad = num => (num < 10 ? '0' : '')+num
+
+    return date.getFullYear()+'-'+pad(date.getMonth()+1)+'-'+pad(date.getDate())
+        +' '+pad(date.getHours())+':'+pad(date.getMinutes())+':'+pad(date.getSeconds())
+}
+
+/**
+ * @function evaluate
+ *
+ * evaluate expression for row
+ *
+ * @param {object} expr - expression node
+ * @param {object} row - row data keyed by column name
+ * @param {object} table - table row is from
+ *
+ * @returns {*}
+ *
+ * @throws {Error}
+ */
+function evaluate (expr, row, table) {
+    var left, right
+    switch (expr.type) {
+        case 'and':
+            left = toBoolean(evaluate(expr.left, row, table))
+            if (left === false) {
+                return 0
+            }
+            right = toBoolean(evaluate(expr.right, row, table))
+            return left === null || right === null ? (right === false ? 0 : null) : (right ? 1 : 0)
+        case 'between':
+            left = evaluate(expr.expr, row, table)
+            var low = evaluate(expr.low, row, table)
+            var high = evaluate(expr.high, row, table)
+            if (left === null || low === null || high === null) {
+                return null
+            }
+            return (compareValues(left, low) >= 0 && compareValues(left, high) <= 0) !== expr.not ? 1 : 0
+        case 'call':
+            return evaluateCall(expr, row, table)
+        case 'column':
+            // get column from row
+            if (row && _.has(row, expr.name)) {
+                return row[expr.name]
+            }
+            throw sqlError(1054, "Unknown column '"+expr.name+"' in 'field list'")
+        case 'compare':
+            left = evaluate(expr.left, row, table)
+            right = evaluate(expr.right, row, table)
+            // null safe equality
+            if (expr.operator === '<=>') {
+                return (left === null || right === null ? left === right : compareValues(left, right) === 0) ? 1 : 0
+            }
+            if (left === null || right === null) {
+                return null
+            }
+            var cmp = compareValues(left, right)
+            switch (expr.operator) {
+                case '=': return cmp === 0 ? 1 : 0
+                case '!=':
+                case '<>': return cmp !== 0 ? 1 : 0
+                case '<': return cmp < 0 ? 1 : 0
+                case '<=': return cmp <= 0 ? 1 : 0
+                case '>': return cmp > 0 ? 1 : 0
+                case '>=': return cmp >= 0 ? 1 : 0
+            }
+            break
+        case 'in':
+            left = evaluate(expr.expr, row, table)
+            if (left === null) {
+                return null
+            }
+            // params with array values are expanded to list
+            var list = _.flatten(_.map(expr.list, item => evaluate(item, row, table)))
+            var found = _.some(list, item => item !== null && compareValues(left, item) === 0)
+            return found !== expr.not ? 1 : 0
+        case 'isNull':
+            left = evaluate(expr.expr, row, table)
+            return (left === null) !== expr.not ? 1 : 0
+        case 'like':
+            left = evaluate(expr.expr, row, table)
+            right = evaluate(expr.pattern, row, table)
+            if (left === null || right === null) {
+                return null
+            }
+            return likeToRegExp(String(right)).test(String(left)) !== expr.not ? 1 : 0
+        case 'literal':
+            return expr.value
+        case 'negate':
+            left = evaluate(expr.expr, row, table)
+            return left === null ? null : String(-Number(left))
+        case 'not':
+            left = toBoolean(evaluate(expr.expr, row, table))
+            return left === null ? null : (left ? 0 : 1)
+        case 'or':
+            left = toBoolean(evaluate(expr.left, row, table))
+            if (left === true) {
+                return 1
+            }
+            right = toBoolean(evaluate(expr.right, row, table))
+            return left === null || right === null ? (right === true ? 1 : null) : (right ? 1 : 0)
+        case 'param':
+            return paramValue(expr.value)
+    }
+}
+
+/**
+ * @function evaluateCall
+ *
+ * evaluate function call
+ *
+ * @param {object} expr - function call expression node
+ * @param {object} row - row data keyed by column name
+ * @param {object} table - table row is from
+ *
+ * @returns {*}
+ *
+ * @throws {Error}
+ */
+function evaluateCall (expr, row, table) {
+    // aggregate values are calculated before evaluating row
+    if (_.includes(AGGREGATE_FUNCTIONS, expr.name)) {
+        return row && _.has(row, expr.key) ? row[expr.key] : null
+    }
+    // evaluate args
+    var args = _.map(expr.args, arg => evaluate(arg, row, table))
+
+    switch (expr.name) {
+        case 'COALESCE':
+        case 'IFNULL':
+            var value = _.find(args, arg => arg !== null)
+            return value === undefined ? null : value
+        case 'CONCAT':
+            return _.some(args, arg => arg === null) ? null : args.join('')
+        case 'CURRENT_TIMESTAMP':
+        case 'NOW':
+            return currentTimestamp()
+        case 'LENGTH':
+            return args[0] === null ? null : String(Buffer.byteLength(String(args[0])))
+        case 'LOWER':
+            return args[0] === null ? null : String(args[0]).toLowerCase()
+        case 'UPPER':
+            return args[0] === null ? null : String(args[0]).toUpperCase()
+    }
+
+    throw sqlError(1305, 'FUNCTION '+expr.name+' does not exist')
+}
+
+/**
+ * @function executeCreate
+ *
+ * create table
+ *
+ * @param {object} database
+ * @param {object} statement - parsed statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function executeCreate (database, statement) {
+    // check if table exists
+    if (database.tables[statement.table]) {
+        // do nothing if create if not exists
+        if (statement.ifNotExists) {
+            return infoResult(0, 0)
+        }
+        throw sqlError(1050, "Table '"+statement.table+"' already exists")
+    }
+    // create table
+    database.tables[statement.table] = {
+        autoIncrement: 1,
+        columns: statement.columns,
+        keys: statement.keys,
+        name: statement.table,
+        rows: [],
+    }
+
+    return infoResult(0, 0)
+}
+
+/**
+ * @function executeDrop
+ *
+ * drop table
+ *
+ * @param {object} database
+ * @param {object} statement - parsed statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function executeDrop (database, statement) {
+    // check if table exists
+    if (!database.tables[statement.table]) {
+        // do nothing if drop if exists
+        if (statement.ifExists) {
+            return infoResult(0, 0)
+        }
+        throw sqlError(1051, "Unknown table '"+statement.table+"'")
+    }
+    // delete table
+    delete database.tables[statement.table]
+
+    return infoResult(0, 0)
+}
+
+/**
+ * @function executeInsert
+ *
+ * insert rows into table. all rows are validated before any are inserted.
+ *
+ * @param {object} database
+ * @param {object} statement - parsed statement
+ * @param {array|undefined} journal - transaction journal
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function executeInsert (database, statement, journal) {
+    // get table
+    var table = getTable(database, statement.table)
+    // get column names to insert - use all columns if not set
+    var columnNames = statement.columns || _.map(table.columns, 'name')
+    // validate column names
+    _.each(columnNames, name => {
+        if (!_.find(table.columns, {name: name})) {
+            throw sqlError(1054, "Unknown column '"+name+"' in 'field list'")
+        }
+    })
+    // rows to insert
+    var rows = []
+    // next auto increment value
+    var autoIncrement = table.autoIncrement
+    // id of first auto increment value inserted
+    var insertId = 0
+    // build rows
+    _.each(statement.values, (values, rowNum) => {
+        // require correct number of values
+        if (values.length !== columnNames.length) {
+            throw sqlError(1136, "Column count doesn't match value count at row "+(rowNum+1))
+        }
+        // evaluate values
+        var inserted = _.zipObject(columnNames, _.map(values, value => toStoredValue(evaluate(value))))
+        // build row with all columns
+        var row = {}
+        _.each(table.columns, column => {
+            var value = _.has(inserted, column.name) ? inserted[column.name] : undefined
+            // auto increment
+            if (column.autoIncrement && (value === undefined || value === null || value === '0')) {
+                value = String(autoIncrement++)
+                // store first auto increment value
+                if (!insertId) {
+                    insertId = value
+                }
+            }
+            // update auto increment counter if value set explicitly
+            else if (column.autoIncrement && isNumeric(value) && Number(value) >= autoIncrement) {
+                autoIncrement = Number(value) + 1
+            }
+            // use default
+            if (value === undefined) {
+                if (column.default === undefined && column.notNull) {
+                    throw sqlError(1364, "Field '"+column.name+"' doesn't have a default value")
+                }
+                value = column.default === undefined ? null : toStoredValue(evaluate(column.default))
+            }
+            // check not null
+            if (value === null && column.notNull) {
+                throw sqlError(1048, "Column '"+column.name+"' cannot be null")
+            }
+            row[column.name] = value
+        })
+        // check for duplicate keys in existing and new rows
+        var duplicate = findDuplicateKey(table, table.rows.concat(rows), row)
+        if (duplicate) {
+            // skip row on insert ignore
+            if (statement.ignore) {
+                return
+            }
+            throw sqlError(1062, "Duplicate entry '"+duplicate.value+"' for key '"+duplicate.name+"'")
+        }
+        rows.push(row)
+    })
+    // insert rows
+    table.autoIncrement = autoIncrement
+    _.each(rows, row => {
+        table.rows.push(row)
+        // record row so that it can be removed on rollback
+        if (journal) {
+            journal.push({row: row, table: table})
+        }
+    })
+
+    return infoResult(rows.length, insertId)
+}
+
+/**
+ * @function executeSelect
+ *
+ * select rows
+ *
+ * @param {object} database
+ * @param {object} statement - parsed statement
+ * @param {object} options - query options
+ *
+ * @returns {array}
+ *
+ * @throws {Error}
+ */
+function executeSelect (database, statement, options) {
+    // get table if any
+    var table = statement.table ? getTable(database, statement.table) : undefined
+    // get rows - select without table has single empty row
+    var rows = table ? table.rows : [{}]
+    // get names of columns that can be referenced
+    var columnNames = table ? _.map(table.columns, 'name') : []
+    // validate columns before evaluating so errors do not depend on data
+    validateColumns(statement.fields, columnNames)
+    validateColumns(statement.where, columnNames)
+    validateColumns(statement.order, columnNames.concat(_.map(statement.fields, 'name')))
+    // filter rows
+    if (statement.where) {
+        rows = _.filter(rows, row => toBoolean(evaluate(statement.where, row, table)) === true)
+    }
+    // expand select * to all table columns
+    var fields = _.flatten(_.map(statement.fields, field => {
+        if (!field.all) {
+            return field
+        }
+        if (!table) {
+            throw sqlError(1096, 'No tables used')
+        }
+        return _.map(table.columns, column => {
+            return {expr: {name: column.name, type: 'column'}, name: column.name}
+        })
+    }))
+    // calculate aggregates - reduces result to a single row
+    var aggregates = getAggregates(fields, statement.order)
+    if (aggregates.length) {
+        // non-aggregate columns use values from first row
+        rows = [_.assign({}, rows[0], calculateAggregates(aggregates, rows, table))]
+    }
+    // build output rows - keep source row for sorting
+    var results = _.map(rows, row => {
+        var output = {}
+        _.each(fields, field => {
+            output[field.name] = toStoredValue(evaluate(field.expr, row, table))
+        })
+        return {output: output, row: row}
+    })
+    // sort results
+    if (statement.order) {
+        results.sort((a, b) => {
+            for (var i = 0; i < statement.order.length; i++) {
+                var order = statement.order[i]
+                // order expression can use output aliases or source columns
+                var context = _.assign({}, a.row, a.output)
+                var aVal = evaluate(order.expr, context, table)
+                context = _.assign({}, b.row, b.output)
+                var bVal = evaluate(order.expr, context, table)
+                var cmp = compareValues(aVal, bVal)
+                if (cmp !== 0) {
+                    return order.desc ? -cmp : cmp
+                }
+            }
+            return 0
+        })
+    }
+    // apply limit
+    if (statement.limit !== undefined) {
+        results = results.slice(statement.offset || 0, (statement.offset || 0) + statement.limit)
+    }
+    // get output rows
+    var res = _.map(results, result => {
+        return options.useArray ? _.map(fields, field => result.output[field.name]) : result.output
+    })
+    // add info
+    res.info = {
+        numRows: String(res.length),
+        affectedRows: String(res.length),
+        insertId: '0',
+        metadata: options.metadata ? getMetadata(database, table, fields) : undefined,
+    }
+
+    return res
+}
+
+/**
+ * @function calculateAggregates
+ *
+ * calculate values of aggregate functions
+ *
+ * @param {array} aggregates - aggregate function expression nodes
+ * @param {array} rows - rows to aggregate
+ * @param {object} table - table rows are from
+ *
+ * @returns {object}
+ */
+function calculateAggregates (aggregates, rows, table) {
+    var values = {}
+
+    _.each(aggregates, aggregate => {
+        // get non-null values - count(*) counts all rows
+        var args = aggregate.args[0].all
+            ? rows
+            : _.filter(_.map(rows, row => evaluate(aggregate.args[0], row, table)), val => val !== null)
+
+        switch (aggregate.name) {
+            case 'COUNT':
+                values[aggregate.key] = String(args.length)
+                break
+            case 'MAX':
+                values[aggregate.key] = args.length ? args.reduce((a, b) => compareValues(a, b) >= 0 ? a : b) : null
+                break
+            case 'MIN':
+                values[aggregate.key] = args.length ? args.reduce((a, b) => compareValues(a, b) <= 0 ? a : b) : null
+                break
+            case 'SUM':
+                values[aggregate.key] = args.length ? String(_.sumBy(args, Number)) : null
+                break
+        }
+    })
+
+    return values
+}
+
+/**
+ * @function findDuplicateKey
+ *
+ * check if row has duplicate value for any primary or unique key
+ *
+ * @param {object} table
+ * @param {array} rows - rows to check against
+ * @param {object} row - row to check
+ *
+ * @returns {object|undefined}
+ */
+function findDuplicateKey (table, rows, row) {
+    var duplicate
+
+    _.find(table.keys, key => {
+        // get values for key
+        var values = _.map(key.columns, name => row[name])
+        // null values are never duplicates
+        if (_.some(values, value => value === null)) {
+            return false
+        }
+        // check for row with same values
+        var found = _.some(rows, existing => {
+            return _.every(key.columns, (name, i) => compareValues(existing[name], values[i]) === 0)
+        })
+        // set duplicate key info
+        if (found) {
+            duplicate = {name: key.name, value: values.join('-')}
+        }
+        return found
+    })
+
+    return duplicate
+}
+
+/**
+ * @function formatValue
+ *
+ * format value for use in query - same as mariasql
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function formatValue (value) {
+    if (Buffer.isBuffer(value)) {
+        return "'"+escape(value.toString('utf8'))+"'"
+    }
+    else if (Array.isArray(value)) {
+        return _.map(value, formatValue).join(',')
+    }
+    else if (value !== null && value !== undefined) {
+        return "'"+escape(value+'')+"'"
+    }
+
+    return 'NULL'
+}
+
+/**
+ * @function getAggregates
+ *
+ * get aggregate function calls from select fields and order by
+ *
+ * @param {array} fields - select fields
+ * @param {array} order - order by expressions
+ *
+ * @returns {array}
+ */
+function getAggregates (fields, order) {
+    var aggregates = []
+    // walk expression tree
+    var walk = expr => {
+        if (!expr || typeof expr !== 'object') {
+            return
+        }
+        if (expr.type === 'call' && _.includes(AGGREGATE_FUNCTIONS, expr.name)) {
+            aggregates.push(expr)
+            return
+        }
+        _.each(expr, walk)
+    }
+
+    walk(_.map(fields, 'expr'))
+    walk(_.map(order, 'expr'))
+
+    return aggregates
+}
+
+/**
+ * @function getMetadata
+ *
+ * get column metadata in same format as mariasql
+ *
+ * @param {object} database
+ * @param {object} table
+ * @param {array} fields - select fields
+ *
+ * @returns {object}
+ */
+function getMetadata (database, table, fields) {
+    var metadata = {}
+
+    _.each(fields, field => {
+        // get table column if field is a column
+        var column = table && field.expr.type === 'column'
+            ? _.find(table.columns, {name: field.expr.name})
+            : undefined
+
+        metadata[field.name] = {
+            org_name: column ? column.name : '',
+            type: column ? column.metadataType : (field.expr.type === 'literal' && isNumeric(field.expr.value) ? 'BIGINT' : 'VARCHAR'),
+            flags: column ? column.flags : 0,
+            charsetnr: column && column.binary ? 63 : 33,
+            db: column ? database.name : '',
+            table: column ? table.name : '',
+            org_table: column ? table.name : '',
+        }
+    })
+
+    return metadata
+}
+
+/**
+ * @function getTable
+ *
+ * get table from database
+ *
+ * @param {object} database
+ * @param {string} name - table name
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function getTable (database, name) {
+    var table = database.tables[name]
+    // require table to exist
+    if (!table) {
+        throw sqlError(1146, "Table '"+database.name+'.'+name+"' doesn't exist")
+    }
+
+    return table
+}
+
+/**
+ * @function infoResult
+ *
+ * create result for statement that does not return rows
+ *
+ * @param {number} affectedRows
+ * @param {number|string} insertId
+ *
+ * @returns {object}
+ */
+function infoResult (affectedRows, insertId) {
+    return {
+        info: {
+            numRows: '0',
+            affectedRows: String(affectedRows),
+            insertId: String(insertId),
+            metadata: undefined,
+        },
+    }
+}
+
+/**
+ * @function isNumeric
+ *
+ * check if value is a number or numeric string
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+function isNumeric (value) {
+    return typeof value === 'number'
+        || (typeof value === 'string' && /^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(value))
+}
+
+/**
+ * @function likeToRegExp
+ *
+ * convert sql LIKE pattern to case insensitive regular expression
+ *
+ * @param {string} pattern
+ *
+ * @returns {RegExp}
+ */
+function likeToRegExp (pattern) {
+    var regExp = ''
+
+    for (var i = 0; i < pattern.length; i++) {
+        var chr = pattern[i]
+        if (chr === '\\' && i + 1 < pattern.length) {
+            regExp += _.escapeRegExp(pattern[++i])
+        }
+        else if (chr === '%') {
+            regExp += '[\\s\\S]*'
+        }
+        else if (chr === '_') {
+            regExp += '[\\s\\S]'
+        }
+        else {
+            regExp += _.escapeRegExp(chr)
+        }
+    }
+
+    return new RegExp('^'+regExp+'$', 'i')
+}
+
+/**
+ * @function paramValue
+ *
+ * convert param value to value used in query. values are converted to
+ * strings the same as mariasql does when formatting query.
+ *
+ * @param {*} value
+ *
+ * @returns {*}
+ */
+function paramValue (value) {
+    if (value === null || value === undefined) {
+        return null
+    }
+    else if (Buffer.isBuffer(value)) {
+        return value.toString('utf8')
+    }
+    else if (Array.isArray(value)) {
+        return _.map(value, paramValue)
+    }
+
+    return String(value)
+}
+
+/**
+ * @function resolveLockCalls
+ *
+ * replace named lock function calls in select fields with their result.
+ * locks are owned by the connection so they are resolved before the select
+ * is evaluated.
+ *
+ * @param {object} statement - parsed select statement
+ * @param {string} threadId - thread id of connection
+ *
+ * @returns {undefined}
+ */
+function resolveLockCalls (statement, threadId) {
+    _.each(statement.fields, field => {
+        // only top level calls are resolved
+        if (!field.expr || field.expr.type !== 'call' || !_.includes(LOCK_FUNCTIONS, field.expr.name)) {
+            return
+        }
+        // get lock name
+        var name = evaluate(field.expr.args[0], null, null)
+        var value
+        switch (field.expr.name) {
+            case 'GET_LOCK':
+                // lock is acquired if free or already held by connection
+                if (locks[name] === undefined || locks[name] === threadId) {
+                    locks[name] = threadId
+                    value = '1'
+                }
+                else {
+                    value = '0'
+                }
+                break
+            case 'IS_FREE_LOCK':
+                value = locks[name] === undefined ? '1' : '0'
+                break
+            case 'RELEASE_LOCK':
+                // null if lock does not exist
+                if (locks[name] === undefined) {
+                    value = null
+                }
+                else if (locks[name] === threadId) {
+                    delete locks[name]
+                    value = '1'
+                }
+                else {
+                    value = '0'
+                }
+                break
+        }
+        // replace call with result
+        field.expr = {type: 'literal', value: value}
+    })
+}
+
+/**
+ * @function rollback
+ *
+ * remove rows inserted during transaction
+ *
+ * @param {array|undefined} journal - transaction journal
+ *
+ * @returns {undefined}
+ */
+function rollback (journal) {
+    _.eachRight(journal, entry => {
+        _.pull(entry.table.rows, entry.row)
+    })
+}
+
+/**
+ * @function sqlError
+ *
+ * create error with mysql error code
+ *
+ * @param {number} code - mysql error code
+ * @param {string} message
+ *
+ * @returns {Error}
+ */
+function sqlError (code, message) {
+    var err = new Error(message)
+    err.code = code
+
+    return err
+}
+
+/**
+ * @function toBoolean
+ *
+ * convert value to sql boolean - null is unknown
+ *
+ * @param {*} value
+ *
+ * @returns {boolean|null}
+ */
+function toBoolean (value) {
+    if (value === null || value === undefined) {
+        return null
+    }
+    return isNumeric(value) ? Number(value) !== 0 : false
+}
+
+/**
+ * @function toStoredValue
+ *
+ * convert value to string the same as values returned by mariasql
+ *
+ * @param {*} value
+ *
+ * @returns {string|null}
+ */
+function toStoredValue (value) {
+    if (Array.isArray(value)) {
+        throw sqlError(1241, 'Operand should contain 1 column(s)')
+    }
+    return value === null || value === undefined ? null : String(value)
+}
+
+/**
+ * @function tokenize
+ *
+ * split query into tokens. whitespace and comments are removed.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {array}
+ *
+ * @throws {Error}
+ */
+function tokenize (query) {
+    var tokens = []
+    var pos = 0
+    // number of positional params
+    var paramNum = 0
+
+    while (pos < query.length) {
+        var chr = query[pos]
+        var start = pos
+        var match
+        // whitespace
+        if (/\s/.test(chr)) {
+            pos++
+        }
+        // comments
+        else if (query.startsWith('--', pos) || chr === '#') {
+            pos = query.indexOf('\n', pos)
+            pos = pos === -1 ? query.length : pos + 1
+        }
+        else if (query.startsWith('/*', pos)) {
+            pos = query.indexOf('*/', pos + 2)
+            if (pos === -1) {
+                throw syntaxError(query, start)
+            }
+            pos += 2
+        }
+        // quoted strings
+        else if (chr === "'" || chr === '"') {
+            var value = ''
+            pos++
+            while (true) {
+                if (pos >= query.length) {
+                    throw syntaxError(query, start)
+                }
+                if (query[pos] === '\\') {
+                    var escaped = query[pos + 1]
+                    value += {0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a'}[escaped] || escaped
+                    pos += 2
+                }
+                else if (query[pos] === chr) {
+                    // quote escaped by doubling
+                    if (query[pos + 1] === chr) {
+                        value += chr
+                        pos += 2
+                    }
+                    else {
+                        pos++
+                        break
+                    }
+                }
+                else {
+                    value += query[pos++]
+                }
+            }
+            tokens.push({end: pos, start: start, type: 'string', value: value})
+        }
+        // quoted identifiers
+        else if (chr === '`') {
+            pos = query.indexOf('`', pos + 1)
+            if (pos === -1) {
+                throw syntaxError(query, start)
+            }
+            pos++
+            tokens.push({end: pos, start: start, type: 'identifier', value: query.slice(start + 1, pos - 1)})
+        }
+        // numbers
+        else if ((match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'number', value: match[0]})
+        }
+        // words
+        else if ((match = /^[a-z_$][a-z0-9_$]*/i.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'word', upper: match[0].toUpperCase(), value: match[0]})
+        }
+        // named params
+        else if ((match = /^:(\d+|[a-z][a-z0-9_]*)/i.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'param', value: match[1]})
+        }
+        // positional params
+        else if (chr === '?') {
+            pos++
+            tokens.push({end: pos, start: start, type: 'param', value: paramNum++})
+        }
+        // operators
+        else if ((match = /^(<=>|<=|>=|<>|!=|[=<>(),.*;+-])/.exec(query.slice(pos)))) {
+            pos += match[0].length
+            tokens.push({end: pos, start: start, type: 'operator', value: match[0]})
+        }
+        else {
+            throw syntaxError(query, start)
+        }
+    }
+
+    return tokens
+}
+
+/**
+ * @function syntaxError
+ *
+ * create syntax error for position in query
+ *
+ * @param {string} query - query string
+ * @param {number} pos - position of error
+ *
+ * @returns {Error}
+ */
+function syntaxError (query, pos) {
+    return sqlError(1064, "You have an error in your SQL syntax; check the manual that corresponds to your MariaDB server version for the right syntax to use near '"+query.slice(pos, pos + 80)+"' at line 1")
+}
+
+/**
+ * @function validateColumns
+ *
+ * check that all columns referenced in expression exist
+ *
+ * @param {object|array} expr - expression node(s)
+ * @param {array} columnNames - names of columns that can be referenced
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function validateColumns (expr, columnNames) {
+    // walk expression tree
+    if (!expr || typeof expr !== 'object' || expr.type === 'literal' || expr.type === 'param') {
+        return
+    }
+    if (expr.type === 'column' && !_.includes(columnNames, expr.name)) {
+        throw sqlError(1054, "Unknown column '"+expr.name+"' in 'field list'")
+    }
+    _.each(expr, child => validateColumns(child, columnNames))
+}
+
+/* Parser */
+
+/**
+ * @function Parser
+ *
+ * recursive descent parser for the supported subset of sql
+ *
+ * @param {string} query - query string
+ * @param {object|array} values - values for placeholders
+ */
+function Parser (query, values) {
+    this.pos = 0
+    this.query = query
+    this.tokens = tokenize(query)
+    this.values = values || {}
+}
+
+Parser.prototype = {
+    accept: parserAccept,
+    expect: parserExpect,
+    expectIdentifier: parserExpectIdentifier,
+    parseColumnDefinition: parserParseColumnDefinition,
+    parseCreate: parserParseCreate,
+    parseDrop: parserParseDrop,
+    parseExpr: parserParseExpr,
+    parseInsert: parserParseInsert,
+    parseLimitValue: parserParseLimitValue,
+    parseNameList: parserParseNameList,
+    parsePrimary: parserParsePrimary,
+    parseSelect: parserParseSelect,
+    parseStatement: parserParseStatement,
+    peek: parserPeek,
+    skipDefinition: parserSkipDefinition,
+    skipParens: parserSkipParens,
+    syntaxError: parserSyntaxError,
+}
+
+/**
+ * @function parserAccept
+ *
+ * consume next token if it matches keyword or operator
+ *
+ * @param {string} value - upper case keyword or operator
+ *
+ * @returns {object|undefined}
+ */
+function parserAccept (value) {
+    var token = this.peek()
+    if (token && (token.upper === value || (token.type === 'operator' && token.value === value))) {
+        this.pos++
+        return token
+    }
+}
+
+/**
+ * @function parserExpect
+ *
+ * consume next token which must match keyword or operator
+ *
+ * @param {string} value - upper case keyword or operator
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserExpect (value) {
+    var token = this.accept(value)
+    if (!token) {
+        throw this.syntaxError()
+    }
+    return token
+}
+
+/**
+ * @function parserExpectIdentifier
+ *
+ * consume identifier. qualified names return the last part.
+ *
+ * @returns {string}
+ *
+ * @throws {Error}
+ */
+function parserExpectIdentifier () {
+    var token = this.peek()
+    if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+        throw this.syntaxError()
+    }
+    this.pos++
+    // use last part of qualified name
+    if (this.accept('.')) {
+        return this.expectIdentifier()
+    }
+    return token.value
+}
+
+/**
+ * @function parserParseColumnDefinition
+ *
+ * parse column definition from create table
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseColumnDefinition () {
+    // get column name and type
+    var column = {name: this.expectIdentifier()}
+    var typeToken = this.peek()
+    if (!typeToken || typeToken.type !== 'word' || !COLUMN_TYPES[typeToken.upper]) {
+        throw this.syntaxError()
+    }
+    this.pos++
+    column.type = typeToken.upper
+    column.metadataType = COLUMN_TYPES[column.type]
+    // skip type args
+    this.skipParens()
+    // parse column attributes
+    var flags = 0
+    var token
+    while ((token = this.peek()) && !(token.type === 'operator' && (token.value === ',' || token.value === ')'))) {
+        if (this.accept('NOT')) {
+            this.expect('NULL')
+            column.notNull = true
+        }
+        else if (this.accept('NULL')) {
+            column.notNull = false
+        }
+        else if (this.accept('DEFAULT')) {
+            column.default = this.parsePrimary()
+        }
+        else if (this.accept('AUTO_INCREMENT')) {
+            column.autoIncrement = true
+        }
+        else if (this.accept('PRIMARY')) {
+            this.expect('KEY')
+            column.primaryKey = true
+            column.notNull = true
+        }
+        else if (this.accept('UNIQUE')) {
+            this.accept('KEY')
+            column.unique = true
+        }
+        else if (this.accept('UNSIGNED')) {
+            flags |= UNSIGNED_FLAG
+        }
+        else if (this.accept('BINARY')) {
+            column.binary = true
+        }
+        else if (this.accept('COMMENT')) {
+            this.pos++
+        }
+        else if (this.accept('CHARACTER')) {
+            this.expect('SET')
+            this.pos++
+        }
+        else if (this.accept('COLLATE') || this.accept('CHARSET')) {
+            this.pos++
+        }
+        else if (this.accept('ON')) {
+            this.expect('UPDATE')
+            this.parsePrimary()
+        }
+        else {
+            this.pos++
+        }
+    }
+    // set flags
+    if (column.notNull) {
+        flags |= NOT_NULL_FLAG
+    }
+    if (column.primaryKey) {
+        flags |= PRI_KEY_FLAG
+    }
+    if (column.unique) {
+        flags |= UNIQUE_KEY_FLAG
+    }
+    if (column.autoIncrement) {
+        flags |= AUTO_INCREMENT_FLAG
+    }
+    if (_.includes(NUMERIC_TYPES, column.metadataType)) {
+        flags |= NUM_FLAG
+    }
+    if (column.metadataType === '[Unknown field type]') {
+        flags |= BLOB_FLAG
+    }
+    if (column.binary || _.includes(['BINARY', 'VARBINARY', 'BLOB', 'TINYBLOB', 'MEDIUMBLOB', 'LONGBLOB'], column.type)) {
+        column.binary = true
+        flags |= BINARY_FLAG
+    }
+    column.flags = flags
+
+    return column
+}
+
+/**
+ * @function parserParseCreate
+ *
+ * parse CREATE TABLE statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseCreate () {
+    this.expect('TABLE')
+    // check for if not exists
+    var ifNotExists = false
+    if (this.accept('IF')) {
+        this.expect('NOT')
+        this.expect('EXISTS')
+        ifNotExists = true
+    }
+    var statement = {
+        columns: [],
+        ifNotExists: ifNotExists,
+        keys: [],
+        table: this.expectIdentifier(),
+        type: 'CREATE',
+    }
+    // parse column and key definitions
+    this.expect('(')
+    do {
+        // primary key
+        if (this.accept('PRIMARY')) {
+            this.expect('KEY')
+            statement.keys.push({columns: this.parseNameList(), name: 'PRIMARY'})
+        }
+        // unique key
+        else if (this.accept('UNIQUE')) {
+            this.accept('KEY') || this.accept('INDEX')
+            var name = this.peek().type === 'operator' ? undefined : this.expectIdentifier()
+            var columns = this.parseNameList()
+            statement.keys.push({columns: columns, name: name || columns[0]})
+        }
+        // non-unique keys are ignored
+        else if (this.accept('KEY') || this.accept('INDEX')) {
+            if (this.peek().type !== 'operator') {
+                this.expectIdentifier()
+            }
+            this.parseNameList()
+        }
+        // constraints are ignored
+        else if (this.peek() && _.includes(['CHECK', 'CONSTRAINT', 'FOREIGN', 'FULLTEXT'], this.peek().upper)) {
+            this.skipDefinition()
+        }
+        // column
+        else {
+            statement.columns.push(this.parseColumnDefinition())
+        }
+    } while (this.accept(','))
+    this.expect(')')
+    // add column keys
+    _.each(statement.columns, column => {
+        if (column.primaryKey) {
+            statement.keys.push({columns: [column.name], name: 'PRIMARY'})
+        }
+        else if (column.unique) {
+            statement.keys.push({columns: [column.name], name: column.name})
+        }
+    })
+    // set not null and key flags for columns in keys
+    _.each(statement.keys, key => {
+        _.each(key.columns, name => {
+            var column = _.find(statement.columns, {name: name})
+            if (!column) {
+                throw sqlError(1072, "Key column '"+name+"' doesn't exist in table")
+            }
+            if (key.name === 'PRIMARY') {
+                column.notNull = true
+                column.flags |= NOT_NULL_FLAG | PRI_KEY_FLAG
+            }
+            else {
+                column.flags |= UNIQUE_KEY_FLAG
+            }
+        })
+    })
+    // table options are ignored
+    this.pos = this.tokens.length
+
+    return statement
+}
+
+/**
+ * @function parserParseDrop
+ *
+ * parse DROP TABLE statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseDrop () {
+    this.expect('TABLE')
+    // check for if exists
+    var ifExists = false
+    if (this.accept('IF')) {
+        this.expect('EXISTS')
+        ifExists = true
+    }
+
+    return {
+        ifExists: ifExists,
+        table: this.expectIdentifier(),
+        type: 'DROP',
+    }
+}
+
+/**
+ * @function parserParseExpr
+ *
+ * parse expression. precedence from lowest to highest is OR, AND, NOT,
+ * comparison and then primary expressions.
+ *
+ * @param {number} level - precedence level
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseExpr (level) {
+    level = level || 0
+    var expr
+    // OR
+    if (level === 0) {
+        expr = this.parseExpr(1)
+        while (this.accept('OR')) {
+            expr = {left: expr, right: this.parseExpr(1), type: 'or'}
+        }
+        return expr
+    }
+    // AND
+    if (level === 1) {
+        expr = this.parseExpr(2)
+        while (this.accept('AND')) {
+            expr = {left: expr, right: this.parseExpr(2), type: 'and'}
+        }
+        return expr
+    }
+    // NOT
+    if (level === 2) {
+        if (this.accept('NOT')) {
+            return {expr: this.parseExpr(2), type: 'not'}
+        }
+        return this.parseExpr(3)
+    }
+    // comparison
+    expr = this.parsePrimary()
+    var token = this.peek()
+    // comparison operator
+    if (token && token.type === 'operator' && _.includes(COMPARISON_OPERATORS, token.value)) {
+        this.pos++
+        return {left: expr, operator: token.value, right: this.parsePrimary(), type: 'compare'}
+    }
+    // IS [NOT] NULL
+    if (this.accept('IS')) {
+        var isNot = !!this.accept('NOT')
+        this.expect('NULL')
+        return {expr: expr, not: isNot, type: 'isNull'}
+    }
+    // [NOT] IN, LIKE, BETWEEN
+    var not = !!this.accept('NOT')
+    if (this.accept('IN')) {
+        this.expect('(')
+        var list = []
+        do {
+            list.push(this.parsePrimary())
+        } while (this.accept(','))
+        this.expect(')')
+        return {expr: expr, list: list, not: not, type: 'in'}
+    }
+    if (this.accept('LIKE')) {
+        return {expr: expr, not: not, pattern: this.parsePrimary(), type: 'like'}
+    }
+    if (this.accept('BETWEEN')) {
+        var low = this.parsePrimary()
+        this.expect('AND')
+        return {expr: expr, high: this.parsePrimary(), low: low, not: not, type: 'between'}
+    }
+    // NOT must be followed by IN, LIKE or BETWEEN
+    if (not) {
+        throw this.syntaxError()
+    }
+
+    return expr
+}
+
+/**
+ * @function parserParseInsert
+ *
+ * parse INSERT statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseInsert () {
+    var statement = {
+        ignore: !!this.accept('IGNORE'),
+        type: 'INSERT',
+        values: [],
+    }
+    this.accept('INTO')
+    statement.table = this.expectIdentifier()
+    // column list is optional
+    if (this.peek() && this.peek().value === '(') {
+        statement.columns = this.parseNameList()
+    }
+    // parse values
+    this.accept('VALUES') || this.expect('VALUE')
+    do {
+        var values = []
+        this.expect('(')
+        do {
+            var expr = this.parseExpr()
+            // array params are formatted as list of values by mariasql
+            if (expr.type === 'param' && Array.isArray(expr.value)) {
+                _.each(expr.value, value => {
+                    values.push({type: 'param', value: value})
+                })
+            }
+            else {
+                values.push(expr)
+            }
+        } while (this.accept(','))
+        this.expect(')')
+        statement.values.push(values)
+    } while (this.accept(','))
+
+    return statement
+}
+
+/**
+ * @function parserParseLimitValue
+ *
+ * parse number or param for LIMIT
+ *
+ * @returns {number}
+ *
+ * @throws {Error}
+ */
+function parserParseLimitValue () {
+    var value = evaluate(this.parsePrimary())
+    // require non-negative integer
+    if (!isNumeric(value) || !/^\d+$/.test(String(value).trim())) {
+        throw this.syntaxError()
+    }
+    return Number(value)
+}
+
+/**
+ * @function parserParseNameList
+ *
+ * parse parenthesized list of identifiers
+ *
+ * @returns {array}
+ *
+ * @throws {Error}
+ */
+function parserParseNameList () {
+    var names = []
+    this.expect('(')
+    do {
+        names.push(this.expectIdentifier())
+        // skip key length
+        this.skipParens()
+        // skip sort order
+        this.accept('ASC') || this.accept('DESC')
+    } while (this.accept(','))
+    this.expect(')')
+
+    return names
+}
+
+/**
+ * @function parserParsePrimary
+ *
+ * parse literal, param, column, function call or parenthesized expression
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParsePrimary () {
+    var token = this.peek()
+    if (!token) {
+        throw this.syntaxError()
+    }
+    this.pos++
+    // literals
+    if (token.type === 'number' || token.type === 'string') {
+        return {type: 'literal', value: token.value}
+    }
+    // params
+    if (token.type === 'param') {
+        return {type: 'param', value: this.values[token.value]}
+    }
+    // quoted identifiers
+    if (token.type === 'identifier') {
+        this.pos--
+        return {name: this.expectIdentifier(), type: 'column'}
+    }
+    // operators
+    if (token.type === 'operator') {
+        // parenthesized expression
+        if (token.value === '(') {
+            var expr = this.parseExpr()
+            this.expect(')')
+            return expr
+        }
+        // negative number
+        if (token.value === '-') {
+            return {expr: this.parsePrimary(), type: 'negate'}
+        }
+        // positive number
+        if (token.value === '+') {
+            return this.parsePrimary()
+        }
+        throw this.syntaxError(token)
+    }
+    // keyword literals
+    switch (token.upper) {
+        case 'NULL':
+            return {type: 'literal', value: null}
+        case 'TRUE':
+            return {type: 'literal', value: '1'}
+        case 'FALSE':
+            return {type: 'literal', value: '0'}
+    }
+    // function call
+    if (this.accept('(')) {
+        var call = {args: [], key: '\0aggregate'+token.start, name: token.upper, type: 'call'}
+        if (!this.accept(')')) {
+            do {
+                // count(*)
+                if (this.accept('*')) {
+                    call.args.push({all: true})
+                }
+                else {
+                    call.args.push(this.parseExpr())
+                }
+            } while (this.accept(','))
+            this.expect(')')
+        }
+        return call
+    }
+    // functions that do not require parens
+    if (token.upper === 'CURRENT_TIMESTAMP') {
+        return {args: [], name: token.upper, type: 'call'}
+    }
+    // column
+    this.pos--
+
+    return {name: this.expectIdentifier(), type: 'column'}
+}
+
+/**
+ * @function parserParseSelect
+ *
+ * parse SELECT statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseSelect () {
+    var statement = {fields: [], type: 'SELECT'}
+    // parse select fields
+    do {
+        // select *
+        if (this.accept('*')) {
+            statement.fields.push({all: true})
+            continue
+        }
+        var start = this.peek()
+        var expr = this.parseExpr()
+        var field = {expr: expr}
+        // alias
+        if (this.accept('AS')) {
+            field.name = this.peek().type === 'string' ? this.tokens[this.pos++].value : this.expectIdentifier()
+        }
+        else if (this.peek() && (this.peek().type === 'identifier'
+            || (this.peek().type === 'word' && !_.includes(['FROM', 'LIMIT', 'ORDER', 'WHERE'], this.peek().upper)))) {
+            field.name = this.expectIdentifier()
+        }
+        // column name is name of field
+        else if (expr.type === 'column') {
+            field.name = expr.name
+        }
+        // otherwise use expression text
+        else {
+            field.name = this.query.slice(start.start, this.tokens[this.pos - 1].end)
+        }
+        statement.fields.push(field)
+    } while (this.accept(','))
+    // table is optional
+    if (!this.accept('FROM')) {
+        return statement
+    }
+    statement.table = this.expectIdentifier()
+    // table alias is ignored
+    if (this.accept('AS') || (this.peek() && this.peek().type === 'identifier')
+        || (this.peek() && this.peek().type === 'word' && !_.includes(['FOR', 'LIMIT', 'LOCK', 'ORDER', 'WHERE'], this.peek().upper))) {
+        this.expectIdentifier()
+    }
+    // where
+    if (this.accept('WHERE')) {
+        statement.where = this.parseExpr()
+    }
+    // order by
+    if (this.accept('ORDER')) {
+        this.expect('BY')
+        statement.order = []
+        do {
+            var order = {expr: this.parseExpr(), desc: !!this.accept('DESC')}
+            // ascending is default
+            if (!order.desc) {
+                this.accept('ASC')
+            }
+            statement.order.push(order)
+        } while (this.accept(','))
+    }
+    // limit
+    if (this.accept('LIMIT')) {
+        statement.limit = this.parseLimitValue()
+        // LIMIT offset, count
+        if (this.accept(',')) {
+            statement.offset = statement.limit
+            statement.limit = this.parseLimitValue()
+        }
+        // LIMIT count OFFSET offset
+        else if (this.accept('OFFSET')) {
+            statement.offset = this.parseLimitValue()
+        }
+    }
+    // locking reads are ignored since queries run one at a time
+    if (this.accept('FOR')) {
+        this.expect('UPDATE')
+    }
+    else if (this.accept('LOCK')) {
+        this.expect('IN')
+        this.expect('SHARE')
+        this.expect('MODE')
+    }
+
+    return statement
+}
+
+/**
+ * @function parserParseStatement
+ *
+ * parse single statement
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function parserParseStatement () {
+    var token = this.peek()
+    var statement
+    if (!token) {
+        throw sqlError(1065, 'Query was empty')
+    }
+    this.pos++
+    switch (token.upper) {
+        case 'BEGIN':
+            this.accept('WORK')
+            statement = {type: 'START'}
+            break
+        case 'COMMIT':
+            this.accept('WORK')
+            statement = {type: 'COMMIT'}
+            break
+        case 'CREATE':
+            statement = this.parseCreate()
+            break
+        case 'DROP':
+            statement = this.parseDrop()
+            break
+        case 'INSERT':
+            statement = this.parseInsert()
+            break
+        case 'ROLLBACK':
+            this.accept('WORK')
+            statement = {type: 'ROLLBACK'}
+            break
+        case 'SELECT':
+            statement = this.parseSelect()
+            break
+        case 'START':
+            this.expect('TRANSACTION')
+            statement = {type: 'START'}
+            break
+        default:
+            throw this.syntaxError(token)
+    }
+    // allow trailing semicolon
+    this.accept(';')
+    // require all tokens to be consumed
+    if (this.pos < this.tokens.length) {
+        throw this.syntaxError()
+    }
+
+    return statement
+}
+
+/**
+ * @function parserPeek
+ *
+ * get next token without consuming it
+ *
+ * @returns {object|undefined}
+ */
+function parserPeek () {
+    return this.tokens[this.pos]
+}
+
+/**
+ * @function parserSkipDefinition
+ *
+ * skip tokens until the end of the current definition in create table
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function parserSkipDefinition () {
+    var token
+    while ((token = this.peek()) && !(token.type === 'operator' && (token.value === ',' || token.value === ')'))) {
+        if (token.type === 'operator' && token.value === '(') {
+            this.skipParens()
+        }
+        else {
+            this.pos++
+        }
+    }
+}
+
+/**
+ * @function parserSkipParens
+ *
+ * skip parenthesized list if next token is open paren
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function parserSkipParens () {
+    if (!this.accept('(')) {
+        return
+    }
+    var depth = 1
+    while (depth > 0) {
+        var token = this.tokens[this.pos++]
+        if (!token) {
+            throw this.syntaxError()
+        }
+        if (token.type === 'operator' && token.value === '(') {
+            depth++
+        }
+        else if (token.type === 'operator' && token.value === ')') {
+            depth--
+        }
+    }
+}
+
+/**
+ * @function parserSyntaxError
+ *
+ * create syntax error for token
+ *
+ * @param {object} token - token where error occured - default next token
+ *
+ * @returns {Error}
+ */
+function parserSyntaxError (token) {
+    token = token || this.peek()
+
+    return syntaxError(this.query, token ? token.start : this.query.length)
+}
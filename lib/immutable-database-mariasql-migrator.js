@@ -0,0 +1,557 @@
+'use strict'
+
+/* native modules */
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const microTimestamp = require('micro-timestamp')
+const randomUniqueId = require('random-unique-id')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* app modules */
+const classifyQuery = require('./immutable-database-mariasql-classify')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLMigrator
+
+/* constants */
+
+// default name of table that applied migrations are recorded in
+const DEFAULT_TABLE = 'schema_migrations'
+// default name of lock held while migrating
+const DEFAULT_LOCK_NAME = 'immutable_database_mariasql_migrations'
+// default seconds to wait for lock
+const DEFAULT_LOCK_TIMEOUT = 60
+// migration file names - version_name.sql, version_name.down.sql and
+// version_name.js. down migrations are only sql files and names ending in
+// .down are not allowed for js files.
+const MIGRATION_FILE_REGEX = /^(\d+)[_-](.+?)(?:(\.down)\.sql|(?<!\.down)\.(js|sql))$/
+
+/**
+ * @function ImmutableDatabaseMariaSQLMigrator
+ *
+ * instantiate a new migrator that applies migration files from a directory.
+ * files are named with a numeric version followed by a name and are applied
+ * in version order. sql files can have multiple statements and are reverted
+ * by a .down.sql file with the same version and name. js files export up
+ * and down functions that are called with the connection and session.
+ *
+ * migrations are recorded in a tracking table that is only ever inserted
+ * into. each up and down is a new row and the last row for a version is
+ * its current state.
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection - connection to migrate
+ * @param {object} options
+ * @param {string} options.directory - directory with migration files
+ * @param {string} options.lockName - name of lock held while migrating
+ * @param {number} options.lockTimeout - seconds to wait for lock
+ * @param {string} options.table - name of tracking table
+ *
+ * @returns {ImmutableDatabaseMariaSQLMigrator}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLMigrator (connection, options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // require single connection - locks are held by connection so pools
+    // cannot be used
+    if (!connection || typeof connection.query !== 'function' || !connection.client) {
+        throw new Error('migration error: connection required')
+    }
+    // require directory
+    if (typeof options.directory !== 'string' || !options.directory.length) {
+        throw new Error('migration error: directory required')
+    }
+    // get table name
+    var table = options.table === undefined ? DEFAULT_TABLE : options.table
+    // table name is used in queries so only allow word characters
+    if (typeof table !== 'string' || !/^\w+$/.test(table)) {
+        throw new Error('migration error: invalid table name')
+    }
+    // store migrator info
+    this.connection = connection
+    this.directory = options.directory
+    this.lockName = options.lockName === undefined ? DEFAULT_LOCK_NAME : options.lockName
+    this.lockTimeout = options.lockTimeout === undefined ? DEFAULT_LOCK_TIMEOUT : options.lockTimeout
+    this.table = table
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLMigrator.prototype = {
+    applied: applied,
+    createTable: createTable,
+    down: down,
+    load: load,
+    lock: lock,
+    logMigration: logMigration,
+    run: run,
+    status: status,
+    up: up,
+}
+
+/**
+ * @function applied
+ *
+ * get migrations that are currently applied keyed by version
+ *
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<object>}
+ */
+function applied (session) {
+    return this.connection.query(
+        'SELECT version, name, checksum, direction, dbMigrationCreateTime FROM `'+this.table+'` ORDER BY dbMigrationCreateTime',
+        {}, {}, session
+    )
+    .then(rows => {
+        var versions = {}
+        // last row for version is current state
+        _.each(rows, row => {
+            if (row.direction === 'up') {
+                versions[row.version] = row
+            }
+            else {
+                delete versions[row.version]
+            }
+        })
+
+        return versions
+    })
+}
+
+/**
+ * @function createTable
+ *
+ * create tracking table if it does not exist
+ *
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ */
+function createTable (session) {
+    return this.connection.query(`
+        CREATE TABLE IF NOT EXISTS \`${this.table}\` (
+            dbMigrationId CHAR(32) NOT NULL,
+            dbMigrationCreateTime DATETIME(6) NOT NULL,
+            version VARCHAR(255) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            direction VARCHAR(4) NOT NULL,
+            PRIMARY KEY (dbMigrationId)
+        )
+    `, {}, {}, session)
+}
+
+/**
+ * @function down
+ *
+ * revert most recently applied migrations
+ *
+ * @param {object} args
+ * @param {number} args.steps - number of migrations to revert - default 1
+ * @param {string} args.to - revert migrations after this version
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<array>} reverted migrations
+ */
+function down (args, session) {
+    // validate optional args - create objects if not passed in
+    args = requireValidOptionalObject(args)
+    session = requireValidOptionalObject(session)
+    // get number of migrations to revert
+    var steps = args.steps === undefined ? 1 : args.steps
+    // require non-negative integer for steps
+    if (!Number.isInteger(steps) || steps < 0) {
+        throw new Error('migration error: steps must be integer greater than or equal to 0')
+    }
+    // get migration files
+    var migrations = _.keyBy(this.load(), 'version')
+
+    return this.lock(session, () => {
+        return this.createTable(session)
+        .then(() => this.applied(session))
+        .then(versions => {
+            // get applied versions in reverse order
+            var revert = _.reverse(sortVersions(_.keys(versions)))
+            // revert versions after target or number of steps
+            revert = args.to === undefined
+                ? revert.slice(0, steps)
+                : _.filter(revert, version => compareVersions(version, String(args.to)) > 0)
+            // get migrations for versions
+            revert = _.map(revert, version => {
+                var migration = migrations[version]
+                // require down migration
+                if (!migration || !migration.down) {
+                    throw new Error('migration error: no down migration for version '+version)
+                }
+                return migration
+            })
+            // revert migrations in order
+            return Promise.each(revert, migration => this.run(migration, 'down', session))
+        })
+    })
+}
+
+/**
+ * @function load
+ *
+ * read migration files from directory
+ *
+ * @returns {array} migrations in version order
+ *
+ * @throws {Error}
+ */
+function load () {
+    var migrations = {}
+
+    _.each(fs.readdirSync(this.directory), file => {
+        var match = file.match(MIGRATION_FILE_REGEX)
+        // skip files that are not migrations
+        if (!match) {
+            return
+        }
+        var version = match[1]
+        var name = match[2]
+        var isDown = !!match[3]
+        var type = match[4]
+        var filePath = path.join(this.directory, file)
+        // get migration for version
+        var migration = migrations[version] || (migrations[version] = {
+            name: name,
+            version: version,
+        })
+        // require unique versions
+        if (migration.name !== name) {
+            throw new Error('migration error: duplicate version '+version)
+        }
+        // down sql migration
+        if (isDown) {
+            migration.down = fs.readFileSync(filePath, 'utf8')
+            return
+        }
+        // require one up migration per version
+        if (migration.up) {
+            throw new Error('migration error: duplicate version '+version)
+        }
+        // get checksum of up migration file
+        var content = fs.readFileSync(filePath, 'utf8')
+        migration.checksum = crypto.createHash('sha256').update(content).digest('hex')
+        // sql migration
+        if (type === 'sql') {
+            migration.up = content
+        }
+        // js migration exports up and down functions
+        else {
+            var module = require(path.resolve(filePath))
+            if (typeof module.up !== 'function') {
+                throw new Error('migration error: up function required for version '+version)
+            }
+            migration.up = module.up
+            migration.down = module.down
+        }
+    })
+    // require up migration for each version
+    _.each(migrations, migration => {
+        if (!migration.up) {
+            throw new Error('migration error: up migration required for version '+migration.version)
+        }
+    })
+
+    return _.map(sortVersions(_.keys(migrations)), version => migrations[version])
+}
+
+/**
+ * @function lock
+ *
+ * run function while holding named lock so that only one migrator can run
+ * at a time
+ *
+ * @param {object} session - session object for logging
+ * @param {function} fn - function to run while holding lock
+ *
+ * @returns {Promise}
+ */
+function lock (session, fn) {
+    return this.connection.query(
+        'SELECT GET_LOCK(:name, :timeout) AS locked',
+        {name: this.lockName, timeout: this.lockTimeout}, {}, session
+    )
+    .then(res => {
+        // lock not acquired before timeout
+        if (Number(res[0].locked) !== 1) {
+            throw new Error('migration error: could not get lock '+this.lockName)
+        }
+        // run function and release lock whether it succeeds or fails
+        return Promise.try(fn).finally(() => {
+            return this.connection.query('SELECT RELEASE_LOCK(:name) AS released', {name: this.lockName}, {}, session)
+        })
+    })
+}
+
+/**
+ * @function logMigration
+ *
+ * log migration step
+ *
+ * @param {object} migration - migration that was run
+ * @param {string} direction - up|down
+ * @param {object} dbMigrationId - unique id object
+ * @param {number} elapsedTime - milliseconds migration took
+ * @param {object} err - error if migration failed
+ * @param {object} session - session object for logging
+ *
+ * @returns {undefined}
+ */
+function logMigration (migration, direction, dbMigrationId, elapsedTime, err, session) {
+    // require log client
+    if (!this.connection.logClient) {
+        return
+    }
+    // log migration
+    this.connection.logClient.log('dbMigration', {
+        checksum: migration.checksum,
+        connectionId: this.connection.connectionId,
+        data: err
+            ? {
+                code: err.code,
+                isOperational: err.isOperational,
+                message: err.message,
+            }
+            : undefined,
+        dbMigrationCreateTime: dbMigrationId.timestamp,
+        dbMigrationId: dbMigrationId.id,
+        dbMigrationSuccess: !err,
+        direction: direction,
+        elapsedTime: elapsedTime,
+        name: migration.name,
+        requestId: session.requestId,
+        version: migration.version,
+    })
+}
+
+/**
+ * @function run
+ *
+ * run migration and record it in tracking table
+ *
+ * @param {object} migration - migration to run
+ * @param {string} direction - up|down
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<object>} migration
+ */
+function run (migration, direction, session) {
+    // get unique id for migration step
+    var dbMigrationId = randomUniqueId()
+    // get start time for calculating elapsed time
+    var startTime = process.hrtime()
+    // get sql or function for direction
+    var step = migration[direction]
+
+    return Promise.try(() => {
+        // call js migration function
+        if (typeof step === 'function') {
+            return step(this.connection, session)
+        }
+        // run each statement in sql migration - schema changes are allowed
+        // on append only connections
+        return Promise.each(splitStatements(step), statement => {
+            return this.connection.query(statement, {}, {appendOnly: false}, session)
+        })
+    })
+    // record migration
+    .then(() => {
+        return this.connection.query(
+            'INSERT INTO `'+this.table+'` (dbMigrationId, dbMigrationCreateTime, version, name, checksum, direction) VALUES(:dbMigrationId, :dbMigrationCreateTime, :version, :name, :checksum, :direction)',
+            {
+                checksum: migration.checksum,
+                dbMigrationCreateTime: microTimestamp(),
+                dbMigrationId: dbMigrationId.id,
+                direction: direction,
+                name: migration.name,
+                version: migration.version,
+            },
+            {}, session
+        )
+    })
+    .then(() => {
+        this.logMigration(migration, direction, dbMigrationId, elapsedTime(startTime), undefined, session)
+        return migration
+    }, err => {
+        this.logMigration(migration, direction, dbMigrationId, elapsedTime(startTime), err, session)
+        return Promise.reject(err)
+    })
+}
+
+/**
+ * @function status
+ *
+ * get status of all migrations
+ *
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<array>}
+ */
+function status (session) {
+    // validate optional args - create objects if not passed in
+    session = requireValidOptionalObject(session)
+    // get migration files
+    var migrations = this.load()
+
+    return this.createTable(session)
+    .then(() => this.applied(session))
+    .then(versions => {
+        // get status of migration files
+        var statuses = _.map(migrations, migration => {
+            var row = versions[migration.version]
+
+            return {
+                applied: !!row,
+                appliedTime: row ? row.dbMigrationCreateTime : undefined,
+                changed: !!row && row.checksum !== migration.checksum,
+                name: migration.name,
+                version: migration.version,
+            }
+        })
+        // add applied versions that no longer have files
+        _.each(versions, (row, version) => {
+            if (!_.find(migrations, {version: version})) {
+                statuses.push({
+                    applied: true,
+                    appliedTime: row.dbMigrationCreateTime,
+                    missing: true,
+                    name: row.name,
+                    version: version,
+                })
+            }
+        })
+
+        return _.sortBy(statuses, status => _.padStart(status.version, 32, '0'))
+    })
+}
+
+/**
+ * @function up
+ *
+ * apply pending migrations in version order. fails without applying any
+ * migrations if an applied migration file has changed.
+ *
+ * @param {object} args
+ * @param {string} args.to - apply migrations up to and including version
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<array>} applied migrations
+ */
+function up (args, session) {
+    // validate optional args - create objects if not passed in
+    args = requireValidOptionalObject(args)
+    session = requireValidOptionalObject(session)
+    // get migration files
+    var migrations = this.load()
+
+    return this.lock(session, () => {
+        return this.createTable(session)
+        .then(() => this.applied(session))
+        .then(versions => {
+            // applied migrations must not be changed
+            _.each(migrations, migration => {
+                var row = versions[migration.version]
+                if (row && row.checksum !== migration.checksum) {
+                    throw new Error('migration error: checksum mismatch for version '+migration.version)
+                }
+            })
+            // get pending migrations up to target
+            var pending = _.filter(migrations, migration => {
+                return !versions[migration.version]
+                    && (args.to === undefined || compareVersions(migration.version, String(args.to)) <= 0)
+            })
+            // apply migrations in order
+            return Promise.each(pending, migration => this.run(migration, 'up', session))
+        })
+    })
+}
+
+/* private functions */
+
+/**
+ * @function compareVersions
+ *
+ * compare numeric version strings
+ *
+ * @param {string} a
+ * @param {string} b
+ *
+ * @returns {number}
+ */
+function compareVersions (a, b) {
+    a = _.padStart(a, 32, '0')
+    b = _.padStart(b, 32, '0')
+
+    return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * @function elapsedTime
+ *
+ * get milliseconds elapsed since start time
+ *
+ * @param {array} startTime - time from process.hrtime
+ *
+ * @returns {number}
+ */
+function elapsedTime (startTime) {
+    var diff = process.hrtime(startTime)
+
+    return diff[0] * 1e3 + diff[1] / 1e6
+}
+
+/**
+ * @function sortVersions
+ *
+ * sort numeric version strings
+ *
+ * @param {array} versions
+ *
+ * @returns {array}
+ */
+function sortVersions (versions) {
+    return versions.sort(compareVersions)
+}
+
+/**
+ * @function splitStatements
+ *
+ * split sql into statements on semicolons that are not in strings or
+ * comments
+ *
+ * @param {string} sql
+ *
+ * @returns {array}
+ */
+function splitStatements (sql) {
+    var statements = []
+    var start = 0
+    // add statement ending at position if it is not empty
+    var addStatement = end => {
+        var statement = sql.slice(start, end).trim()
+        if (classifyQuery.tokenize(statement).length) {
+            statements.push(statement)
+        }
+    }
+
+    _.each(classifyQuery.tokenize(sql), token => {
+        if (token.type === 'operator' && token.value === ';') {
+            addStatement(token.start)
+            start = token.end
+        }
+    })
+    addStatement(sql.length)
+
+    return statements
+}
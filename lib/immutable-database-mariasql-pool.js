@@ -0,0 +1,349 @@
+'use strict'
+
+/* native modules */
+const PassThrough = require('stream').PassThrough
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLPool
+
+/**
+ * @function ImmutableDatabaseMariaSQLPool
+ *
+ * instantiate a new pool of immutable database connections. each query is
+ * sent to an idle connection and queued until a connection is released if
+ * all connections are busy.
+ *
+ * @param {array} connections - ImmutableDatabaseMariaSQL instances
+ * @param {object} options - pool options
+ *
+ * @returns {ImmutableDatabaseMariaSQLPool}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLPool (connections, options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // require at least one connection
+    if (!Array.isArray(connections) || connections.length === 0) {
+        throw new Error('pool error: connections required')
+    }
+    // store pool info
+    this.closed = false
+    this.connectionName = options.connectionName
+    this.connections = connections
+    // all connections start idle
+    this.idleConnections = connections.slice()
+    // callbacks for queries waiting on a connection
+    this.waitingQueue = []
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLPool.prototype = {
+    acquire: acquire,
+    close: close,
+    getState: getState,
+    getStats: getStats,
+    insertMany: insertMany,
+    ping: ping,
+    query: query,
+    release: release,
+    stream: stream,
+    transaction: transaction,
+    use: use,
+}
+
+/**
+ * @function acquire
+ *
+ * get an idle connection from the pool. if all connections are busy then
+ * promise will resolve when a connection is released. the connection must
+ * be released when done.
+ *
+ * @returns {Promise<ImmutableDatabaseMariaSQL>}
+ */
+function acquire () {
+    // do not hand out connections after pool is closed
+    if (this.closed) {
+        return Promise.reject(new Error('pool error: pool closed'))
+    }
+    // resolve with idle connection if any
+    if (this.idleConnections.length) {
+        return Promise.resolve(this.idleConnections.shift())
+    }
+    // otherwise wait for connection to be released
+    return new Promise((resolve, reject) => {
+        this.waitingQueue.push({resolve: resolve, reject: reject})
+    })
+}
+
+/**
+ * @function close
+ *
+ * close all connections in pool. any queries waiting for a connection will
+ * be rejected.
+ *
+ * @param {boolean|object} options - connection close options
+ *
+ * @returns {Promise} resolves when all connections are closed
+ */
+function close (options) {
+    // flag pool as closed
+    this.closed = true
+    // reject anything waiting on a connection
+    _.each(this.waitingQueue, waiting => {
+        waiting.reject(new Error('pool error: pool closed'))
+    })
+    this.waitingQueue = []
+    // close all connections
+    return Promise.all(_.map(this.connections, connection => connection.close(options)))
+}
+
+/**
+ * @function getState
+ *
+ * get pool state - connecting|ready|closing|closed. pool is ready if any
+ * connection is ready.
+ *
+ * @returns {string}
+ */
+function getState () {
+    var states = _.map(this.connections, connection => connection.getState())
+    // pool is closed once all connections are closed
+    if (this.closed) {
+        return _.every(states, state => state === 'closed') ? 'closed' : 'closing'
+    }
+
+    return _.includes(states, 'ready') ? 'ready' : 'connecting'
+}
+
+/**
+ * @function getStats
+ *
+ * get query counters for each connection in pool
+ *
+ * @returns {array}
+ */
+function getStats () {
+    return _.map(this.connections, connection => connection.getStats())
+}
+
+/**
+ * @function insertMany
+ *
+ * insert rows on next available connection. all chunks are inserted on
+ * the same connection.
+ *
+ * @param {string} table - table name
+ * @param {array} rows - objects with column values
+ * @param {object} options - insertMany options
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<object>}
+ */
+function insertMany (table, rows, options, session) {
+    // get connection
+    return this.acquire().then(connection => {
+        // insert rows on connection
+        return Promise.try(() => connection.insertMany(table, rows, options, session))
+        // release connection whether insert succeeded or failed
+        .finally(() => {
+            this.release(connection)
+        })
+    })
+}
+
+/**
+ * @function ping
+ *
+ * ping all connections in pool. pool is healthy if any connection is
+ * healthy.
+ *
+ * @param {object} options - ping options
+ *
+ * @returns {Promise<object>}
+ */
+function ping (options) {
+    return Promise.all(_.map(this.connections, connection => connection.ping(options)))
+    .then(connections => {
+        return {
+            connections: connections,
+            healthy: _.some(connections, 'healthy'),
+        }
+    })
+}
+
+/**
+ * @function query
+ *
+ * perform query on next available connection
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function query (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('query error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // get connection
+    return this.acquire().then(connection => {
+        // perform query on connection
+        return Promise.try(() => connection.query(query, params, options, session))
+        // release connection whether query succeeded or failed
+        .finally(() => {
+            this.release(connection)
+        })
+    })
+}
+
+/**
+ * @function release
+ *
+ * return connection to pool. if there are queries waiting for a connection
+ * then the connection will be given to the first one.
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection
+ *
+ * @returns {undefined}
+ */
+function release (connection) {
+    // give connection to next waiting query
+    if (this.waitingQueue.length) {
+        this.waitingQueue.shift().resolve(connection)
+    }
+    // otherwise connection is idle
+    else {
+        this.idleConnections.push(connection)
+    }
+}
+
+/**
+ * @function stream
+ *
+ * perform streaming query on next available connection. connection is
+ * released when stream ends.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {object} session - session object for logging
+ *
+ * @returns {Readable}
+ *
+ * @throws {Error}
+ */
+function stream (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('stream error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // create output stream
+    var output = new PassThrough({
+        highWaterMark: options.hwm,
+        objectMode: true,
+    })
+    // get connection
+    this.acquire().then(connection => {
+        // release connection once
+        var release = _.once(() => {
+            this.release(connection)
+        })
+        // do not run query if output was destroyed while waiting for
+        // connection
+        if (output.destroyed) {
+            release()
+            return
+        }
+        // perform streaming query on connection
+        var input = connection.stream(query, params, options, session)
+        // release connection when query ends or fails
+        input.on('end', release)
+        input.on('error', err => {
+            release()
+            output.destroy(err)
+        })
+        input.on('close', release)
+        // stop reading if output is destroyed
+        output.on('close', () => {
+            input.destroy()
+        })
+        // pipe rows to output
+        input.pipe(output)
+    })
+    // pass any error to stream
+    .catch(err => {
+        output.destroy(err)
+    })
+
+    return output
+}
+
+/**
+ * @function transaction
+ *
+ * run function in a transaction on next available connection. connection
+ * is not used for other queries until transaction is complete.
+ *
+ * @param {function} fn - function to call with transaction
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function transaction (fn, session) {
+    // require function
+    if (typeof fn !== 'function') {
+        throw new Error('transaction error: function required')
+    }
+    // validate optional args - create objects if not passed in
+    session = requireValidOptionalObject(session)
+    // get connection
+    return this.acquire().then(connection => {
+        // run transaction on connection
+        return Promise.try(() => connection.transaction(fn, session))
+        // release connection whether transaction succeeded or failed
+        .finally(() => {
+            this.release(connection)
+        })
+    })
+}
+
+/**
+ * @function use
+ *
+ * add middleware for queries on all connections in pool
+ *
+ * @param {function} fn - middleware function(context, next)
+ *
+ * @returns {ImmutableDatabaseMariaSQLPool}
+ *
+ * @throws {Error}
+ */
+function use (fn) {
+    _.each(this.connections, connection => {
+        connection.use(fn)
+    })
+
+    return this
+}
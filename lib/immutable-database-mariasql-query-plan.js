@@ -0,0 +1,73 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+
+/* exports */
+module.exports = queryPlanWarnings
+
+/**
+ * @function queryPlanWarnings
+ *
+ * get warnings for JSON query plan from EXPLAIN FORMAT=JSON or ANALYZE
+ * FORMAT=JSON. plans are checked for full table scans, filesorts,
+ * temporary tables and tables with more rows than max rows. row counts
+ * from ANALYZE are used when they are in the plan.
+ *
+ * @param {object} plan - JSON query plan
+ * @param {object} options
+ * @param {number} options.maxRows - max rows for each table - 0 for no max
+ *
+ * @returns {array}
+ */
+function queryPlanWarnings (plan, options) {
+    var maxRows = options && options.maxRows
+    var warnings = []
+
+    walk(plan, (value, key) => {
+        // table access
+        if (key === 'table' && _.isPlainObject(value) && value.table_name !== undefined) {
+            // full table scan
+            if (value.access_type === 'ALL') {
+                warnings.push({table: value.table_name, type: 'fullTableScan'})
+            }
+            // get rows read from analyze or estimated rows
+            var rows = _.find([value.r_rows, value.rows, value.rows_examined_per_scan], _.isNumber)
+            if (maxRows && rows > maxRows) {
+                warnings.push({rows: rows, table: value.table_name, type: 'rowEstimate'})
+            }
+        }
+        // filesort - mariadb has filesort node and mysql has flag
+        else if (key === 'filesort' || key === 'read_sorted_file' || (key === 'using_filesort' && value === true)) {
+            warnings.push({type: 'filesort'})
+        }
+        // temporary table
+        else if (key === 'temporary_table' || (key === 'using_temporary_table' && value === true)) {
+            warnings.push({type: 'temporaryTable'})
+        }
+    })
+
+    return _.uniqWith(warnings, _.isEqual)
+}
+
+/* private functions */
+
+/**
+ * @function walk
+ *
+ * call function with each value and key in plan
+ *
+ * @param {array|object} node - plan node
+ * @param {function} fn - called with value and key
+ *
+ * @returns {undefined}
+ */
+function walk (node, fn) {
+    _.each(node, (value, key) => {
+        fn(value, key)
+        // check nested nodes
+        if (_.isObject(value)) {
+            walk(value, fn)
+        }
+    })
+}
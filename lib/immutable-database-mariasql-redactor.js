@@ -0,0 +1,336 @@
+'use strict'
+
+/* native modules */
+const crypto = require('crypto')
+
+/* npm modules */
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLRedactor
+
+/* constants */
+
+// value that redacted values are replaced with in mask mode
+const MASK = '[REDACTED]'
+// valid redaction modes
+const MODES = ['hash', 'mask']
+// connection params that are always masked
+const SECRET_CONNECTION_PARAMS = ['password']
+
+/**
+ * @function ImmutableDatabaseMariaSQLRedactor
+ *
+ * instantiate a new redactor that masks or hashes sensitive values before
+ * they are logged. params and columns are matched by name with strings or
+ * regular expressions. values rules are regular expressions that are
+ * applied to all string values and the query text.
+ *
+ * @param {object} rules
+ * @param {array} rules.columns - names of response columns to redact
+ * @param {string} rules.mode - mask|hash - default mask
+ * @param {array} rules.params - names of query params to redact
+ * @param {array} rules.values - regular expressions for values to redact
+ *
+ * @returns {ImmutableDatabaseMariaSQLRedactor}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLRedactor (rules) {
+    // validate optional args - create objects if not passed in
+    rules = requireValidOptionalObject(rules)
+    // validate mode
+    if (rules.mode !== undefined && !_.includes(MODES, rules.mode)) {
+        throw new Error('redact error: mode must be one of '+MODES.join(', '))
+    }
+    // store rules
+    this.columns = requireValidRules(rules.columns, 'columns')
+    this.mode = rules.mode || 'mask'
+    this.params = requireValidRules(rules.params, 'params')
+    this.values = requireValidRules(rules.values, 'values', true)
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLRedactor.redactConnectionParams = redactConnectionParams
+
+ImmutableDatabaseMariaSQLRedactor.prototype = {
+    extend: extend,
+    isEmpty: isEmpty,
+    redactMessage: redactMessage,
+    redactParams: redactParams,
+    redactQuery: redactQuery,
+    redactResponse: redactResponse,
+    redactValue: redactValue,
+}
+
+/**
+ * @function extend
+ *
+ * get new redactor with additional rules. mode is replaced if set.
+ *
+ * @param {object} rules - additional rules
+ *
+ * @returns {ImmutableDatabaseMariaSQLRedactor}
+ *
+ * @throws {Error}
+ */
+function extend (rules) {
+    // use existing redactor if there are no additional rules
+    if (rules === undefined) {
+        return this
+    }
+    // validate optional args - create objects if not passed in
+    rules = requireValidOptionalObject(rules)
+
+    return new ImmutableDatabaseMariaSQLRedactor({
+        columns: this.columns.concat(rules.columns || []),
+        mode: rules.mode || this.mode,
+        params: this.params.concat(rules.params || []),
+        values: this.values.concat(rules.values || []),
+    })
+}
+
+/**
+ * @function isEmpty
+ *
+ * check if redactor has no rules
+ *
+ * @returns {boolean}
+ */
+function isEmpty () {
+    return !this.columns.length && !this.params.length && !this.values.length
+}
+
+/**
+ * @function redactConnectionParams
+ *
+ * get copy of connection params with secrets masked
+ *
+ * @param {object} connectionParams - connection params to pass to db driver
+ *
+ * @returns {object}
+ */
+function redactConnectionParams (connectionParams) {
+    // nothing to redact
+    if (!_.isObject(connectionParams)) {
+        return connectionParams
+    }
+
+    return _.mapValues(connectionParams, (value, key) => {
+        return _.includes(SECRET_CONNECTION_PARAMS, key) && value !== undefined
+            ? MASK
+            : value
+    })
+}
+
+/**
+ * @function redactMessage
+ *
+ * get error message with values matching values rules redacted. database
+ * errors can include values from the query, e.g. the value of a duplicate
+ * key.
+ *
+ * @param {string} message - error message
+ *
+ * @returns {string}
+ */
+function redactMessage (message) {
+    return redactString(this, message)
+}
+
+/**
+ * @function redactParams
+ *
+ * get copy of query params with values redacted
+ *
+ * @param {array|object} params - query params
+ *
+ * @returns {array|object}
+ */
+function redactParams (params) {
+    // do not copy if there are no rules
+    if (this.isEmpty()) {
+        return params
+    }
+
+    return redactObject(this, params, this.params)
+}
+
+/**
+ * @function redactQuery
+ *
+ * get query with values matching values rules redacted
+ *
+ * @param {string} query - query string
+ *
+ * @returns {string}
+ */
+function redactQuery (query) {
+    return redactString(this, query)
+}
+
+/**
+ * @function redactResponse
+ *
+ * get copy of response data with column values redacted. info is not
+ * copied.
+ *
+ * @param {array|object} res - database response data
+ *
+ * @returns {array|object}
+ */
+function redactResponse (res) {
+    // do not copy if there are no rules
+    if (this.isEmpty() || !_.isObject(res)) {
+        return res
+    }
+    // multiple result sets do not have info
+    if (Array.isArray(res) && res.info === undefined) {
+        return _.map(res, result => this.redactResponse(result))
+    }
+    // responses without rows only have info
+    if (!Array.isArray(res)) {
+        return res
+    }
+    // get column names for array rows
+    var names = res.info && res.info.metadata ? _.keys(res.info.metadata) : []
+    // redact rows
+    var copy = _.map(res, row => {
+        // array rows use metadata for column names
+        if (Array.isArray(row)) {
+            return _.map(row, (value, i) => matchesRule(names[i], this.columns)
+                ? this.redactValue(value)
+                : redactString(this, value)
+            )
+        }
+
+        return redactObject(this, row, this.columns)
+    })
+    // keep info
+    copy.info = res.info
+
+    return copy
+}
+
+/**
+ * @function redactValue
+ *
+ * get masked or hashed value. null and undefined are not redacted.
+ *
+ * @param {*} value - value to redact
+ *
+ * @returns {*}
+ */
+function redactValue (value) {
+    if (value === null || value === undefined) {
+        return value
+    }
+
+    return this.mode === 'hash'
+        ? 'sha256:'+crypto.createHash('sha256').update(String(value)).digest('hex')
+        : MASK
+}
+
+/* private functions */
+
+/**
+ * @function matchesRule
+ *
+ * check if name matches any rule
+ *
+ * @param {string|number} name - param or column name
+ * @param {array} rules - strings and regular expressions
+ *
+ * @returns {boolean}
+ */
+function matchesRule (name, rules) {
+    return name !== undefined && _.some(rules, rule => {
+        return _.isRegExp(rule) ? String(name).search(rule) !== -1 : rule === name
+    })
+}
+
+/**
+ * @function redactObject
+ *
+ * get copy of object or array with values for keys matching rules redacted
+ * and other string values redacted by values rules
+ *
+ * @param {ImmutableDatabaseMariaSQLRedactor} redactor
+ * @param {array|object} obj - object to redact
+ * @param {array} rules - rules for keys
+ *
+ * @returns {array|object}
+ */
+function redactObject (redactor, obj, rules) {
+    // redact value for key
+    var redact = (value, key) => {
+        if (matchesRule(key, rules)) {
+            return redactor.redactValue(value)
+        }
+        // lists of values for params
+        if (Array.isArray(value)) {
+            return redactObject(redactor, value, [])
+        }
+
+        return redactString(redactor, value)
+    }
+
+    return Array.isArray(obj) ? _.map(obj, redact) : _.mapValues(obj, redact)
+}
+
+/**
+ * @function redactString
+ *
+ * redact parts of string that match values rules
+ *
+ * @param {ImmutableDatabaseMariaSQLRedactor} redactor
+ * @param {*} value - value to redact - only strings are redacted
+ *
+ * @returns {*}
+ */
+function redactString (redactor, value) {
+    if (typeof value !== 'string') {
+        return value
+    }
+
+    return _.reduce(redactor.values, (value, rule) => {
+        // replace all matches
+        var regexp = rule.global ? rule : new RegExp(rule.source, rule.flags+'g')
+
+        return value.replace(regexp, match => redactor.redactValue(match))
+    }, value)
+}
+
+/**
+ * @function requireValidRules
+ *
+ * validate rules
+ *
+ * @param {array|undefined} rules - rules to validate
+ * @param {string} name - name of rules
+ * @param {boolean} regExpOnly - only allow regular expressions
+ *
+ * @returns {array}
+ *
+ * @throws {Error}
+ */
+function requireValidRules (rules, name, regExpOnly) {
+    // rules are optional
+    if (rules === undefined) {
+        return []
+    }
+    // require array
+    if (!Array.isArray(rules)) {
+        throw new Error('redact error: '+name+' must be array')
+    }
+    // validate each rule
+    _.each(rules, rule => {
+        if (!_.isRegExp(rule) && (regExpOnly || typeof rule !== 'string')) {
+            throw new Error('redact error: invalid '+name+' rule '+rule)
+        }
+    })
+
+    return rules
+}
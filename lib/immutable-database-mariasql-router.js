@@ -0,0 +1,375 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* app modules */
+const classifyQuery = require('./immutable-database-mariasql-classify')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLRouter
+
+/* constants */
+
+// error codes that indicate a host cannot be reached:
+// 2002 socket connect failed, 2003 host connect failed, 2006 server gone
+// away, 2013 lost connection during query, 2055 lost connection at reading
+const CONNECTION_ERROR_CODES = [2002, 2003, 2006, 2013, 2055]
+// functions that use session or lock state which only exists on the primary
+const SESSION_FUNCTIONS = [
+    'FOUND_ROWS', 'GET_LOCK', 'IS_FREE_LOCK', 'IS_USED_LOCK', 'LASTVAL', 'LAST_INSERT_ID', 'NEXTVAL',
+    'RELEASE_ALL_LOCKS', 'RELEASE_LOCK', 'ROW_COUNT', 'SETVAL',
+]
+
+/**
+ * @function ImmutableDatabaseMariaSQLRouter
+ *
+ * instantiate a new router that sends SELECT queries to replicas and all
+ * other queries to the primary. replicas are used round-robin and skipped
+ * while their connection is down. reads go to the primary if all replicas
+ * are down.
+ *
+ * @param {ImmutableDatabaseMariaSQL|ImmutableDatabaseMariaSQLPool} primary
+ * @param {array} replicas - connections or pools for replicas
+ * @param {object} options - router options
+ *
+ * @returns {ImmutableDatabaseMariaSQLRouter}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLRouter (primary, replicas, options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // require primary
+    if (!primary) {
+        throw new Error('router error: primary required')
+    }
+    // require array for replicas
+    if (!Array.isArray(replicas)) {
+        throw new Error('router error: replicas must be array')
+    }
+    // store router info
+    this.connectionName = options.connectionName
+    this.primary = createHost(primary)
+    this.replicas = _.map(replicas, createHost)
+    // index of next replica to use
+    this.replicaIndex = 0
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLRouter.isRead = isRead
+
+ImmutableDatabaseMariaSQLRouter.prototype = {
+    close: close,
+    getState: getState,
+    getStats: getStats,
+    insertMany: insertMany,
+    nextReplica: nextReplica,
+    ping: ping,
+    query: query,
+    stream: stream,
+    transaction: transaction,
+    use: use,
+}
+
+/**
+ * @function close
+ *
+ * close primary and replica connections
+ *
+ * @param {boolean|object} options - connection close options
+ *
+ * @returns {Promise} resolves when all connections are closed
+ */
+function close (options) {
+    return Promise.all(_.map([this.primary].concat(this.replicas), host => host.connection.close(options)))
+}
+
+/**
+ * @function getState
+ *
+ * get state of primary - connecting|ready|closing|closed
+ *
+ * @returns {string}
+ */
+function getState () {
+    return this.primary.connection.getState()
+}
+
+/**
+ * @function getStats
+ *
+ * get query counters for primary and each replica
+ *
+ * @returns {object}
+ */
+function getStats () {
+    return {
+        primary: this.primary.connection.getStats(),
+        replicas: _.map(this.replicas, replica => replica.connection.getStats()),
+    }
+}
+
+/**
+ * @function isRead
+ *
+ * check if query only reads data and can be sent to a replica. queries must
+ * be a single SELECT that does not modify data. SELECT queries that take
+ * locks, use user variables or sequences or use functions that depend on
+ * session state must go to the primary.
+ *
+ * @param {string} query - query string
+ *
+ * @returns {boolean}
+ */
+function isRead (query) {
+    var classification = classifyQuery(query)
+    // multiple statements and statements that modify data go to primary
+    if (classification.statements.length !== 1 || classification.mutating) {
+        return false
+    }
+    var statement = classification.statements[0]
+    // only SELECT can go to replica
+    if (statement.type !== 'SELECT') {
+        return false
+    }
+    var tokens = statement.tokens
+
+    return !_.some(tokens, (token, i) => {
+        var next = tokens[i + 1]
+        var upper = next && next.upper
+        // user and system variables
+        if (token.value === '@') {
+            return true
+        }
+        // only words can start locking clause or function call
+        if (token.type !== 'word') {
+            return false
+        }
+        // FOR UPDATE, FOR SHARE and LOCK IN SHARE MODE
+        if (token.upper === 'FOR' && (upper === 'UPDATE' || upper === 'SHARE')) {
+            return true
+        }
+        if (token.upper === 'LOCK' && upper === 'IN') {
+            return true
+        }
+        // NEXT VALUE FOR and PREVIOUS VALUE FOR sequence
+        if ((token.upper === 'NEXT' || token.upper === 'PREVIOUS') && upper === 'VALUE') {
+            return true
+        }
+        // session and lock functions
+        return _.includes(SESSION_FUNCTIONS, token.upper) && next && next.value === '('
+    })
+}
+
+/**
+ * @function insertMany
+ *
+ * insert rows on primary
+ *
+ * @param {string} table - table name
+ * @param {array} rows - objects with column values
+ * @param {object} options - insertMany options
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<object>}
+ */
+function insertMany (table, rows, options, session) {
+    return Promise.resolve(this.primary.connection.insertMany(table, rows, options, session))
+}
+
+/**
+ * @function nextReplica
+ *
+ * get next healthy replica round-robin
+ *
+ * @returns {object|undefined}
+ */
+function nextReplica () {
+    for (var i = 0; i < this.replicas.length; i++) {
+        var replica = this.replicas[this.replicaIndex]
+        // advance index for next query
+        this.replicaIndex = (this.replicaIndex + 1) % this.replicas.length
+        // skip replicas that are down
+        if (replica.healthy) {
+            return replica
+        }
+    }
+}
+
+/**
+ * @function ping
+ *
+ * ping primary and replicas. router is healthy if primary is healthy.
+ *
+ * @param {object} options - ping options
+ *
+ * @returns {Promise<object>}
+ */
+function ping (options) {
+    return Promise.all([
+        this.primary.connection.ping(options),
+        Promise.all(_.map(this.replicas, replica => replica.connection.ping(options))),
+    ])
+    .spread((primary, replicas) => {
+        return {
+            healthy: primary.healthy,
+            primary: primary,
+            replicas: replicas,
+        }
+    })
+}
+
+/**
+ * @function query
+ *
+ * perform query on replica if query is a read and on primary otherwise. if
+ * the replica connection fails the query is sent to the next replica.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {boolean} options.primary - send read to primary
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function query (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('query error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // get replica for reads
+    var replica = !options.primary && !session.dbTransactionId && isRead(query)
+        ? this.nextReplica()
+        : undefined
+    // send writes, forced reads and reads with no replica to primary
+    if (!replica) {
+        return Promise.resolve(this.primary.connection.query(query, params, options, session))
+    }
+    // perform query on replica
+    return Promise.resolve(replica.connection.query(query, params, options, session))
+    .catch(err => {
+        // reject if error is not from lost connection
+        if (!_.includes(CONNECTION_ERROR_CODES, err.code)) {
+            return Promise.reject(err)
+        }
+        // skip replica until it reconnects and try next host
+        replica.healthy = false
+
+        return this.query(query, params, options, session)
+    })
+}
+
+/**
+ * @function stream
+ *
+ * perform streaming query on replica if query is a read and on primary
+ * otherwise.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {boolean} options.primary - send read to primary
+ * @param {object} session - session object for logging
+ *
+ * @returns {Readable}
+ *
+ * @throws {Error}
+ */
+function stream (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('stream error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // get replica for reads
+    var replica = !options.primary && !session.dbTransactionId && isRead(query)
+        ? this.nextReplica()
+        : undefined
+    // get host for query
+    var host = replica || this.primary
+
+    return host.connection.stream(query, params, options, session)
+}
+
+/**
+ * @function transaction
+ *
+ * run function in a transaction on primary
+ *
+ * @param {function} fn - function to call with transaction
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function transaction (fn, session) {
+    return this.primary.connection.transaction(fn, session)
+}
+
+/**
+ * @function use
+ *
+ * add middleware for queries on primary and replicas
+ *
+ * @param {function} fn - middleware function(context, next)
+ *
+ * @returns {ImmutableDatabaseMariaSQLRouter}
+ *
+ * @throws {Error}
+ */
+function use (fn) {
+    _.each([this.primary].concat(this.replicas), host => {
+        host.connection.use(fn)
+    })
+
+    return this
+}
+
+/* private functions */
+
+/**
+ * @function createHost
+ *
+ * create host that tracks whether connection is up. host is flagged down on
+ * connection errors and up again when any of its clients connects.
+ *
+ * @param {ImmutableDatabaseMariaSQL|ImmutableDatabaseMariaSQLPool} connection
+ *
+ * @returns {object}
+ */
+function createHost (connection) {
+    var host = {
+        connection: connection,
+        healthy: true,
+    }
+    // pools have multiple connections
+    var connections = connection.connections || [connection]
+    // track connection state of each client
+    _.each(connections, connection => {
+        connection.client.on('error', err => {
+            if (_.includes(CONNECTION_ERROR_CODES, err.code)) {
+                host.healthy = false
+            }
+        })
+        connection.client.on('ready', () => {
+            host.healthy = true
+        })
+    })
+
+    return host
+}
@@ -0,0 +1,115 @@
+'use strict'
+
+/* native modules */
+const crypto = require('crypto')
+
+/* npm modules */
+const _ = require('lodash')
+
+/* exports */
+module.exports = sqlComment
+
+/* constants */
+
+// version-traceId-parentId-flags
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/
+// ids that are all zeros are invalid
+const ZERO_ID = /^0+$/
+
+/**
+ * @function sqlComment
+ *
+ * get sqlcommenter style comment with tags sorted by key. keys and values
+ * are url encoded so that comments cannot contain the end of comment
+ * marker, quotes or characters that the client would parse as params.
+ * tags without values are skipped.
+ *
+ * @param {object} tags - comment tags
+ *
+ * @returns {string}
+ */
+function sqlComment (tags) {
+    var pairs = []
+    // add each tag with value
+    _.each(_.keys(tags).sort(), key => {
+        var value = tags[key]
+        if (value === undefined || value === null || value === '') {
+            return
+        }
+        pairs.push(encode(key)+"='"+encode(String(value))+"'")
+    })
+
+    return pairs.length ? '/*'+pairs.join(',')+'*/' : ''
+}
+
+/* public methods */
+
+sqlComment.createSpan = createSpan
+sqlComment.parseTraceparent = parseTraceparent
+
+/**
+ * @function createSpan
+ *
+ * create child span for query from W3C traceparent. the traceparent for the
+ * child span is returned so that it can be sent to the server.
+ *
+ * @param {string} traceparent - traceparent of parent span
+ *
+ * @returns {object|undefined}
+ */
+function createSpan (traceparent) {
+    var parent = parseTraceparent(traceparent)
+    // invalid or missing traceparent is ignored
+    if (!parent) {
+        return
+    }
+    // get new span id
+    var spanId = crypto.randomBytes(8).toString('hex')
+
+    return {
+        parentSpanId: parent.parentId,
+        spanId: spanId,
+        traceFlags: parent.traceFlags,
+        traceId: parent.traceId,
+        traceparent: '00-'+parent.traceId+'-'+spanId+'-'+parent.traceFlags,
+    }
+}
+
+/**
+ * @function parseTraceparent
+ *
+ * get trace id, parent id and flags from W3C traceparent
+ *
+ * @param {string} traceparent
+ *
+ * @returns {object|undefined}
+ */
+function parseTraceparent (traceparent) {
+    var match = typeof traceparent === 'string' && traceparent.trim().toLowerCase().match(TRACEPARENT)
+    // require valid version and ids
+    if (!match || match[1] === 'ff' || ZERO_ID.test(match[2]) || ZERO_ID.test(match[3])) {
+        return
+    }
+
+    return {
+        parentId: match[3],
+        traceFlags: match[4],
+        traceId: match[2],
+        version: match[1],
+    }
+}
+
+/* private functions */
+
+/**
+ * @function encode
+ *
+ * url encode string including characters that encodeURIComponent allows
+ *
+ * @param {string} value
+ *
+ * @returns {string}
+ */
+function encode (value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => '%'+char.charCodeAt(0).toString(16).toUpperCase())
+}
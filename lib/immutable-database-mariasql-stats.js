@@ -0,0 +1,126 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+
+/* app modules */
+const fingerprint = require('./immutable-database-mariasql-fingerprint')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLStats
+
+/* constants */
+
+// upper bounds in milliseconds of latency histogram buckets
+const LATENCY_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity]
+
+/**
+ * @function ImmutableDatabaseMariaSQLStats
+ *
+ * instantiate a new set of query counters for a connection. latency is
+ * tracked per query fingerprint so that queries with different params are
+ * counted together.
+ *
+ * @returns {ImmutableDatabaseMariaSQLStats}
+ */
+function ImmutableDatabaseMariaSQLStats () {
+    // number of queries completed
+    this.queries = 0
+    // number of queries that failed
+    this.errors = 0
+    // number of queries in progress
+    this.inFlight = 0
+    // number of queries that exceeded slow query time
+    this.slowQueries = 0
+    // stats for each query fingerprint
+    this.fingerprints = {}
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLStats.LATENCY_BUCKETS = LATENCY_BUCKETS
+ImmutableDatabaseMariaSQLStats.fingerprint = fingerprint
+
+ImmutableDatabaseMariaSQLStats.prototype = {
+    end: end,
+    get: get,
+    start: start,
+}
+
+/**
+ * @function end
+ *
+ * record completed query
+ *
+ * @param {string} query - query string
+ * @param {number} elapsedTime - milliseconds
+ * @param {object} err - error if query failed
+ * @param {boolean} slow - query exceeded slow query time
+ *
+ * @returns {undefined}
+ */
+function end (query, elapsedTime, err, slow) {
+    this.inFlight--
+    this.queries++
+    // get stats for query fingerprint
+    var key = fingerprint(query)
+    var stats = this.fingerprints[key] || (this.fingerprints[key] = {
+        count: 0,
+        errors: 0,
+        histogram: _.map(LATENCY_BUCKETS, () => 0),
+        maxTime: 0,
+        totalTime: 0,
+    })
+    stats.count++
+    stats.maxTime = Math.max(stats.maxTime, elapsedTime)
+    stats.totalTime += elapsedTime
+    // add to first bucket that latency fits in
+    stats.histogram[_.findIndex(LATENCY_BUCKETS, bound => elapsedTime <= bound)]++
+    // count errors
+    if (err) {
+        this.errors++
+        stats.errors++
+    }
+    // count slow queries
+    if (slow) {
+        this.slowQueries++
+    }
+}
+
+/**
+ * @function get
+ *
+ * get copy of stats. histograms are returned as objects keyed by upper
+ * bound of bucket in milliseconds.
+ *
+ * @returns {object}
+ */
+function get () {
+    return {
+        errors: this.errors,
+        fingerprints: _.mapValues(this.fingerprints, stats => {
+            return {
+                count: stats.count,
+                errors: stats.errors,
+                histogram: _.zipObject(LATENCY_BUCKETS, stats.histogram),
+                maxTime: stats.maxTime,
+                meanTime: stats.totalTime / stats.count,
+                totalTime: stats.totalTime,
+            }
+        }),
+        inFlight: this.inFlight,
+        queries: this.queries,
+        slowQueries: this.slowQueries,
+    }
+}
+
+/**
+ * @function start
+ *
+ * record query start
+ *
+ * @returns {undefined}
+ */
+function start () {
+    this.inFlight++
+}
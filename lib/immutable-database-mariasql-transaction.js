@@ -0,0 +1,134 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const randomUniqueId = require('random-unique-id')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLTransaction
+
+/**
+ * @function ImmutableDatabaseMariaSQLTransaction
+ *
+ * instantiate a new transaction on a single connection. all queries done
+ * through the transaction are logged with the same dbTransactionId.
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection - connection to run queries on
+ * @param {object} session - session object for logging
+ *
+ * @returns {ImmutableDatabaseMariaSQLTransaction}
+ */
+function ImmutableDatabaseMariaSQLTransaction (connection, session) {
+    // get unique id
+    var uniqueId = randomUniqueId()
+    // store transaction info
+    this.complete = false
+    this.connection = connection
+    this.dbTransactionCreateTime = uniqueId.timestamp
+    this.dbTransactionId = uniqueId.id
+    this.session = session
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLTransaction.prototype = {
+    insertMany: insertMany,
+    query: query,
+    run: run,
+}
+
+/**
+ * @function insertMany
+ *
+ * insert rows as part of transaction
+ *
+ * @param {string} table - table name
+ * @param {array} rows - objects with column values
+ * @param {object} options - insertMany options
+ * @param {object} session - session object for logging - merged with
+ *                           transaction session
+ *
+ * @returns {Promise<object>}
+ *
+ * @throws {Error}
+ */
+function insertMany (table, rows, options, session) {
+    // do not allow queries after commit/rollback
+    if (this.complete) {
+        throw new Error('query error: transaction complete')
+    }
+    // validate optional args - create objects if not passed in
+    session = requireValidOptionalObject(session)
+    // add transaction id to session so that it will be logged with queries
+    session = _.assign({}, this.session, session, {
+        dbTransactionId: this.dbTransactionId,
+    })
+    // insert rows on connection
+    return Promise.resolve(this.connection.insertMany(table, rows, options, session))
+}
+
+/**
+ * @function query
+ *
+ * perform query as part of transaction
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {object} session - session object for logging - merged with
+ *                           transaction session
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function query (query, params, options, session) {
+    // do not allow queries after commit/rollback
+    if (this.complete) {
+        throw new Error('query error: transaction complete')
+    }
+    // validate optional args - create objects if not passed in
+    session = requireValidOptionalObject(session)
+    // add transaction id to session so that it will be logged with query
+    session = _.assign({}, this.session, session, {
+        dbTransactionId: this.dbTransactionId,
+    })
+    // perform query on connection
+    return Promise.resolve(this.connection.query(query, params, options, session))
+}
+
+/**
+ * @function run
+ *
+ * start transaction and call function with transaction. commit if the
+ * promise returned by function resolves and rollback if it rejects.
+ *
+ * @param {function} fn - function to call with transaction
+ *
+ * @returns {Promise}
+ */
+function run (fn) {
+    // start transaction
+    return this.query('START TRANSACTION')
+    // call function with transaction
+    .then(() => fn(this))
+    // commit on success - resolve with value from function
+    .then(res => {
+        return this.query('COMMIT').then(() => {
+            this.complete = true
+            return res
+        })
+    })
+    // rollback on error - reject with original error
+    .catch(err => {
+        return this.query('ROLLBACK')
+        // ignore rollback error so that original error is returned
+        .catch(() => {})
+        .then(() => {
+            this.complete = true
+            return Promise.reject(err)
+        })
+    })
+}
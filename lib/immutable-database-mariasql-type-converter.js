@@ -0,0 +1,267 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* exports */
+module.exports = ImmutableDatabaseMariaSQLTypeConverter
+
+/* constants */
+
+// charset number for binary data
+const BINARY_CHARSET = 63
+// column types converted to numbers
+const NUMBER_TYPES = ['DECIMAL', 'DOUBLE', 'FLOAT', 'INTEGER', 'MEDIUMINT', 'SMALLINT', 'YEAR']
+// column types converted to dates
+const DATE_TYPES = ['DATETIME', 'TIMESTAMP']
+// column types that can hold binary data
+const BINARY_TYPES = ['CHAR', 'LONGBLOB', 'MEDIUMBLOB', 'TINYBLOB', 'VARCHAR', '[Unknown field type]']
+// default options
+const DEFAULT_OPTIONS = {
+    bigint: 'string',
+    date: 'date',
+    json: [],
+    timezone: 'local',
+    tinyint: 'number',
+}
+// valid values for options
+const VALID_OPTIONS = {
+    bigint: ['bigint', 'number', 'string'],
+    date: ['date', 'string'],
+    timezone: ['local', 'utc'],
+    tinyint: ['boolean', 'number'],
+}
+
+/**
+ * @function ImmutableDatabaseMariaSQLTypeConverter
+ *
+ * instantiate a new converter that uses column metadata to convert the
+ * string values returned by mariasql to native types.
+ *
+ * mariasql metadata does not include the display width so TINYINT(1) cannot
+ * be distinguished from other TINYINT columns and JSON columns are reported
+ * as blobs. TINYINT columns are converted to numbers unless tinyint is
+ * boolean, which applies to all TINYINT columns, and JSON columns must be
+ * listed by name.
+ *
+ * @param {object} options
+ * @param {string} options.bigint - bigint|number|string - default string
+ * @param {string} options.date - date|string - default date
+ * @param {array} options.json - names of columns to parse as JSON
+ * @param {string} options.timezone - local|utc - timezone of dates stored
+ *                                    in database - default local
+ * @param {string} options.tinyint - boolean|number - default number
+ *
+ * @returns {ImmutableDatabaseMariaSQLTypeConverter}
+ *
+ * @throws {Error}
+ */
+function ImmutableDatabaseMariaSQLTypeConverter (options) {
+    // validate optional args - create objects if not passed in
+    options = _.defaults({}, requireValidOptionalObject(options), DEFAULT_OPTIONS)
+    // validate options
+    _.each(VALID_OPTIONS, (values, name) => {
+        if (!_.includes(values, options[name])) {
+            throw new Error('typed error: '+name+' must be one of '+values.join(', '))
+        }
+    })
+    // require array for json
+    if (!Array.isArray(options.json)) {
+        throw new Error('typed error: json must be array of column names')
+    }
+    // store options
+    this.bigint = options.bigint
+    this.date = options.date
+    this.json = options.json
+    this.timezone = options.timezone
+    this.tinyint = options.tinyint
+}
+
+/* public methods */
+
+ImmutableDatabaseMariaSQLTypeConverter.prototype = {
+    convertInfo: convertInfo,
+    convertResponse: convertResponse,
+    convertRow: convertRow,
+    convertValue: convertValue,
+}
+
+/**
+ * @function convertInfo
+ *
+ * convert count and id strings in response info to numbers. insert id is
+ * converted like a bigint if it is too large for a number.
+ *
+ * @param {object} info - response info
+ *
+ * @returns {undefined}
+ */
+function convertInfo (info) {
+    if (!info) {
+        return
+    }
+    // counts
+    _.each(['affectedRows', 'numRows'], key => {
+        if (typeof info[key] === 'string') {
+            info[key] = Number(info[key])
+        }
+    })
+    // insert id is a bigint - use number if it fits in safe integer
+    if (typeof info.insertId === 'string') {
+        var insertId = Number(info.insertId)
+        info.insertId = Number.isSafeInteger(insertId)
+            ? insertId
+            : this.convertValue(info.insertId, {type: 'BIGINT'})
+    }
+}
+
+/**
+ * @function convertResponse
+ *
+ * convert rows and info in response. metadata is removed from info unless
+ * it was requested by the query.
+ *
+ * @param {array|object} res - database response data
+ * @param {boolean} keepMetadata - do not remove metadata from info
+ *
+ * @returns {undefined}
+ */
+function convertResponse (res, keepMetadata) {
+    // no response for skipped queries
+    if (!res) {
+        return
+    }
+    // multiple result sets do not have info
+    if (Array.isArray(res) && res.info === undefined) {
+        _.each(res, result => this.convertResponse(result, keepMetadata))
+        return
+    }
+    // get metadata for result
+    var metadata = res.info && res.info.metadata
+    // convert rows
+    if (Array.isArray(res) && metadata) {
+        _.each(res, row => this.convertRow(row, metadata))
+    }
+    // convert info
+    this.convertInfo(res.info)
+    // remove metadata that was only requested for conversion
+    if (metadata && !keepMetadata) {
+        res.info.metadata = undefined
+    }
+}
+
+/**
+ * @function convertRow
+ *
+ * convert values in row. rows can be objects or arrays.
+ *
+ * @param {array|object} row - database response row
+ * @param {object} metadata - column metadata keyed by column name
+ *
+ * @returns {array|object}
+ */
+function convertRow (row, metadata) {
+    // array rows have values in same order as metadata
+    var names = Array.isArray(row) ? _.keys(metadata) : undefined
+
+    _.each(row, (value, key) => {
+        var name = names ? names[key] : key
+        var column = metadata[name]
+        // skip null values and columns without metadata
+        if (value === null || value === undefined || !column) {
+            return
+        }
+        // parse json columns
+        if (_.includes(this.json, name)) {
+            row[key] = JSON.parse(value)
+        }
+        else {
+            row[key] = this.convertValue(value, column)
+        }
+    })
+
+    return row
+}
+
+/**
+ * @function convertValue
+ *
+ * convert string value to native type based on column metadata
+ *
+ * @param {string} value - value from database
+ * @param {object} column - column metadata
+ *
+ * @returns {*}
+ */
+function convertValue (value, column) {
+    // only string values are converted
+    if (typeof value !== 'string') {
+        return value
+    }
+    // binary data
+    if (column.charsetnr === BINARY_CHARSET && _.includes(BINARY_TYPES, column.type)) {
+        return Buffer.from(value, 'latin1')
+    }
+    // numbers
+    if (_.includes(NUMBER_TYPES, column.type)) {
+        return Number(value)
+    }
+    // tinyint is number unless booleans are enabled
+    if (column.type === 'TINYINT') {
+        return this.tinyint === 'boolean' ? value !== '0' : Number(value)
+    }
+    // bigints
+    if (column.type === 'BIGINT') {
+        if (this.bigint === 'bigint') {
+            return BigInt(value)
+        }
+        else if (this.bigint === 'number') {
+            return Number(value)
+        }
+        return value
+    }
+    // dates
+    if (_.includes(DATE_TYPES, column.type)) {
+        var date = parseDate(value, this.timezone)
+        // leave invalid and zero dates as strings
+        if (!date) {
+            return value
+        }
+        return this.date === 'date' ? date : date.toISOString()
+    }
+
+    return value
+}
+
+/* private functions */
+
+/**
+ * @function parseDate
+ *
+ * parse mysql datetime string
+ *
+ * @param {string} value - YYYY-MM-DD HH:MM:SS[.ffffff]
+ * @param {string} timezone - local|utc
+ *
+ * @returns {Date|undefined}
+ */
+function parseDate (value, timezone) {
+    var match = value.match(/^(\d{4})-(\d\d)-(\d\d)[ T](\d\d):(\d\d):(\d\d)(?:\.(\d+))?$/)
+    // invalid format
+    if (!match) {
+        return
+    }
+    // get date parts
+    var parts = _.map(match.slice(1, 7), Number)
+    // zero date
+    if (parts[0] === 0 || parts[1] === 0 || parts[2] === 0) {
+        return
+    }
+    // get milliseconds from fractional seconds
+    var ms = match[7] ? Number((match[7]+'00').substr(0, 3)) : 0
+    // create date
+    return timezone === 'utc'
+        ? new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], ms))
+        : new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], ms)
+}
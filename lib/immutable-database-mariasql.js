@@ -1,5 +1,9 @@
 'use strict'
 
+/* native modules */
+const Transform = require('stream').Transform
+const crypto = require('crypto')
+
 /* npm modules */
 const MariaSQL = require('mariasql')
 const Promise = require('bluebird')
@@ -10,9 +14,67 @@ const randomUniqueId = require('random-unique-id')
 const requireValidLogClient = require('immutable-require-valid-log-client')
 const requireValidOptionalObject = require('immutable-require-valid-optional-object')
 
+/* app modules */
+const ImmutableDatabaseMariaSQLCache = require('./immutable-database-mariasql-cache')
+const classifyQuery = require('./immutable-database-mariasql-classify')
+const fingerprint = require('./immutable-database-mariasql-fingerprint')
+const parseDsn = require('./immutable-database-mariasql-dsn')
+const queryPlanWarnings = require('./immutable-database-mariasql-query-plan')
+const errors = require('./immutable-database-mariasql-errors')
+const sqlComment = require('./immutable-database-mariasql-sql-comment')
+const ImmutableDatabaseMariaSQLMemoryDriver = require('./immutable-database-mariasql-memory-driver')
+const ImmutableDatabaseMariaSQLMigrator = require('./immutable-database-mariasql-migrator')
+const fixtureAutomock = require('./immutable-database-mariasql-fixture-automock')
+const ImmutableDatabaseMariaSQLPool = require('./immutable-database-mariasql-pool')
+const ImmutableDatabaseMariaSQLRedactor = require('./immutable-database-mariasql-redactor')
+const ImmutableDatabaseMariaSQLRouter = require('./immutable-database-mariasql-router')
+const ImmutableDatabaseMariaSQLStats = require('./immutable-database-mariasql-stats')
+const ImmutableDatabaseMariaSQLTransaction = require('./immutable-database-mariasql-transaction')
+const ImmutableDatabaseMariaSQLTypeConverter = require('./immutable-database-mariasql-type-converter')
+
 /* exports */
 module.exports = ImmutableDatabaseMariaSQL
 
+/* constants */
+
+// default max bytes of values in each insertMany query - well under the
+// default max_allowed_packet
+const DEFAULT_INSERT_MANY_BYTES = 1048576
+// default max rows in each insertMany query
+const DEFAULT_INSERT_MANY_ROWS = 1000
+// default number of connections to create for pool
+const DEFAULT_POOL_SIZE = 10
+// default milliseconds to wait for queries to complete before destroying
+// connection on close
+const DEFAULT_CLOSE_TIMEOUT = 30000
+// default max rows for each table in query plan before warning
+const DEFAULT_EXPLAIN_MAX_ROWS = 1000
+// default milliseconds to wait for ping response
+const DEFAULT_PING_TIMEOUT = 5000
+// default delays in milliseconds between attempts to reconnect
+const DEFAULT_RECONNECT = {
+    initialDelay: 100,
+    maxDelay: 30000,
+}
+// default retry policy for queries with retry option
+const DEFAULT_RETRY = {
+    initialDelay: 50,
+    maxDelay: 5000,
+    retries: 3,
+}
+// transient error codes that queries can be retried on:
+// 1205 lock wait timeout, 1213 deadlock, 2006 server gone away,
+// 2013 lost connection during query
+const RETRY_ERROR_CODES = [1205, 1213, 2006, 2013]
+// error code for queries that exceed timeout
+const TIMEOUT_ERROR_CODE = 'ETIMEDOUT'
+// error code for queries rejected on append only connections
+const APPEND_ONLY_ERROR_CODE = 'EAPPENDONLY'
+// statements that are rejected on append only connections
+const APPEND_ONLY_STATEMENTS = ['DELETE', 'DROP', 'REPLACE', 'TRUNCATE', 'UPDATE']
+// insertMany options that are not passed to query
+const INSERT_MANY_OPTIONS = ['ignore', 'maxBytes', 'maxRows', 'onDuplicateKeyUpdate', 'transaction']
+
 /* global variables */
 
 // get reference to global singleton instance
@@ -24,11 +86,22 @@ if (!global.__immutable_database_mariasql__) {
         // db connection to apply the automock wrapper to the
         // connection instance
         automockFunction: undefined,
+        // middleware that is applied to queries on all connections
+        middleware: [],
+        // named connections created with define
+        registry: {},
     }
 }
 // use existing singleton instance
 else {
     immutableDatabaseMariasql = global.__immutable_database_mariasql__
+    // singleton may have been created by older version
+    if (!immutableDatabaseMariasql.middleware) {
+        immutableDatabaseMariasql.middleware = []
+    }
+    if (!immutableDatabaseMariasql.registry) {
+        immutableDatabaseMariasql.registry = {}
+    }
 }
 
 /**
@@ -37,7 +110,8 @@ else {
  * instantiate a new immutable database connection object using the mariasql
  * driver.
  *
- * @param {object} connectionParams - connection params to pass to db driver
+ * @param {object|string} connectionParams - connection params to pass to db
+ *                                           driver or dsn string
  * @param {object} options - connection options
  *
  * @returns {ImmutableDatabaseMariaSQL}
@@ -45,6 +119,10 @@ else {
  * @throws {Error}
  */
 function ImmutableDatabaseMariaSQL (connectionParams, options) {
+    // get connection params from dsn
+    if (typeof connectionParams === 'string') {
+        connectionParams = parseDsn(connectionParams)
+    }
     // validate optional args - create objects if not passed in
     options = requireValidOptionalObject(options)
     // get log client from options
@@ -54,6 +132,12 @@ function ImmutableDatabaseMariaSQL (connectionParams, options) {
         // store log client locally until after connection details are logged
         var logClient = options.logClient
     }
+    // get driver - default is mariasql
+    var Driver = options.driver === undefined ? MariaSQL : options.driver
+    // driver must be constructor with mariasql client interface
+    if (typeof Driver !== 'function') {
+        throw new Error('connection error: driver must be function')
+    }
     // get unique id
     var uniqueId = randomUniqueId()
     // store connection params
@@ -63,15 +147,77 @@ function ImmutableDatabaseMariaSQL (connectionParams, options) {
     this.connectionCreateTime = uniqueId.timestamp
     this.connectionId = uniqueId.id
     this.instanceId = instanceId.id
+    // id of transaction in progress on connection
+    this.dbTransactionId = undefined
+    // promise that resolves when transaction in progress is complete
+    this.transactionLock = undefined
     // log the db connection
     if (logClient) {
-        // log db connection
-        logClient.log('dbConnection', this)
+        // log db connection with password masked
+        logClient.log('dbConnection', _.assign({}, this, {
+            connectionParams: ImmutableDatabaseMariaSQLRedactor.redactConnectionParams(connectionParams),
+        }))
         // store log client for query logging
         this.logClient = logClient
     }
+    // get reconnect options - reconnect is disabled if false
+    this.reconnectOptions = options.reconnect === false
+        ? false
+        : _.defaults(requireValidOptionalObject(options.reconnect), DEFAULT_RECONNECT)
+    // number of reconnect attempts since connection was lost
+    this.reconnectAttempts = 0
+    // timer for next reconnect attempt
+    this.reconnectTimer = undefined
+    // middleware that is applied to queries on this connection
+    this.middleware = []
+    // set to true when close is called so that connection is not reopened
+    this.closing = false
+    // set to true when connection is closed after close is called
+    this.closed = false
+    // promise that resolves when connection is closed
+    this.closePromise = undefined
+    // callbacks to call when no queries are in progress
+    this.idleCallbacks = []
+    // queries waiting to be sent to client - queries are sent one at a
+    // time so that the query running on the server is always known
+    this.queryQueue = []
+    // query that is running on client
+    this.runningQuery = undefined
+    // get type converter if typed results are enabled for connection
+    this.typeConverter = getTypeConverter(options.typed)
+    // get result cache if enabled for connection
+    this.cache = getCache(options.cache)
+    // get tables that can be modified if connection is append only
+    this.appendOnly = getAppendOnly(options.appendOnly)
+    // get options for checking query plans of selects if enabled
+    this.explain = getExplainOptions(options.explain)
+    // fingerprints of queries that have been explained
+    this.explainedQueries = new Set()
+    // tables written to in transaction in progress - cached results are
+    // invalidated again when transaction completes
+    this.transactionWrites = []
+    // default timeout in milliseconds for queries on connection
+    this.timeout = getTimeout(options.timeout)
+    // queries that take longer than slow query time in milliseconds are
+    // logged as slow queries
+    if (options.slowQueryTime !== undefined && !(options.slowQueryTime >= 0)) {
+        throw new Error('connection error: slowQueryTime must be number greater than or equal to 0')
+    }
+    this.slowQueryTime = options.slowQueryTime
+    // add comment with request id, module call id, connection name and
+    // traceparent to queries sent to server
+    this.sqlComment = !!options.sqlComment
+    // query counters for connection
+    this.stats = new ImmutableDatabaseMariaSQLStats()
+    // rules for redacting params and response data in logs
+    this.redactor = new ImmutableDatabaseMariaSQLRedactor(options.redact)
+    // limits for logged response data and rate of queries to log
+    requireValidLogOptions(options, 'connection')
+    this.logMaxBytes = options.logMaxBytes
+    this.logMaxRows = options.logMaxRows
+    this.logSampleRate = options.logSampleRate
     // create new client instance
-    this.client = new MariaSQL(connectionParams)
+    this.client = new Driver(connectionParams)
     // promisify query methods
     this.client.queryPromise = Promise.promisify(this.client.query)
     // set error handler
@@ -84,6 +230,18 @@ function ImmutableDatabaseMariaSQL (connectionParams, options) {
         else {
             console.error(err)
         }
+        // reconnect if error left client disconnected
+        if (!this.client.connected && !this.client.connecting) {
+            this.reconnect()
+        }
+    })
+    // reconnect if connection is lost
+    this.client.on('close', () => {
+        this.reconnect()
+    })
+    // reset reconnect attempts when connected
+    this.client.on('ready', () => {
+        this.reconnectAttempts = 0
     })
     // if automock wrapper function is set then call function with new instance
     // so that automock wrapper can be applied
@@ -94,15 +252,89 @@ function ImmutableDatabaseMariaSQL (connectionParams, options) {
 
 /* public methods */
 
+ImmutableDatabaseMariaSQL.Cache = ImmutableDatabaseMariaSQLCache
+ImmutableDatabaseMariaSQL.MemoryDriver = ImmutableDatabaseMariaSQLMemoryDriver
+ImmutableDatabaseMariaSQL.Migrator = ImmutableDatabaseMariaSQLMigrator
+ImmutableDatabaseMariaSQL.TypeConverter = ImmutableDatabaseMariaSQLTypeConverter
 ImmutableDatabaseMariaSQL.automock = automock
+ImmutableDatabaseMariaSQL.classifyQuery = classifyQuery
+ImmutableDatabaseMariaSQL.define = define
+ImmutableDatabaseMariaSQL.envConnectionParams = parseDsn.fromEnv
+ImmutableDatabaseMariaSQL.errors = errors
+ImmutableDatabaseMariaSQL.fingerprint = fingerprint
+ImmutableDatabaseMariaSQL.fixtureAutomock = fixtureAutomock
+ImmutableDatabaseMariaSQL.get = get
+ImmutableDatabaseMariaSQL.parseDsn = parseDsn
+ImmutableDatabaseMariaSQL.pool = pool
+ImmutableDatabaseMariaSQL.queryPlanWarnings = queryPlanWarnings
 ImmutableDatabaseMariaSQL.reset = reset
+ImmutableDatabaseMariaSQL.router = router
+ImmutableDatabaseMariaSQL.sqlComment = sqlComment
+ImmutableDatabaseMariaSQL.use = useGlobal
 
 ImmutableDatabaseMariaSQL.prototype = {
+    abortQuery: abortQuery,
+    cacheResponse: cacheResponse,
     close: close,
+    commentQuery: commentQuery,
+    endQuery: endQuery,
+    explainQuery: explainQuery,
+    getState: getState,
+    getStats: getStats,
+    insertMany: insertMany,
+    invalidateCache: invalidateCache,
     logQuery: logQuery,
     logQueryError: logQueryError,
+    logQueryPlan: logQueryPlan,
     logQueryResponse: logQueryResponse,
+    logQuerySpan: logQuerySpan,
+    logSlowQuery: logSlowQuery,
+    logStreamResponse: logStreamResponse,
+    ping: ping,
     query: query,
+    reconnect: reconnect,
+    runQuery: runQuery,
+    sampleOptions: sampleOptions,
+    stream: stream,
+    transaction: transaction,
+    use: use,
+}
+
+/**
+ * @function abortQuery
+ *
+ * kill query in progress on connection. the kill is done from a separate
+ * connection by the client. if a query is passed then it is only killed if
+ * it is the query running on the client. errors are logged but not
+ * returned.
+ *
+ * @param {object} job - queued query - default running query
+ *
+ * @returns {Promise}
+ */
+function abortQuery (job) {
+    job = job || this.runningQuery
+    // do not kill a different query than the one being aborted
+    if (!job || job !== this.runningQuery) {
+        return Promise.resolve()
+    }
+
+    return new Promise(resolve => {
+        // client returns without calling back if query has already
+        // completed so also resolve when query completes
+        job.done.then(resolve)
+        // kill query on server
+        this.client.abort(err => {
+            if (err) {
+                this.logClient ? this.logClient.error(err) : console.error(err)
+            }
+            resolve()
+        })
+    })
+    // abort throws if client has not connected
+    .catch(err => {
+        this.logClient ? this.logClient.error(err) : console.error(err)
+    })
 }
 
 /**
@@ -132,17 +364,451 @@ function automock (setAutomockFunction) {
     return immutableDatabaseMariasql.automockFunction
 }
 
+/**
+ * @function cacheResponse
+ *
+ * store copy of response in result cache tagged with tables that were read.
+ * cache errors are logged but not returned.
+ *
+ * @param {string} key - cache key
+ * @param {array|object} res - database response data
+ * @param {object} classification - query classification
+ * @param {number} ttl - milliseconds to cache response
+ * @param {number} version - cache version when query started
+ *
+ * @returns {Promise}
+ */
+function cacheResponse (key, res, classification, ttl, version) {
+    return this.cache.set(key, res, _.uniq(_.flatMap(classification.statements, 'tables')), ttl, version)
+    .catch(err => {
+        this.logClient ? this.logClient.error(err) : console.error(err)
+    })
+}
+
 /**
  * @function close
  *
- * close connection
+ * close connection after queries and transactions in progress complete.
+ * queries can still be made while closing. if queries do not complete
+ * before timeout then connection is destroyed.
+ *
+ * @param {boolean|object} options - true to not wait for queries
+ * @param {boolean} options.force - do not wait for queries to complete
+ * @param {number} options.timeout - milliseconds to wait for queries
+ *
+ * @returns {Promise} resolves when connection is closed
+ *
+ * @throws {Error}
+ */
+function close (options) {
+    // boolean arg is force
+    options = typeof options === 'boolean'
+        ? {force: options}
+        : requireValidOptionalObject(options)
+    // get timeout
+    var timeout = options.timeout === undefined ? DEFAULT_CLOSE_TIMEOUT : options.timeout
+    if (typeof timeout !== 'number' || !(timeout >= 0)) {
+        throw new Error('connection error: close timeout must be number greater than or equal to 0')
+    }
+    // destroy connection that is already closing if forced
+    if (this.closePromise) {
+        if (options.force) {
+            this.client.destroy()
+        }
+        return this.closePromise
+    }
+    // do not reconnect after close
+    this.closing = true
+    clearTimeout(this.reconnectTimer)
+    // wait for client to close if it is open
+    var closed = this.client.connected || this.client.connecting
+        ? new Promise(resolve => this.client.once('close', resolve))
+        : Promise.resolve()
+    // close immediately if forced
+    if (options.force) {
+        this.client.destroy()
+    }
+    // otherwise close when idle or destroy after timeout
+    else {
+        waitForIdle(this).timeout(timeout).then(() => {
+            this.client.end()
+        }, () => {
+            this.client.destroy()
+        })
+    }
+    // flag connection closed once client closes
+    this.closePromise = closed.then(() => {
+        this.closed = true
+    })
+
+    return this.closePromise
+}
+
+/**
+ * @function commentQuery
+ *
+ * add sqlcommenter style comment to query if enabled so that queries in the
+ * server slow log and processlist can be matched to requests
+ *
+ * @param {string} query - query string
+ * @param {object} options - query options
+ * @param {boolean} options.sqlComment - override connection default
+ * @param {object} session - session object for logging
+ * @param {object|undefined} span - span for query
+ *
+ * @returns {string}
+ */
+function commentQuery (query, options, session, span) {
+    // query option overrides connection default
+    var enabled = options.sqlComment === undefined ? this.sqlComment : options.sqlComment
+    // return query unchanged if not enabled
+    if (!enabled) {
+        return query
+    }
+    // get comment from tags with values
+    var comment = sqlComment({
+        connection_name: this.connectionName,
+        module_call_id: session.moduleCallId,
+        request_id: session.requestId,
+        traceparent: span && span.traceparent,
+    })
+
+    return comment ? comment+' '+query : query
+}
+
+/**
+ * @function define
+ *
+ * define named connection that is shared by everything that gets it by
+ * name. the connection is created on first get. a pool is created if the
+ * size option is set and a router is created if config has primary.
+ * connection params are read from environment variables if not set.
+ *
+ * @param {string} name - connection name
+ * @param {object|string|undefined} connectionParams - connection params,
+ *        dsn string or router config
+ * @param {object} options - connection options
+ * @param {string} options.envPrefix - prefix for environment variables
+ *
+ * @returns {ImmutableDatabaseMariaSQL}
+ *
+ * @throws {Error}
+ */
+function define (name, connectionParams, options) {
+    // require name
+    if (typeof name !== 'string' || !name.length) {
+        throw new Error('registry error: name must be string')
+    }
+    // do not replace connection that may be in use
+    if (immutableDatabaseMariasql.registry[name]) {
+        throw new Error('registry error: connection '+name+' already defined')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // get connection params from environment or dsn
+    if (connectionParams === undefined) {
+        connectionParams = parseDsn.fromEnv(options.envPrefix)
+    }
+    else if (typeof connectionParams === 'string') {
+        connectionParams = parseDsn(connectionParams)
+    }
+    // store definition
+    immutableDatabaseMariasql.registry[name] = {
+        connection: undefined,
+        connectionParams: connectionParams,
+        options: _.assign({connectionName: name}, _.omit(options, 'envPrefix')),
+    }
+
+    return ImmutableDatabaseMariaSQL
+}
+
+/**
+ * @function endQuery
+ *
+ * record completed query in stats and log query if it exceeded the slow
+ * query time
+ *
+ * @param {string} query - query string
+ * @param {object} session - session object for logging
+ * @param {object} dbQueryId - unique id object
+ * @param {array} startTime - time from process.hrtime when query started
+ * @param {object} err - error if query failed
+ * @param {object} options - query options
+ *
+ * @returns {number} milliseconds elapsed since query started
+ */
+function endQuery (query, session, dbQueryId, startTime, err, options) {
+    // get time query took
+    var time = elapsedTime(startTime)
+    // check if query was slow
+    var slow = this.slowQueryTime !== undefined && time >= this.slowQueryTime
+    // update stats
+    this.stats.end(query, time, err, slow)
+    // notify anything waiting for queries to complete
+    if (!this.stats.inFlight) {
+        _.each(this.idleCallbacks.splice(0), callback => callback())
+    }
+    // log slow query
+    if (slow) {
+        this.logSlowQuery(query, session, dbQueryId, time, options)
+    }
+
+    return time
+}
+
+/**
+ * @function explainQuery
+ *
+ * run EXPLAIN FORMAT=JSON, or ANALYZE FORMAT=JSON if the analyze option is
+ * set, for query and log a dbQueryPlan record if the plan has warnings.
+ * each distinct query fingerprint is only explained once. explain queries
+ * are run directly on the client so they are not logged or counted in
+ * stats. errors are logged but not returned.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} session - session object for logging
+ * @param {object} dbQueryId - unique id object of query
+ * @param {object} options - query options
+ *
+ * @returns {Promise<object|undefined>}
+ */
+function explainQuery (query, params, session, dbQueryId, options) {
+    var key = fingerprint(query)
+    // only explain each distinct query once
+    if (this.explainedQueries.has(key) || this.closing) {
+        return Promise.resolve()
+    }
+    this.explainedQueries.add(key)
+    // ANALYZE runs query and adds actual row counts to plan
+    var column = this.explain.analyze ? 'ANALYZE' : 'EXPLAIN'
+
+    return enqueueQuery(this, () => this.client.queryPromise(column+' FORMAT=JSON '+query, params)).promise
+    .then(res => {
+        var plan = JSON.parse(res[0][column])
+        var warnings = queryPlanWarnings(plan, this.explain)
+        // only log plans with warnings
+        if (warnings.length) {
+            this.logQueryPlan(query, session, dbQueryId, plan, warnings, options)
+        }
+
+        return {plan: plan, warnings: warnings}
+    })
+    .catch(err => {
+        this.logClient ? this.logClient.error(err) : console.error(err)
+    })
+}
+
+/**
+ * @function get
+ *
+ * get named connection created with define
+ *
+ * @param {string} name - connection name
+ *
+ * @returns {ImmutableDatabaseMariaSQL|ImmutableDatabaseMariaSQLPool|ImmutableDatabaseMariaSQLRouter}
+ *
+ * @throws {Error}
+ */
+function get (name) {
+    var definition = immutableDatabaseMariasql.registry[name]
+    // require definition
+    if (!definition) {
+        throw new Error('registry error: connection '+name+' not defined')
+    }
+    // create connection on first get
+    if (!definition.connection) {
+        var connectionParams = definition.connectionParams
+        var options = definition.options
+
+        definition.connection = connectionParams.primary
+            ? router(connectionParams, options)
+            : (options.size === undefined
+                ? new ImmutableDatabaseMariaSQL(connectionParams, options)
+                : pool(connectionParams, options))
+    }
+
+    return definition.connection
+}
+
+/**
+ * @function getState
+ *
+ * get connection state - connecting|ready|closing|closed. connections that
+ * have not connected yet are connecting because they connect on the first
+ * query.
+ *
+ * @returns {string}
+ */
+function getState () {
+    if (this.closed) {
+        return 'closed'
+    }
+    if (this.closing) {
+        return 'closing'
+    }
+
+    return this.client.connected ? 'ready' : 'connecting'
+}
+
+/**
+ * @function getStats
+ *
+ * get query counters for connection. latency stats are grouped by query
+ * fingerprint.
+ *
+ * @returns {object}
+ */
+function getStats () {
+    return _.assign({
+        connectionId: this.connectionId,
+        connectionName: this.connectionName,
+        connectionNum: this.connectionNum,
+    }, this.stats.get())
+}
+
+/**
+ * @function insertMany
+ *
+ * insert rows into table with multi-row inserts. rows are split into
+ * chunks by number of rows and bytes of values. columns are the keys of all
+ * rows and missing values are inserted as NULL. resolves with totals and
+ * the result of each chunk. the first insert id of a chunk is the first
+ * auto increment id generated by its query. ids of the other rows in the
+ * chunk are only consecutive if no rows were skipped or updated.
+ *
+ * @param {string} table - table name
+ * @param {array} rows - objects with column values
+ * @param {object} options - options to pass client
+ * @param {boolean} options.ignore - use INSERT IGNORE
+ * @param {number} options.maxBytes - max bytes of values per query
+ * @param {number} options.maxRows - max rows per query
+ * @param {array} options.onDuplicateKeyUpdate - columns to update on
+ *                                               duplicate key
+ * @param {boolean} options.transaction - insert all chunks in transaction
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise<object>}
+ *
+ * @throws {Error}
+ */
+function insertMany (table, rows, options, session) {
+    // require string for table
+    if (typeof table !== 'string' || !table.length) {
+        throw new Error('insertMany error: table must be string')
+    }
+    // require array of objects for rows
+    if (!Array.isArray(rows) || !_.every(rows, _.isPlainObject)) {
+        throw new Error('insertMany error: rows must be array of objects')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    session = requireValidOptionalObject(session)
+    // get chunk limits
+    var maxBytes = options.maxBytes === undefined ? DEFAULT_INSERT_MANY_BYTES : options.maxBytes
+    var maxRows = options.maxRows === undefined ? DEFAULT_INSERT_MANY_ROWS : options.maxRows
+    if (typeof maxBytes !== 'number' || !(maxBytes > 0)) {
+        throw new Error('insertMany error: maxBytes must be number greater than 0')
+    }
+    if (!Number.isInteger(maxRows) || maxRows < 1) {
+        throw new Error('insertMany error: maxRows must be integer greater than 0')
+    }
+    // require array of column names for on duplicate key update
+    var update = options.onDuplicateKeyUpdate
+    if (update !== undefined && (!Array.isArray(update) || !update.length || !_.every(update, _.isString))) {
+        throw new Error('insertMany error: onDuplicateKeyUpdate must be array of column names')
+    }
+    // result with no rows inserted
+    var result = {
+        affectedRows: 0,
+        chunkResults: [],
+        chunks: 0,
+        firstInsertId: undefined,
+    }
+    // if the no insert flag is set then do not run insert queries
+    if (session.noInsert || !rows.length) {
+        return Promise.resolve(result)
+    }
+    // get columns from all rows
+    var columns = _.uniq(_.flatMap(rows, _.keys))
+    // build query without values
+    var insert = 'INSERT '+(options.ignore ? 'IGNORE ' : '')+'INTO '+escapeIdentifier(table)
+        +' ('+_.map(columns, escapeIdentifier).join(', ')+') VALUES '
+    var onDuplicate = update
+        ? ' ON DUPLICATE KEY UPDATE '+_.map(update, column => {
+            column = escapeIdentifier(column)
+            return column+' = VALUES('+column+')'
+        }).join(', ')
+        : ''
+    // options to pass to query
+    var queryOptions = _.omit(options, INSERT_MANY_OPTIONS)
+    // insert chunks in order
+    var insertChunks = db => Promise.each(chunkRows(rows, columns, maxRows, maxBytes), chunk => {
+        // each row is an array param that is formatted as a list of values
+        var params = {}
+        var values = _.map(chunk, (row, i) => {
+            params['row'+i] = row
+            return '(:row'+i+')'
+        })
+
+        return db.query(insert+values.join(', ')+onDuplicate, params, queryOptions, session)
+        .then(res => {
+            var info = res.info
+            var affectedRows = Number(info.affectedRows)
+            var insertId = Number(info.insertId)
+            // insert id is the first auto increment value generated by query
+            // or 0 if no rows were inserted
+            insertId = insertId || undefined
+            // aggregate results
+            result.affectedRows += affectedRows
+            result.chunks++
+            if (result.firstInsertId === undefined) {
+                result.firstInsertId = insertId
+            }
+            // add chunk result so that ranges of ids can be determined
+            result.chunkResults.push({
+                affectedRows: affectedRows,
+                firstInsertId: insertId,
+                rowCount: chunk.length,
+            })
+        })
+    })
+    // insert all chunks in one transaction if not already in transaction
+    var promise = options.transaction && !session.dbTransactionId
+        ? this.transaction(trx => insertChunks(trx), session)
+        : insertChunks(this)
+
+    return promise.then(() => result)
+}
+
+/**
+ * @function invalidateCache
+ *
+ * remove cached results for tables written to by query. all cached results
+ * are removed if tables cannot be determined. cache errors are logged but
+ * not returned.
+ *
+ * @param {object} classification - query classification
+ * @param {object} session - session object for logging
  *
- * @param {boolean} force - do not wait for queries to complete
+ * @returns {Promise}
  */
-function close (force) {
-    force
-        ? this.client.destroy()
-        : this.client.end()
+function invalidateCache (classification, session) {
+    // get tables for each mutating statement
+    var statementTables = _.map(_.filter(classification.statements, 'mutating'), statement => {
+        return statement.tables.length ? statement.tables : undefined
+    })
+    // tables are unknown if any statement has no tables
+    var tables = _.some(statementTables, _.isUndefined) ? undefined : _.uniq(_.flatten(statementTables))
+    // results may be cached again before transaction is committed so store
+    // tables to invalidate again when transaction completes
+    if (session.dbTransactionId) {
+        this.transactionWrites.push(tables)
+    }
+
+    return this.cache.invalidate(tables).catch(err => {
+        this.logClient ? this.logClient.error(err) : console.error(err)
+    })
 }
 
 /**
@@ -155,10 +821,17 @@ function close (force) {
  * @param {object} options - options to pass client
  * @param {object} session - session object for logging
  * @param {object} dbQueryId - unique id object
+ * @param {object} retry - retry info if query is being retried
+ * @param {string} retry.originalDbQueryId - id of first attempt
+ * @param {number} retry.retryNum - number of retry
+ * @param {object} flags
+ * @param {boolean} flags.cached - response was from result cache
+ * @param {boolean} flags.notExecuted - query was skipped in dry run or
+ *                                      rejected
  *
  * @returns {undefined}
  */
-function logQuery (query, params, options, session, dbQueryId) {
+function logQuery (query, params, options, session, dbQueryId, retry, flags) {
     // require log client
     if (!this.logClient) {
         return
@@ -167,16 +840,27 @@ function logQuery (query, params, options, session, dbQueryId) {
     if (options.log === false) {
         return
     }
+    // get redaction rules for query
+    var redactor = this.redactor.extend(options.redact)
+    var redactedQuery = redactor.redactQuery(query)
     // log query
     this.logClient.log('dbQuery', {
+        cached: flags && flags.cached,
         connectionId: this.connectionId,
         dbQueryCreateTime: dbQueryId.timestamp,
         dbQueryId: dbQueryId.id,
+        dbTransactionId: session.dbTransactionId,
+        fingerprint: fingerprint(redactedQuery),
+        fingerprintHash: fingerprint.hash(redactedQuery),
+        host: this.connectionParams && this.connectionParams.host,
         moduleCallId: session.moduleCallId,
+        notExecuted: flags && flags.notExecuted,
         options: options,
-        params: params,
-        query: query,
+        originalDbQueryId: retry && retry.originalDbQueryId,
+        params: redactor.redactParams(params),
+        query: redactedQuery,
         requestId: session.requestId,
+        retryNum: retry && retry.retryNum,
     })
 }
 
@@ -186,11 +870,14 @@ function logQuery (query, params, options, session, dbQueryId) {
  * log database query error
  *
  * @param {object} dbQueryId - unique id object
+ * @param {object} options - options to pass client
  * @param {object} err - error object
+ * @param {object} session - session object for logging
+ * @param {number} elapsedTime - milliseconds from query to error
  *
  * @returns {undefined}
  */
-function logQueryError (dbQueryId, options, err) {
+function logQueryError (dbQueryId, options, err, session, elapsedTime) {
     // require log client
     if (!this.logClient) {
         return
@@ -199,16 +886,56 @@ function logQueryError (dbQueryId, options, err) {
     if (options.log === false) {
         return
     }
-    // log error
+    // get redaction rules for query
+    var redactor = this.redactor.extend(options.redact)
+    // log error - message can include values from query
     this.logClient.log('dbResponse', {
         data: {
             code: err.code,
             isOperational: err.isOperational,
-            message: err.message,
+            message: redactor.redactMessage(err.message),
         },
         dbQueryId: dbQueryId.id,
         dbResponseSuccess: false,
         dbResponseCreateTime: microTimestamp(),
+        dbTransactionId: session && session.dbTransactionId,
+        elapsedTime: elapsedTime,
+    })
+}
+
+/**
+ * @function logQueryPlan
+ *
+ * log query plan with warnings. string values in the plan are fingerprinted
+ * so that literal values in conditions are not logged.
+ *
+ * @param {string} query - query string
+ * @param {object} session - session object for logging
+ * @param {object} dbQueryId - unique id object of query
+ * @param {object} plan - JSON query plan
+ * @param {array} warnings - query plan warnings
+ * @param {object} options - query options
+ *
+ * @returns {undefined}
+ */
+function logQueryPlan (query, session, dbQueryId, plan, warnings, options) {
+    // require log client
+    if (!this.logClient) {
+        return
+    }
+    // get redaction rules for query
+    var redactedQuery = this.redactor.extend(options && options.redact).redactQuery(query)
+    // log plan
+    this.logClient.log('dbQueryPlan', {
+        connectionId: this.connectionId,
+        dbQueryId: dbQueryId.id,
+        fingerprint: fingerprint(redactedQuery),
+        fingerprintHash: fingerprint.hash(redactedQuery),
+        moduleCallId: session.moduleCallId,
+        plan: _.cloneDeepWith(plan, value => typeof value === 'string' ? fingerprint(value) : undefined),
+        query: redactedQuery,
+        requestId: session.requestId,
+        warnings: warnings,
     })
 }
 
@@ -218,11 +945,14 @@ function logQueryError (dbQueryId, options, err) {
  * log database query response
  *
  * @param {object} dbQueryId - unique id object
+ * @param {object} options - options to pass client
  * @param {object} res - response data
+ * @param {object} session - session object for logging
+ * @param {number} elapsedTime - milliseconds from query to response
  *
  * @returns {undefined}
  */
-function logQueryResponse (dbQueryId, options, res) {
+function logQueryResponse (dbQueryId, options, res, session, elapsedTime) {
     // require log client
     if (!this.logClient) {
         return
@@ -231,80 +961,1565 @@ function logQueryResponse (dbQueryId, options, res) {
     if (options.log === false) {
         return
     }
+    // get redaction rules for query
+    var redactor = this.redactor.extend(options.redact)
+    // get logged data limited to max rows and bytes
+    var data = truncateResponse(redactor.redactResponse(res), {
+        maxBytes: options.logMaxBytes === undefined ? this.logMaxBytes : options.logMaxBytes,
+        maxRows: options.logMaxRows === undefined ? this.logMaxRows : options.logMaxRows,
+    })
     // log response
     this.logClient.log('dbResponse', {
-        data: res,
+        data: data.data,
+        dataHash: data.dataHash,
+        dataTruncated: data.dataTruncated,
         dbQueryId: dbQueryId.id,
         dbResponseCreateTime: microTimestamp(),
         dbResponseSuccess: true,
+        dbTransactionId: session && session.dbTransactionId,
+        elapsedTime: elapsedTime,
         info: res.info,
+        rowCount: data.rowCount,
     })
 }
 
 /**
- * @function query
+ * @function logQuerySpan
  *
- * @param {string} query - query string
- * @param {object} params - query params
+ * log span for query that was run with traceparent on session
+ *
+ * @param {object|undefined} span - span for query
+ * @param {object} dbQueryId - unique id object
  * @param {object} options - options to pass client
  * @param {object} session - session object for logging
+ * @param {string} startTime - micro timestamp when query started
+ * @param {number} elapsedTime - milliseconds
+ * @param {object} err - error if query failed
  *
- * @returns {Promise}
- *
- * @throws {Error}
+ * @returns {undefined}
  */
-function query (query, params, options, session) {
-    // require string for query
-    if (typeof query !== 'string') {
-        throw new Error('query error: query must be string')
+function logQuerySpan (span, dbQueryId, options, session, startTime, elapsedTime, err) {
+    // require log client and span
+    if (!this.logClient || !span) {
+        return
     }
-    // validate optional args - create objects if not passed in
-    options = requireValidOptionalObject(options)
-    params = requireValidOptionalObject(params)
-    session = requireValidOptionalObject(session)
-    // if the no insert flag is set then do not run insert queries
-    if (session.noInsert && query.match(/^\s*INSERT/i)) {
-        return Promise.resolve()
+    // do not log if query options flag is false
+    if (options.log === false) {
+        return
     }
-    // get unique if for query
-    var dbQueryId = randomUniqueId()
-    // log query start
-    this.logQuery(query, params, options, session, dbQueryId)
-    // perform query using promisified interface
-    return this.client.queryPromise(query, params, options)
-    // success
-    .then(res => {
-        // perform formatting on response data
-        formatResponse(res)
-        // log response
-        this.logQueryResponse(dbQueryId, options, res)
-        // resolve with response data
-        return res
-    })
-    // error
-    .catch(err => {
-        // log error
-        this.logQueryError(dbQueryId, options, err)
-        // reject with error
-        return Promise.reject(err)
+    // log span
+    this.logClient.log('dbQuerySpan', {
+        connectionId: this.connectionId,
+        dbQueryId: dbQueryId.id,
+        dbTransactionId: session.dbTransactionId,
+        elapsedTime: elapsedTime,
+        endTime: microTimestamp(),
+        moduleCallId: session.moduleCallId,
+        parentSpanId: span.parentSpanId,
+        requestId: session.requestId,
+        spanId: span.spanId,
+        startTime: startTime,
+        success: !err,
+        traceFlags: span.traceFlags,
+        traceId: span.traceId,
     })
 }
 
 /**
- * @function reset
+ * @function logSlowQuery
  *
- * clear global singleton data
+ * log query that exceeded slow query time
  *
- * @returns {ImmutableDatabaseMariasql}
+ * @param {string} query - query string
+ * @param {object} session - session object for logging
+ * @param {object} dbQueryId - unique id object
+ * @param {number} elapsedTime - milliseconds query took
+ * @param {object} options - query options
+ *
+ * @returns {undefined}
  */
-function reset () {
-    // clear global singleton data
+function logSlowQuery (query, session, dbQueryId, elapsedTime, options) {
+    // require log client
+    if (!this.logClient) {
+        return
+    }
+    // get redaction rules for query
+    var redactedQuery = this.redactor.extend(options && options.redact).redactQuery(query)
+    // log slow query
+    this.logClient.log('dbSlowQuery', {
+        connectionId: this.connectionId,
+        dbQueryId: dbQueryId.id,
+        dbTransactionId: session.dbTransactionId,
+        elapsedTime: elapsedTime,
+        fingerprint: fingerprint(redactedQuery),
+        moduleCallId: session.moduleCallId,
+        query: redactedQuery,
+        requestId: session.requestId,
+        slowQueryTime: this.slowQueryTime,
+    })
+}
+
+/**
+ * @function logStreamResponse
+ *
+ * log completion of streamed query. the number of rows and elapsed time are
+ * logged instead of response data.
+ *
+ * @param {object} dbQueryId - unique id object
+ * @param {object} options - options to pass client
+ * @param {object} session - session object for logging
+ * @param {object} result - stream result
+ * @param {number} result.elapsedTime - milliseconds from query to end
+ * @param {object} result.err - error if stream failed
+ * @param {object} result.info - info from last result set
+ * @param {number} result.rowCount - number of rows streamed
+ *
+ * @returns {undefined}
+ */
+function logStreamResponse (dbQueryId, options, session, result) {
+    // require log client
+    if (!this.logClient) {
+        return
+    }
+    // do not log if query options flag is false
+    if (options.log === false) {
+        return
+    }
+    // get redaction rules for query
+    var redactor = this.redactor.extend(options.redact)
+    // log response - error message can include values from query
+    this.logClient.log('dbResponse', {
+        data: result.err
+            ? {
+                code: result.err.code,
+                isOperational: result.err.isOperational,
+                message: redactor.redactMessage(result.err.message),
+            }
+            : undefined,
+        dbQueryId: dbQueryId.id,
+        dbResponseCreateTime: microTimestamp(),
+        dbResponseSuccess: !result.err,
+        dbTransactionId: session.dbTransactionId,
+        elapsedTime: result.elapsedTime,
+        info: result.info,
+        rowCount: result.rowCount,
+    })
+}
+
+/**
+ * @function pool
+ *
+ * create a pool of connections. connections are numbered automatically and
+ * each connection is logged with its own dbConnection record.
+ *
+ * @param {object} connectionParams - connection params to pass to db driver
+ * @param {object} options - connection options
+ *
+ * @returns {ImmutableDatabaseMariaSQLPool}
+ *
+ * @throws {Error}
+ */
+function pool (connectionParams, options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // get number of connections to create
+    var size = options.size === undefined ? DEFAULT_POOL_SIZE : options.size
+    // require positive integer for size
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error('pool error: size must be integer greater than 0')
+    }
+    // all connections share result cache
+    options = _.assign({}, options, {cache: getCache(options.cache)})
+    // create connections - all options are applied to each connection
+    var connections = _.times(size, connectionNum => {
+        return new ImmutableDatabaseMariaSQL(connectionParams, _.assign({}, options, {
+            connectionNum: connectionNum,
+        }))
+    })
+    // create pool
+    return new ImmutableDatabaseMariaSQLPool(connections, options)
+}
+
+/**
+ * @function ping
+ *
+ * check that connection can perform queries. ping queries are not logged
+ * and are not counted in stats. resolves with healthy false instead of
+ * rejecting if ping fails.
+ *
+ * @param {object} options
+ * @param {number} options.timeout - milliseconds to wait for response
+ *
+ * @returns {Promise<object>}
+ *
+ * @throws {Error}
+ */
+function ping (options) {
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    // get timeout
+    var timeout = options.timeout === undefined
+        ? DEFAULT_PING_TIMEOUT
+        : getTimeout(options.timeout)
+    // get start time for calculating elapsed time
+    var startTime = process.hrtime()
+    // get result
+    var result = err => {
+        return {
+            elapsedTime: elapsedTime(startTime),
+            error: err
+                ? {
+                    code: err.code,
+                    message: err.message,
+                }
+                : undefined,
+            healthy: !err,
+            state: this.getState(),
+        }
+    }
+    // do not reopen connection that is closing
+    if (this.closing) {
+        return Promise.resolve(result(new Error('ping error: connection closed')))
+    }
+    // perform query directly on client so that it is not logged
+    var job = enqueueQuery(this, () => this.client.queryPromise('SELECT 1'))
+    var promise = job.promise
+    // fail if no response before timeout - ping that has not started is
+    // removed from queue
+    if (timeout) {
+        promise = promise.timeout(timeout).catch(Promise.TimeoutError, () => {
+            cancelQuery(this, job)
+            return Promise.reject(timeoutError(timeout))
+        })
+    }
+
+    return promise.then(() => result(), result)
+}
+
+/**
+ * @function query
+ *
+ * perform query through global and connection middleware. global middleware
+ * is called first and then connection middleware in the order it was
+ * added.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {number} options.timeout - milliseconds before query is killed
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function query (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('query error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // get middleware
+    var middleware = immutableDatabaseMariasql.middleware.concat(this.middleware)
+    // perform query directly if there is no middleware
+    if (!middleware.length) {
+        return this.runQuery(query, params, options, session)
+    }
+    // query args that middleware can modify
+    var context = {
+        connection: this,
+        options: options,
+        params: params,
+        query: query,
+        session: session,
+    }
+    // call middleware at index with function to call next middleware - last
+    // middleware calls runQuery with args from context
+    var dispatch = i => {
+        // run query after all middleware
+        if (i === middleware.length) {
+            return this.runQuery(context.query, context.params, context.options, context.session)
+        }
+        // next can only be called once
+        var called = false
+        var next = () => {
+            if (called) {
+                return Promise.reject(new Error('middleware error: next called multiple times'))
+            }
+            called = true
+            return dispatch(i + 1)
+        }
+
+        return Promise.try(() => middleware[i](context, next))
+    }
+
+    return dispatch(0)
+}
+
+/**
+ * @function reconnect
+ *
+ * schedule attempt to reconnect after connection is lost. delay between
+ * attempts increases exponentially up to the max delay.
+ *
+ * @returns {undefined}
+ */
+function reconnect () {
+    // do not reconnect if disabled, closed or already scheduled
+    if (!this.reconnectOptions || this.closing || this.reconnectTimer) {
+        return
+    }
+    // driver must support reconnecting
+    if (typeof this.client.connect !== 'function') {
+        return
+    }
+    // get delay for attempt
+    var delay = backoffDelay(++this.reconnectAttempts, this.reconnectOptions)
+    // schedule reconnect
+    this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = undefined
+        // client may have already reconnected for a query
+        if (this.closing || this.client.connected || this.client.connecting) {
+            return
+        }
+        this.client.connect()
+    }, delay)
+    // do not keep process running to reconnect
+    if (this.reconnectTimer.unref) {
+        this.reconnectTimer.unref()
+    }
+}
+
+/**
+ * @function reset
+ *
+ * clear global singleton data
+ *
+ * @returns {ImmutableDatabaseMariasql}
+ */
+function reset () {
+    // close named connections
+    _.each(immutableDatabaseMariasql.registry, definition => {
+        if (definition.connection) {
+            Promise.try(() => definition.connection.close(true)).catch(_.noop)
+        }
+    })
+    // clear global singleton data
     immutableDatabaseMariasql.automockFunction = undefined
+    immutableDatabaseMariasql.middleware = []
+    immutableDatabaseMariasql.registry = {}
     // return class instance
     return ImmutableDatabaseMariaSQL
 }
 
-/* private functions */
+/**
+ * @function router
+ *
+ * create router that sends reads to replicas and writes to primary. if the
+ * size option is set then a pool of connections is created for each host
+ * otherwise a single connection is created for each host.
+ *
+ * @param {object} config
+ * @param {object} config.primary - connection params for primary
+ * @param {array} config.replicas - connection params for each replica
+ * @param {object} options - connection options
+ *
+ * @returns {ImmutableDatabaseMariaSQLRouter}
+ *
+ * @throws {Error}
+ */
+function router (config, options) {
+    // validate optional args - create objects if not passed in
+    config = requireValidOptionalObject(config)
+    options = requireValidOptionalObject(options)
+    // require primary connection params
+    if (!_.isPlainObject(config.primary)) {
+        throw new Error('router error: primary connection params required')
+    }
+    // replicas are optional
+    var replicas = config.replicas === undefined ? [] : config.replicas
+    // require array for replicas
+    if (!Array.isArray(replicas)) {
+        throw new Error('router error: replicas must be array')
+    }
+    // all hosts share result cache so that writes to primary invalidate
+    // results cached from replicas
+    options = _.assign({}, options, {cache: getCache(options.cache)})
+    // create pool or connection for host
+    var connect = connectionParams => options.size === undefined
+        ? new ImmutableDatabaseMariaSQL(connectionParams, options)
+        : pool(connectionParams, options)
+    // create router
+    return new ImmutableDatabaseMariaSQLRouter(
+        connect(config.primary),
+        _.map(replicas, connect),
+        options
+    )
+}
+
+/**
+ * @function runQuery
+ *
+ * perform query without middleware
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {number} options.timeout - milliseconds before query is killed
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function runQuery (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('query error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // do not reopen closed connection
+    if (this.closed) {
+        return Promise.reject(new Error('query error: connection closed'))
+    }
+    // if a transaction is in progress on this connection then queries that
+    // are not part of the transaction must wait for it to complete
+    if (this.transactionLock && session.dbTransactionId !== this.dbTransactionId) {
+        return this.transactionLock.then(() => this.runQuery(query, params, options, session))
+    }
+    // get append only tables - query option overrides connection default
+    var appendOnly = options.appendOnly === undefined
+        ? this.appendOnly
+        : getAppendOnly(options.appendOnly)
+    // classify statements in query if any must be skipped or rejected or
+    // query uses result cache
+    var classification = session.noInsert || session.dryRun || this.cache || appendOnly || this.explain
+        ? classifyQuery(query)
+        : undefined
+    // reject statements that modify existing data on append only connection
+    var violation = appendOnly && appendOnlyViolation(classification, appendOnly)
+    if (violation) {
+        var dbQueryId = randomUniqueId()
+        var err = errors.fromError(appendOnlyError(violation), dbQueryId.id)
+        // log query and error so that attempted violation is in audit trail
+        this.logQuery(query, params, options, session, dbQueryId, undefined, {notExecuted: true})
+        this.logQueryError(dbQueryId, options, err, session, 0)
+
+        return Promise.reject(err)
+    }
+    // if the no insert flag is set then do not run insert queries
+    if (session.noInsert && _.some(classification.statements, {type: 'INSERT'})) {
+        return Promise.resolve()
+    }
+    // get result cache options - throws on invalid cache option
+    var cacheOptions = getCacheOptions(options.cache, this.cache)
+    // get retry policy - throws on invalid retry option
+    var retryPolicy = getRetryPolicy(options.retry)
+    // get type converter - query option overrides connection default
+    var typeConverter = options.typed === undefined
+        ? this.typeConverter
+        : getTypeConverter(options.typed)
+    // typed results require column metadata from client
+    var clientOptions = getClientOptions(options, typeConverter)
+    // get timeout - query option overrides connection default
+    var timeout = options.timeout === undefined
+        ? this.timeout
+        : getTimeout(options.timeout)
+    // get options for logging query and response - if query is not sampled
+    // only errors are logged
+    var logOptions = this.sampleOptions(options)
+    // in dry run mode queries that can modify data are logged but not run
+    // and resolve with an empty result
+    if (session.dryRun && classification.mutating) {
+        this.logQuery(query, params, logOptions, session, randomUniqueId(), undefined, {notExecuted: true})
+        // get empty result for each statement
+        var res = dryRunResult(classification)
+        // convert info to native types
+        if (typeConverter) {
+            typeConverter.convertResponse(res, options.metadata)
+        }
+
+        return Promise.resolve(res)
+    }
+    // get key for result cache - only read queries outside of transactions
+    // are cached
+    var cacheKey = cacheOptions && !classification.mutating && !session.dbTransactionId
+        ? this.cache.key(this.connectionParams, query, params, clientOptions)
+        : undefined
+    // get cache version so that results are not cached if there is a write
+    // while query is running
+    var cacheVersion = cacheKey ? this.cache.version : undefined
+    // get unique if for query
+    var originalDbQueryId = randomUniqueId()
+    // perform query attempt - retries are logged as new queries linked to
+    // the original query
+    var attempt = (dbQueryId, retryNum) => {
+        // retry info for logging
+        var retry = retryNum > 0
+            ? {originalDbQueryId: originalDbQueryId.id, retryNum: retryNum}
+            : undefined
+        // log query start
+        this.logQuery(query, params, logOptions, session, dbQueryId, retry)
+        // create span for attempt if session has trace context
+        var span = sqlComment.createSpan(session.traceparent)
+        var spanStartTime = microTimestamp()
+        // get start time for calculating elapsed time
+        var startTime = process.hrtime()
+        // count query in progress
+        this.stats.start()
+        var promise = new Promise((resolve, reject) => {
+            // perform query using promisified interface when no other query
+            // is running
+            var job = enqueueQuery(this, () => {
+                var clientPromise = this.client.queryPromise(this.commentQuery(query, options, session, span), params, clientOptions)
+                // reject if query does not complete before timeout and kill
+                // query on server so that it stops running. timeout starts
+                // when query starts running so that time waiting for other
+                // queries is not counted.
+                if (timeout) {
+                    var timer = setTimeout(() => {
+                        reject(timeoutError(timeout))
+                        this.abortQuery(job)
+                    }, timeout)
+                    clientPromise = Promise.resolve(clientPromise).finally(() => clearTimeout(timer))
+                }
+
+                return clientPromise
+            })
+            // result of killed query is ignored because promise has already
+            // been rejected
+            job.promise.then(resolve, reject)
+        })
+
+        return promise
+        // success
+        .then(res => {
+            // record query in stats
+            var time = this.endQuery(query, session, dbQueryId, startTime, undefined, options)
+            // perform formatting on response data
+            formatResponse(res)
+            // cache copy of response before values are converted
+            if (cacheKey) {
+                this.cacheResponse(cacheKey, res, classification, cacheOptions.ttl, cacheVersion)
+            }
+            // remove cached results for tables that were written to
+            if (this.cache && classification.mutating) {
+                this.invalidateCache(classification, session)
+            }
+            // log response
+            this.logQueryResponse(dbQueryId, logOptions, res, session, time)
+            this.logQuerySpan(span, dbQueryId, logOptions, session, spanStartTime, time)
+            // check plan of each distinct select without waiting
+            if (this.explain && classification.statements.length === 1
+                && classification.statements[0].type === 'SELECT' && !classification.mutating
+            ) {
+                this.explainQuery(query, params, session, dbQueryId, options)
+            }
+            // convert values to native types after logging so that logged
+            // data is the same as returned by the server
+            if (typeConverter) {
+                typeConverter.convertResponse(res, options.metadata)
+            }
+            // resolve with response data
+            return res
+        },
+        // error
+        err => {
+            // convert to error class for code
+            err = errors.fromError(err, dbQueryId.id)
+            // record query in stats
+            var time = this.endQuery(query, session, dbQueryId, startTime, err, options)
+            // failed writes may have modified some rows
+            if (this.cache && classification.mutating) {
+                this.invalidateCache(classification, session)
+            }
+            // errors are always logged so log query if it was not sampled
+            if (logOptions !== options) {
+                this.logQuery(query, params, options, session, dbQueryId, retry)
+            }
+            // log error
+            this.logQueryError(dbQueryId, options, err, session, time)
+            this.logQuerySpan(span, dbQueryId, options, session, spanStartTime, time, err)
+            // retry on transient errors if query has retry policy - queries
+            // in a transaction cannot be retried individually
+            if (retryPolicy && retryNum < retryPolicy.retries
+                && _.includes(retryPolicy.codes, err.code) && !session.dbTransactionId
+            ) {
+                return Promise.delay(backoffDelay(retryNum + 1, retryPolicy))
+                .then(() => attempt(randomUniqueId(), retryNum + 1))
+            }
+            // reject with error
+            return Promise.reject(err)
+        })
+    }
+
+    // perform query if result cache is not used
+    if (!cacheKey) {
+        return attempt(originalDbQueryId, 0)
+    }
+    // get start time for calculating elapsed time
+    var cacheStartTime = process.hrtime()
+    // get response from cache - perform query if cache fails
+    return this.cache.get(cacheKey).catch(err => {
+        this.logClient ? this.logClient.error(err) : console.error(err)
+    })
+    .then(res => {
+        // perform query if not cached
+        if (!res) {
+            return attempt(originalDbQueryId, 0)
+        }
+        // log query and response so that log is complete
+        this.logQuery(query, params, logOptions, session, originalDbQueryId, undefined, {cached: true})
+        this.logQueryResponse(originalDbQueryId, logOptions, res, session, elapsedTime(cacheStartTime))
+        // convert values to native types
+        if (typeConverter) {
+            typeConverter.convertResponse(res, options.metadata)
+        }
+        // resolve with response data
+        return res
+    })
+}
+
+/**
+ * @function sampleOptions
+ *
+ * get options for logging query. if the query is not sampled then options
+ * with log set to false are returned so that only errors are logged.
+ *
+ * @param {object} options - query options
+ * @param {number} options.logSampleRate - rate of queries to log from 0 to 1
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function sampleOptions (options) {
+    // validate log options for query
+    requireValidLogOptions(options, 'query')
+    // get sample rate - query option overrides connection default
+    var sampleRate = options.logSampleRate === undefined
+        ? this.logSampleRate
+        : options.logSampleRate
+    // log all queries by default
+    if (sampleRate === undefined || Math.random() < sampleRate) {
+        return options
+    }
+
+    return _.assign({}, options, {log: false})
+}
+
+/**
+ * @function stream
+ *
+ * perform query and stream rows instead of buffering the result in memory.
+ * returns an object mode readable stream that can be used as an async
+ * iterator. rows are only read from the server as fast as they are consumed
+ * from the stream.
+ *
+ * @param {string} query - query string
+ * @param {object} params - query params
+ * @param {object} options - options to pass client
+ * @param {object} session - session object for logging
+ *
+ * @returns {Readable}
+ *
+ * @throws {Error}
+ */
+function stream (query, params, options, session) {
+    // require string for query
+    if (typeof query !== 'string') {
+        throw new Error('stream error: query must be string')
+    }
+    // validate optional args - create objects if not passed in
+    options = requireValidOptionalObject(options)
+    params = requireValidOptionalObject(params)
+    session = requireValidOptionalObject(session)
+    // number of rows streamed
+    var rowCount = 0
+    // set to true when query ends or fails
+    var finished = false
+    // result set streams from client
+    var results = []
+    // get type converter - query option overrides connection default
+    var typeConverter = options.typed === undefined
+        ? this.typeConverter
+        : getTypeConverter(options.typed)
+    // typed results require column metadata from client
+    var clientOptions = getClientOptions(options, typeConverter)
+    // get options for logging query and response - if query is not sampled
+    // only errors are logged
+    var logOptions = this.sampleOptions(options)
+    // create output stream that formats rows
+    var output = new Transform({
+        highWaterMark: options.hwm,
+        objectMode: true,
+        transform: (row, encoding, callback) => {
+            rowCount++
+            // perform formatting on row
+            formatRow(row)
+            // convert values using metadata from current result set
+            if (typeConverter) {
+                var res = _.last(results)
+                typeConverter.convertRow(row, res.info && res.info.metadata || {})
+            }
+            callback(null, row)
+        },
+    })
+    // if output is destroyed before query ends then drain remaining rows
+    // so that connection is not blocked
+    output.on('close', () => {
+        if (!finished) {
+            _.each(results, res => {
+                res.unpipe(output)
+                res.resume()
+            })
+        }
+    })
+    // start query
+    var start = () => {
+        // do not reopen closed connection
+        if (this.closed) {
+            finished = true
+            output.destroy(new Error('stream error: connection closed'))
+            return
+        }
+        // if a transaction is in progress on this connection then queries that
+        // are not part of the transaction must wait for it to complete
+        if (this.transactionLock && session.dbTransactionId !== this.dbTransactionId) {
+            return this.transactionLock.then(start)
+        }
+        // get append only tables - query option overrides connection default
+        var appendOnly = options.appendOnly === undefined
+            ? this.appendOnly
+            : getAppendOnly(options.appendOnly)
+        // classify statements in query if any must be skipped or rejected or
+        // cached results must be invalidated
+        var classification = session.noInsert || session.dryRun || this.cache || appendOnly
+            ? classifyQuery(query)
+            : undefined
+        // reject statements that modify existing data on append only
+        // connection
+        var violation = appendOnly && appendOnlyViolation(classification, appendOnly)
+        if (violation) {
+            var violationQueryId = randomUniqueId()
+            var err = errors.fromError(appendOnlyError(violation), violationQueryId.id)
+            // log query and error so that attempted violation is in audit
+            // trail
+            this.logQuery(query, params, options, session, violationQueryId, undefined, {notExecuted: true})
+            this.logQueryError(violationQueryId, options, err, session, 0)
+            finished = true
+            output.destroy(err)
+            return
+        }
+        // if the no insert flag is set then do not run insert queries
+        if (session.noInsert && _.some(classification.statements, {type: 'INSERT'})) {
+            finished = true
+            output.end()
+            return
+        }
+        // in dry run mode queries that can modify data are logged but not run
+        if (session.dryRun && classification.mutating) {
+            this.logQuery(query, params, logOptions, session, randomUniqueId(), undefined, {notExecuted: true})
+            finished = true
+            output.end()
+            return
+        }
+        // get unique id for query
+        var dbQueryId = randomUniqueId()
+        // create span for query if session has trace context
+        var span = sqlComment.createSpan(session.traceparent)
+        var spanStartTime = microTimestamp()
+        // get start time for calculating elapsed time
+        var startTime = process.hrtime()
+        // log query start
+        this.logQuery(query, params, logOptions, session, dbQueryId)
+        // count query in progress
+        this.stats.start()
+        // info for last result set
+        var info
+        // called once when query ends or fails
+        var finish = err => {
+            if (finished) {
+                return
+            }
+            finished = true
+            // convert to error class for code
+            if (err) {
+                err = errors.fromError(err, dbQueryId.id)
+            }
+            // remove cached results for tables that were written to
+            if (this.cache && classification.mutating) {
+                this.invalidateCache(classification, session)
+            }
+            // errors are always logged so log query if it was not sampled
+            if (err && logOptions !== options) {
+                this.logQuery(query, params, options, session, dbQueryId)
+            }
+            // record query in stats
+            var time = this.endQuery(query, session, dbQueryId, startTime, err, options)
+            // log response
+            this.logStreamResponse(dbQueryId, err ? options : logOptions, session, {
+                elapsedTime: time,
+                err: err,
+                info: info,
+                rowCount: rowCount,
+            })
+            this.logQuerySpan(span, dbQueryId, err ? options : logOptions, session, spanStartTime, time, err)
+            // end output stream
+            if (err) {
+                output.destroy(err)
+            }
+            else if (!output.destroyed) {
+                output.end()
+            }
+        }
+        // perform query in streaming mode when no other query is running -
+        // next query runs once client emits end or error
+        var job = enqueueQuery(this, () => new Promise(resolve => {
+            var emitter = this.client.query(this.commentQuery(query, options, session, span), params, clientOptions)
+            // pipe each result set to output
+            emitter.on('result', res => {
+                results.push(res)
+                res.on('end', () => {
+                    info = res.info
+                })
+                res.on('error', finish)
+                res.pipe(output, {end: false})
+            })
+            // end output when all result sets are complete
+            emitter.on('end', () => {
+                finish()
+                resolve()
+            })
+            emitter.on('error', err => {
+                finish(err)
+                resolve()
+            })
+        }))
+        // query is rejected if connection closes before it starts
+        job.promise.catch(finish)
+    }
+    // start query - any error is passed to stream
+    Promise.try(start).catch(err => {
+        output.destroy(err)
+    })
+
+    return output
+}
+
+/**
+ * @function transaction
+ *
+ * run function in a transaction. function is called with transaction object
+ * and must return a promise. transaction is committed if promise resolves
+ * and rolled back if it rejects. queries done through the transaction object
+ * are logged with the same dbTransactionId. other queries on the connection
+ * wait until the transaction is complete.
+ *
+ * @param {function} fn - function to call with transaction
+ * @param {object} session - session object for logging
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function transaction (fn, session) {
+    // require function
+    if (typeof fn !== 'function') {
+        throw new Error('transaction error: function required')
+    }
+    // validate optional args - create objects if not passed in
+    session = requireValidOptionalObject(session)
+    // if another transaction is in progress then wait for it to complete
+    if (this.transactionLock) {
+        return this.transactionLock.then(() => this.transaction(fn, session))
+    }
+    // create new transaction
+    var trx = new ImmutableDatabaseMariaSQLTransaction(this, session)
+    // set transaction in progress
+    this.dbTransactionId = trx.dbTransactionId
+    // run transaction
+    var promise = trx.run(fn)
+    // release lock when transaction completes whether it succeeds or fails
+    this.transactionLock = promise.reflect().then(() => {
+        // remove results that were cached while transaction was in progress
+        if (this.transactionWrites.length) {
+            var tables = this.transactionWrites
+            this.transactionWrites = []
+            this.cache.invalidate(_.some(tables, _.isUndefined) ? undefined : _.uniq(_.flatten(tables)))
+            .catch(err => {
+                this.logClient ? this.logClient.error(err) : console.error(err)
+            })
+        }
+        this.dbTransactionId = undefined
+        this.transactionLock = undefined
+    })
+    // resolve with result of transaction
+    return promise
+}
+
+/**
+ * @function use
+ *
+ * add middleware for queries on connection. middleware is called with a
+ * context that has the connection, query, params, options and session and
+ * a next function that calls the next middleware and resolves with the
+ * result. middleware can change the context before calling next, handle
+ * the result or error after and return a result without calling next.
+ *
+ * @param {function} fn - middleware function(context, next)
+ *
+ * @returns {ImmutableDatabaseMariaSQL}
+ *
+ * @throws {Error}
+ */
+function use (fn) {
+    // require function
+    if (typeof fn !== 'function') {
+        throw new Error('middleware error: middleware must be function')
+    }
+    this.middleware.push(fn)
+
+    return this
+}
+
+/**
+ * @function useGlobal
+ *
+ * add middleware for queries on all connections. global middleware is
+ * called before connection middleware.
+ *
+ * @param {function} fn - middleware function(context, next)
+ *
+ * @returns {ImmutableDatabaseMariaSQL}
+ *
+ * @throws {Error}
+ */
+function useGlobal (fn) {
+    // require function
+    if (typeof fn !== 'function') {
+        throw new Error('middleware error: middleware must be function')
+    }
+    immutableDatabaseMariasql.middleware.push(fn)
+
+    return ImmutableDatabaseMariaSQL
+}
+
+/* private functions */
+
+/**
+ * @function appendOnlyError
+ *
+ * get error for statement rejected on append only connection
+ *
+ * @param {object} violation
+ * @param {array} violation.tables - tables in statement
+ * @param {string} violation.type - type of statement
+ *
+ * @returns {AppendOnlyError}
+ */
+function appendOnlyError (violation) {
+    return new errors.AppendOnlyError('query error: '+violation.type+' not allowed on append only connection', {
+        code: APPEND_ONLY_ERROR_CODE,
+        statementType: violation.type,
+        tables: violation.tables,
+    })
+}
+
+/**
+ * @function appendOnlyViolation
+ *
+ * get first statement that modifies existing data in tables that are not
+ * allowed. statements where the tables cannot be determined are never
+ * allowed. inserts that update duplicate rows are treated as updates.
+ *
+ * @param {object} classification - classified query
+ * @param {object} appendOnly
+ * @param {array} appendOnly.tables - tables that can be modified
+ *
+ * @returns {object|undefined}
+ */
+function appendOnlyViolation (classification, appendOnly) {
+    var violation
+
+    _.each(classification.statements, statement => {
+        var type = statement.type
+        // upserts update existing rows
+        if (type === 'INSERT') {
+            var words = _.map(_.filter(statement.tokens, {type: 'word'}), 'upper')
+            if (_.some(words, (word, i) => word === 'DUPLICATE' && words[i + 1] === 'KEY' && words[i + 2] === 'UPDATE')) {
+                type = 'INSERT ON DUPLICATE KEY UPDATE'
+            }
+        }
+        // statement does not modify existing data
+        if (!_.includes(APPEND_ONLY_STATEMENTS, type) && type !== 'INSERT ON DUPLICATE KEY UPDATE') {
+            return
+        }
+        // all tables must be allowed
+        if (statement.tables.length && _.every(statement.tables, table => _.includes(appendOnly.tables, tableName(table)))) {
+            return
+        }
+        violation = {tables: statement.tables, type: type}
+        // stop on first violation
+        return false
+    })
+
+    return violation
+}
+
+/**
+ * @function backoffDelay
+ *
+ * get delay for attempt that doubles with each attempt up to max delay
+ *
+ * @param {number} attempt - attempt number starting at 1
+ * @param {object} policy
+ * @param {number} policy.initialDelay - delay for first attempt
+ * @param {number} policy.maxDelay - max delay
+ *
+ * @returns {number}
+ */
+function backoffDelay (attempt, policy) {
+    return Math.min(policy.initialDelay * Math.pow(2, attempt - 1), policy.maxDelay)
+}
+
+/**
+ * @function cancelQuery
+ *
+ * remove query that has not started from queue and reject it
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection
+ * @param {object} job - queued query
+ *
+ * @returns {boolean} true if query was removed
+ */
+function cancelQuery (connection, job) {
+    // query that is running cannot be removed
+    if (job.started || !_.includes(connection.queryQueue, job)) {
+        return false
+    }
+    _.pull(connection.queryQueue, job)
+    job.reject(new Error('query error: query cancelled'))
+
+    return true
+}
+
+/**
+ * @function chunkRows
+ *
+ * get rows as arrays of values split into chunks by number of rows and
+ * bytes of formatted values. a row larger than max bytes is its own chunk.
+ *
+ * @param {array} rows - objects with column values
+ * @param {array} columns - column names
+ * @param {number} maxRows - max rows per chunk
+ * @param {number} maxBytes - max bytes per chunk
+ *
+ * @returns {array}
+ */
+function chunkRows (rows, columns, maxRows, maxBytes) {
+    var chunks = []
+    var chunk = []
+    var chunkBytes = 0
+
+    _.each(rows, row => {
+        var values = _.map(columns, column => row[column] === undefined ? null : row[column])
+        // bytes of values with parens and separators
+        var bytes = _.sumBy(values, valueBytes) + values.length + 3
+        // start new chunk if row does not fit
+        if (chunk.length && (chunk.length === maxRows || chunkBytes + bytes > maxBytes)) {
+            chunks.push(chunk)
+            chunk = []
+            chunkBytes = 0
+        }
+        chunk.push(values)
+        chunkBytes += bytes
+    })
+    chunks.push(chunk)
+
+    return chunks
+}
+
+/**
+ * @function dequeueQuery
+ *
+ * start next queued query if no query is running. queries are rejected if
+ * connection was closed while they were queued.
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection
+ *
+ * @returns {undefined}
+ */
+function dequeueQuery (connection) {
+    // only one query runs at a time
+    if (connection.runningQuery || !connection.queryQueue.length) {
+        return
+    }
+    var job = connection.queryQueue.shift()
+    // do not reopen closed connection
+    if (connection.closed) {
+        job.reject(new Error('query error: connection closed'))
+        dequeueQuery(connection)
+        return
+    }
+    // start query
+    connection.runningQuery = job
+    job.start()
+    // start next query when query completes on client
+    job.done.then(() => {
+        connection.runningQuery = undefined
+        dequeueQuery(connection)
+    })
+}
+
+/**
+ * @function dryRunResult
+ *
+ * get empty result for query that was not run. there is one result for each
+ * statement if the query has multiple statements.
+ *
+ * @param {object} classification - query classification
+ *
+ * @returns {array|object}
+ */
+function dryRunResult (classification) {
+    var results = _.map(classification.statements, statement => {
+        // statements that modify data only have info
+        var res = statement.mutating ? {} : []
+        // set info with no rows
+        res.info = {
+            numRows: '0',
+            affectedRows: '0',
+            insertId: '0',
+            metadata: undefined,
+        }
+
+        return res
+    })
+
+    return results.length === 1 ? results[0] : results
+}
+
+/**
+ * @function elapsedTime
+ *
+ * get milliseconds elapsed since start time
+ *
+ * @param {array} startTime - time from process.hrtime
+ *
+ * @returns {number}
+ */
+function elapsedTime (startTime) {
+    var diff = process.hrtime(startTime)
+
+    return diff[0] * 1e3 + diff[1] / 1e6
+}
+
+/**
+ * @function enqueueQuery
+ *
+ * add query to queue of queries waiting to be sent to client. run is
+ * called when no other query is running and must return a promise that
+ * settles when the query is complete on the client.
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection
+ * @param {function} run - function that sends query to client
+ *
+ * @returns {object} job with promise for result of run
+ */
+function enqueueQuery (connection, run) {
+    var job = {started: false}
+    // resolves with result of run or rejects if query is cancelled
+    job.promise = new Promise((resolve, reject) => {
+        job.reject = reject
+        job.start = () => {
+            job.started = true
+            Promise.try(run).then(resolve, reject)
+        }
+    })
+    // resolves when query is no longer queued or running
+    job.done = job.promise.reflect()
+    // add query to queue and start it if no query is running
+    connection.queryQueue.push(job)
+    dequeueQuery(connection)
+
+    return job
+}
+
+/**
+ * @function escapeIdentifier
+ *
+ * quote identifier with backticks. names with dots are quoted as
+ * database.table.
+ *
+ * @param {string} name
+ *
+ * @returns {string}
+ */
+function escapeIdentifier (name) {
+    return _.map(name.split('.'), part => '`'+part.replace(/`/g, '``')+'`').join('.')
+}
+
+/**
+ * @function getAppendOnly
+ *
+ * get append only options from appendOnly option. true rejects statements
+ * that modify existing data in any table and an object with tables allows
+ * them for those tables.
+ *
+ * @param {boolean|object|undefined} appendOnly - appendOnly option
+ *
+ * @returns {object|undefined}
+ *
+ * @throws {Error}
+ */
+function getAppendOnly (appendOnly) {
+    // not append only
+    if (appendOnly === undefined || appendOnly === false) {
+        return
+    }
+    // no tables allowed
+    if (appendOnly === true) {
+        return {tables: []}
+    }
+    // require array of table names
+    if (!_.isPlainObject(appendOnly) || (appendOnly.tables !== undefined
+        && (!Array.isArray(appendOnly.tables) || !_.every(appendOnly.tables, _.isString)))
+    ) {
+        throw new Error('query error: appendOnly must be boolean or object with array of table names')
+    }
+
+    return {tables: _.map(appendOnly.tables, tableName)}
+}
+
+/**
+ * @function getCache
+ *
+ * get result cache from connection cache option
+ *
+ * @param {boolean|object|ImmutableDatabaseMariaSQLCache|undefined} cache -
+ *        true for default cache, cache options or cache instance
+ *
+ * @returns {ImmutableDatabaseMariaSQLCache|undefined}
+ *
+ * @throws {Error}
+ */
+function getCache (cache) {
+    // no cache
+    if (cache === undefined || cache === false) {
+        return
+    }
+    // use existing cache
+    if (cache instanceof ImmutableDatabaseMariaSQLCache) {
+        return cache
+    }
+
+    return new ImmutableDatabaseMariaSQLCache(cache === true ? {} : cache)
+}
+
+/**
+ * @function getCacheOptions
+ *
+ * get result cache options from query cache option
+ *
+ * @param {boolean|object|undefined} cache - true or object with ttl
+ * @param {ImmutableDatabaseMariaSQLCache|undefined} connectionCache
+ *
+ * @returns {object|undefined}
+ *
+ * @throws {Error}
+ */
+function getCacheOptions (cache, connectionCache) {
+    // query does not use cache
+    if (cache === undefined || cache === false) {
+        return
+    }
+    // require cache on connection
+    if (!connectionCache) {
+        throw new Error('query error: cache not enabled for connection')
+    }
+    // use default ttl
+    if (cache === true) {
+        return {}
+    }
+    // validate optional args - create objects if not passed in
+    cache = requireValidOptionalObject(cache)
+
+    return {
+        ttl: cache.ttl === undefined ? undefined : ImmutableDatabaseMariaSQLCache.requireValidTtl(cache.ttl),
+    }
+}
+
+/**
+ * @function getClientOptions
+ *
+ * get options to pass to client. metadata is requested if results are typed.
+ *
+ * @param {object} options - query options
+ * @param {ImmutableDatabaseMariaSQLTypeConverter|undefined} typeConverter
+ *
+ * @returns {object}
+ */
+function getClientOptions (options, typeConverter) {
+    return typeConverter && !options.metadata
+        ? _.assign({}, options, {metadata: true})
+        : options
+}
+
+/**
+ * @function getExplainOptions
+ *
+ * get options for checking query plans from explain option
+ *
+ * @param {boolean|object|undefined} explain - true or object with options
+ * @param {boolean} explain.analyze - use ANALYZE instead of EXPLAIN
+ * @param {number} explain.maxRows - max rows for each table - 0 for no max
+ *
+ * @returns {object|undefined}
+ *
+ * @throws {Error}
+ */
+function getExplainOptions (explain) {
+    // query plans not checked
+    if (explain === undefined || explain === false) {
+        return
+    }
+    // use defaults
+    if (explain === true) {
+        explain = {}
+    }
+    // require object
+    if (!_.isPlainObject(explain)) {
+        throw new Error('connection error: explain must be boolean or object')
+    }
+    // get max rows
+    var maxRows = explain.maxRows === undefined ? DEFAULT_EXPLAIN_MAX_ROWS : explain.maxRows
+    // require non-negative integer
+    if (!Number.isInteger(maxRows) || maxRows < 0) {
+        throw new Error('connection error: explain maxRows must be integer greater than or equal to 0')
+    }
+
+    return {
+        analyze: !!explain.analyze,
+        maxRows: maxRows,
+    }
+}
+
+/**
+ * @function getRetryPolicy
+ *
+ * get retry policy from query retry option. true uses default policy, a
+ * number sets the number of retries and an object overrides defaults.
+ *
+ * @param {boolean|number|object|undefined} retry - query retry option
+ *
+ * @returns {object|undefined}
+ *
+ * @throws {Error}
+ */
+function getRetryPolicy (retry) {
+    // no retry
+    if (retry === undefined || retry === false) {
+        return
+    }
+    // use default policy
+    if (retry === true) {
+        retry = {}
+    }
+    // set number of retries
+    else if (typeof retry === 'number') {
+        retry = {retries: retry}
+    }
+    // require object
+    else if (!_.isPlainObject(retry)) {
+        throw new Error('query error: retry must be boolean, number or object')
+    }
+    // get policy with defaults
+    var policy = _.defaults({}, retry, DEFAULT_RETRY, {codes: RETRY_ERROR_CODES})
+    // require non-negative integer for retries
+    if (!Number.isInteger(policy.retries) || policy.retries < 0) {
+        throw new Error('query error: retries must be integer greater than or equal to 0')
+    }
+
+    return policy
+}
+
+/**
+ * @function getTimeout
+ *
+ * get timeout from timeout option. 0 or false disables timeout.
+ *
+ * @param {boolean|number|undefined} timeout - milliseconds
+ *
+ * @returns {number|undefined}
+ *
+ * @throws {Error}
+ */
+function getTimeout (timeout) {
+    // no timeout
+    if (timeout === undefined || timeout === false || timeout === 0) {
+        return
+    }
+    // require positive integer
+    if (!Number.isInteger(timeout) || timeout < 0) {
+        throw new Error('query error: timeout must be integer greater than or equal to 0')
+    }
+
+    return timeout
+}
+
+/**
+ * @function getTypeConverter
+ *
+ * get type converter from typed option. true uses default conversions and an
+ * object sets converter options.
+ *
+ * @param {boolean|object|undefined} typed - typed option
+ *
+ * @returns {ImmutableDatabaseMariaSQLTypeConverter|undefined}
+ *
+ * @throws {Error}
+ */
+function getTypeConverter (typed) {
+    // not typed
+    if (typed === undefined || typed === false) {
+        return
+    }
+    // use default conversions
+    if (typed === true) {
+        typed = {}
+    }
+    // require object
+    else if (!_.isPlainObject(typed)) {
+        throw new Error('typed error: typed must be boolean or object')
+    }
+
+    return new ImmutableDatabaseMariaSQLTypeConverter(typed)
+}
+
+/**
+ * @function requireValidLogOptions
+ *
+ * validate options for limiting logging
+ *
+ * @param {object} options
+ * @param {number} options.logMaxBytes - max bytes of logged response data
+ * @param {number} options.logMaxRows - max rows of logged response data
+ * @param {number} options.logSampleRate - rate of queries to log from 0 to 1
+ * @param {string} area - area for error message
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function requireValidLogOptions (options, area) {
+    // require non-negative integers for limits
+    _.each(['logMaxBytes', 'logMaxRows'], name => {
+        if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 0)) {
+            throw new Error(area+' error: '+name+' must be integer greater than or equal to 0')
+        }
+    })
+    // require number from 0 to 1 for sample rate
+    if (options.logSampleRate !== undefined
+        && !(typeof options.logSampleRate === 'number' && options.logSampleRate >= 0 && options.logSampleRate <= 1)
+    ) {
+        throw new Error(area+' error: logSampleRate must be number from 0 to 1')
+    }
+}
+
+/**
+ * @function tableName
+ *
+ * get lower case table name without database prefix
+ *
+ * @param {string} table - table name
+ *
+ * @returns {string}
+ */
+function tableName (table) {
+    return _.last(table.split('.')).toLowerCase()
+}
+
+/**
+ * @function timeoutError
+ *
+ * create error for query that exceeded timeout
+ *
+ * @param {number} timeout - milliseconds
+ *
+ * @returns {TimeoutError}
+ */
+function timeoutError (timeout) {
+    return new errors.TimeoutError('query error: query timed out after '+timeout+'ms', {
+        code: TIMEOUT_ERROR_CODE,
+        timeout: timeout,
+    })
+}
+
+/**
+ * @function truncateResponse
+ *
+ * limit response data to max rows and bytes. if data is truncated then the
+ * rows that fit are logged with a hash of the complete data.
+ *
+ * @param {array|object} res - database response data
+ * @param {object} limits
+ * @param {number} limits.maxBytes - max bytes of JSON encoded rows
+ * @param {number} limits.maxRows - max number of rows
+ *
+ * @returns {object}
+ */
+function truncateResponse (res, limits) {
+    // only rows are counted and truncated
+    if (!Array.isArray(res)) {
+        return {data: res}
+    }
+    // multiple result sets do not have info
+    var multi = res.info === undefined && res.length > 0
+        && _.every(res, result => Array.isArray(result) || (result && result.info))
+    // get rows from all result sets
+    var rows = multi ? _.flatten(_.filter(res, Array.isArray)) : res
+    // no limits
+    if (limits.maxBytes === undefined && limits.maxRows === undefined) {
+        return {data: res, rowCount: rows.length}
+    }
+    // get json for data
+    var json = JSON.stringify(res)
+    // data is within limits
+    if ((limits.maxRows === undefined || rows.length <= limits.maxRows)
+        && (limits.maxBytes === undefined || Buffer.byteLength(json) <= limits.maxBytes)
+    ) {
+        return {data: res, rowCount: rows.length}
+    }
+    // get sample of rows that fit in limits
+    var sample = []
+    var bytes = 2
+    _.each(rows, row => {
+        // stop at max rows
+        if (limits.maxRows !== undefined && sample.length >= limits.maxRows) {
+            return false
+        }
+        // stop at max bytes - rows are separated by commas
+        bytes += Buffer.byteLength(JSON.stringify(row)) + (sample.length ? 1 : 0)
+        if (limits.maxBytes !== undefined && bytes > limits.maxBytes) {
+            return false
+        }
+        sample.push(row)
+    })
+
+    return {
+        data: sample,
+        dataHash: crypto.createHash('sha256').update(json).digest('hex'),
+        dataTruncated: true,
+        rowCount: rows.length,
+    }
+}
 
 /**
  * @function formatResponse
@@ -317,13 +2532,70 @@ function reset () {
  */
 function formatResponse (res) {
     // iterate over rows in response
-    _.each(res, row => {
-        // iterate over key/value pairs in row object
-        _.each(row, (val, key) => {
-            // convert nulls to undefined
-            if (val === null) {
-                row[key] = undefined
-            }
-        })
+    _.each(res, formatRow)
+}
+
+/**
+ * @function formatRow
+ *
+ * perform formatting on db response row
+ *
+ * @param {object} row - database response row
+ *
+ * @returns {object}
+ */
+function formatRow (row) {
+    // iterate over key/value pairs in row object
+    _.each(row, (val, key) => {
+        // convert nulls to undefined
+        if (val === null) {
+            row[key] = undefined
+        }
+    })
+
+    return row
+}
+
+/**
+ * @function valueBytes
+ *
+ * get bytes of value formatted for query by client
+ *
+ * @param {*} value
+ *
+ * @returns {number}
+ */
+function valueBytes (value) {
+    if (value === null || value === undefined) {
+        return 4
+    }
+    // buffers are formatted as utf8 strings
+    var str = Buffer.isBuffer(value) ? value.toString('utf8') : String(value)
+    // quotes and one byte for each escaped character
+    return Buffer.byteLength(str) + 2 + (str.match(/[\0\n\r\b\t\\'"\x1a]/g) || []).length
+}
+
+/**
+ * @function waitForIdle
+ *
+ * wait for transaction and queries in progress on connection to complete
+ *
+ * @param {ImmutableDatabaseMariaSQL} connection
+ *
+ * @returns {Promise}
+ */
+function waitForIdle (connection) {
+    // wait for transaction to complete
+    if (connection.transactionLock) {
+        return connection.transactionLock.then(() => waitForIdle(connection))
+    }
+    // no queries in progress
+    if (!connection.stats.inFlight) {
+        return Promise.resolve()
+    }
+    // wait for queries to complete and then check again
+    return new Promise(resolve => {
+        connection.idleCallbacks.push(resolve)
     })
-}
\ No newline at end of file
+    .then(() => waitForIdle(connection))
+}
@@ -0,0 +1,107 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: append only', function () {
+
+    var db, logged
+
+    // create append only connection
+    function connect (appendOnly) {
+        return memoryDriver.connect({appendOnly: appendOnly}, (type, data) => logged.push([type, data]))
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+
+        db = connect(true)
+
+        return db.query('CREATE TABLE foo (id INT)')
+        .then(() => db.query('CREATE TABLE bar (id INT)'))
+        .then(() => {
+            logged = []
+        })
+    })
+
+    it('should allow inserts and reads', function () {
+        return db.query('INSERT INTO foo VALUES(1)')
+        .then(() => db.query('SELECT * FROM foo'))
+        .then(res => {
+            assert.strictEqual(res.length, 1)
+        })
+    })
+
+    it('should reject statements that modify existing data', function () {
+        var queries = [
+            'UPDATE foo SET id = 2',
+            'DELETE FROM foo',
+            'TRUNCATE TABLE foo',
+            'DROP TABLE foo',
+            'REPLACE INTO foo VALUES(1)',
+            'INSERT INTO foo VALUES(1) ON DUPLICATE KEY UPDATE id = 2',
+            'WITH x AS (SELECT 1) DELETE FROM foo',
+            '/* UPDATE */ SELECT 1; delete from foo',
+        ]
+
+        return Promise.all(queries.map(query => {
+            return assert.isRejected(db.query(query), /not allowed on append only connection/)
+        }))
+    })
+
+    it('should reject with typed error and log failed response', function () {
+        return db.query('UPDATE `foo` SET id = 2', {}, {}, {requestId: 'x'}).then(() => {
+            assert.fail()
+        }, err => {
+            assert.strictEqual(err.message, 'query error: UPDATE not allowed on append only connection')
+            assert.strictEqual(err.code, 'EAPPENDONLY')
+            assert.strictEqual(err.statementType, 'UPDATE')
+            assert.deepEqual(err.tables, ['foo'])
+            assert.isFalse(err.isOperational)
+            // query and error are logged
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbResponse'])
+            assert.isTrue(logged[0][1].notExecuted)
+            assert.strictEqual(logged[0][1].requestId, 'x')
+            assert.strictEqual(logged[1][1].dbQueryId, logged[0][1].dbQueryId)
+            assert.isFalse(logged[1][1].dbResponseSuccess)
+            assert.strictEqual(logged[1][1].data.code, 'EAPPENDONLY')
+        })
+    })
+
+    it('should allow tables in allowlist', function () {
+        db = connect({tables: ['Test.Bar']})
+
+        return db.query('DROP TABLE bar').then(() => {
+            return assert.isRejected(db.query('DROP TABLE foo, bar'), 'query error: DROP not allowed on append only connection')
+        })
+    })
+
+    it('should allow query override', function () {
+        return db.query('DROP TABLE foo', {}, {appendOnly: false}).then(() => {
+            // query option can enable for connection that is not append only
+            return assert.isRejected(connect().query('DROP TABLE bar', {}, {appendOnly: true}), 'query error: DROP not allowed on append only connection')
+        })
+    })
+
+    it('should reject stream', function () {
+        return new Promise((resolve, reject) => {
+            db.stream('DELETE FROM foo').on('error', resolve).on('end', reject).resume()
+        })
+        .then(err => {
+            assert.strictEqual(err.code, 'EAPPENDONLY')
+        })
+    })
+
+    it('should throw on invalid option', function () {
+        assert.throws(() => connect({tables: 'foo'}), 'query error: appendOnly must be boolean or object with array of table names')
+    })
+
+})
@@ -4,6 +4,9 @@ const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
 const MockLogClient = require('../mock/mock-log-client')
 const Promise = require('bluebird')
 const assert = require('chai').assert
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const reload = require('require-reload')(require)
 
 const dbHost = process.env.DB_HOST || 'localhost'
@@ -63,4 +66,143 @@ describe('immutable-database-mariasql: automock', function () {
         assert.strictEqual(ImmutableDatabaseMariaSQL.automock(), autmockFunction)
     })
 
+    describe('fixtureAutomock', function () {
+
+        var file = path.join(os.tmpdir(), 'immutable-database-mariasql-fixture-test.json')
+
+        afterEach(function () {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file)
+            }
+        })
+
+        it('should record responses to fixture file', function () {
+            // create new connection
+            var db = new ImmutableDatabaseMariaSQL(connectionParams)
+            // override client query method to return mock data
+            db.client.queryPromise = function () {
+                var res = [{foo: null, bar: '1'}]
+                res.info = {numRows: '1', affectedRows: '1', insertId: '0'}
+                return Promise.resolve(res)
+            }
+            // apply record automock
+            ImmutableDatabaseMariaSQL.fixtureAutomock({file: file, mode: 'record'})(db)
+            // perform query which should be recorded
+            return db.query('SELECT  *\n FROM foo WHERE bar = :bar', {bar: 1})
+            .then(res => {
+                // response should be formatted as usual
+                assert.deepEqual(res, [{foo: undefined, bar: '1'}])
+                // validate fixture file
+                var fixtures = JSON.parse(fs.readFileSync(file, 'utf8'))
+                assert.deepEqual(fixtures, {
+                    'SELECT * FROM foo WHERE bar = :bar': [
+                        {
+                            params: {bar: 1},
+                            query: 'SELECT  *\n FROM foo WHERE bar = :bar',
+                            response: {
+                                data: [{foo: null, bar: '1'}],
+                                info: {numRows: '1', affectedRows: '1', insertId: '0'},
+                            },
+                        },
+                    ],
+                })
+                // close connection
+                db.close()
+            })
+        })
+
+        it('should replay responses from fixture file', function () {
+            // create fixture file
+            fs.writeFileSync(file, JSON.stringify({
+                'SELECT * FROM foo': [
+                    {
+                        params: {},
+                        query: 'SELECT * FROM foo',
+                        response: {
+                            data: [{foo: null, bar: '1'}],
+                            info: {numRows: '1', affectedRows: '1', insertId: '0'},
+                        },
+                    },
+                    {
+                        params: {},
+                        query: 'SELECT * FROM foo',
+                        error: {code: 1146, message: 'Table does not exist'},
+                    },
+                ],
+            }))
+            // set replay automock
+            ImmutableDatabaseMariaSQL.automock(ImmutableDatabaseMariaSQL.fixtureAutomock({file: file}))
+            // create new connection which will be automocked
+            var db = new ImmutableDatabaseMariaSQL(connectionParams)
+            // first query should replay first response
+            return db.query('SELECT * FROM foo')
+            .then(res => {
+                assert.deepEqual(res, [{foo: undefined, bar: '1'}])
+                assert.strictEqual(res.info.numRows, '1')
+                // second query should replay error
+                return db.query(' SELECT *  FROM foo ')
+            })
+            .then(() => {
+                throw new Error('query should have been rejected')
+            }, err => {
+                assert.strictEqual(err.code, 1146)
+                assert.strictEqual(err.message, 'Table does not exist')
+            })
+        })
+
+        it('should replay queries with sql comments', function () {
+            // create connection with sql comments
+            var db = new ImmutableDatabaseMariaSQL(connectionParams, {sqlComment: true})
+            // override client query method to return mock data
+            db.client.queryPromise = function () {
+                var res = [{bar: '1'}]
+                res.info = {numRows: '1', affectedRows: '1', insertId: '0'}
+                return Promise.resolve(res)
+            }
+            // apply record automock
+            ImmutableDatabaseMariaSQL.fixtureAutomock({file: file, mode: 'record'})(db)
+            // record query with comment for first request
+            return db.query('SELECT * FROM foo', {}, {}, {requestId: '1111'})
+            .then(() => {
+                var fixtures = JSON.parse(fs.readFileSync(file, 'utf8'))
+                assert.deepEqual(Object.keys(fixtures), ['SELECT * FROM foo'])
+                assert.match(fixtures['SELECT * FROM foo'][0].query, /^\/\*.*request_id='1111'.*\*\/ SELECT \* FROM foo$/)
+                db.close()
+                // replay query with comment for different request
+                ImmutableDatabaseMariaSQL.automock(ImmutableDatabaseMariaSQL.fixtureAutomock({file: file}))
+                db = new ImmutableDatabaseMariaSQL(connectionParams, {sqlComment: true})
+
+                return db.query('SELECT * FROM foo', {}, {}, {requestId: '2222'})
+            })
+            .then(res => {
+                assert.deepEqual(res, [{bar: '1'}])
+                db.close()
+            })
+        })
+
+        it('should reject unrecorded query in replay mode', function () {
+            // create empty fixture file
+            fs.writeFileSync(file, '{}')
+            // set replay automock
+            ImmutableDatabaseMariaSQL.automock(ImmutableDatabaseMariaSQL.fixtureAutomock({file: file}))
+            // create new connection which will be automocked
+            var db = new ImmutableDatabaseMariaSQL(connectionParams)
+            // query should be rejected
+            return db.query('SELECT * FROM foo')
+            .then(() => {
+                throw new Error('query should have been rejected')
+            }, err => {
+                assert.match(err.message, /unrecorded query/)
+            })
+        })
+
+        it('should throw error on invalid args', function () {
+            assert.throws(function () { ImmutableDatabaseMariaSQL.fixtureAutomock() }, Error)
+            assert.throws(function () { ImmutableDatabaseMariaSQL.fixtureAutomock({file: file, mode: 'foo'}) }, Error)
+            // replay requires existing file
+            assert.throws(function () { ImmutableDatabaseMariaSQL.fixtureAutomock({file: file}) }, Error)
+        })
+
+    })
+
 })
\ No newline at end of file
@@ -0,0 +1,219 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: cache', function () {
+
+    var db, logged
+
+    // get logged query records
+    function loggedQueries () {
+        return logged.filter(record => record[0] === 'dbQuery').map(record => record[1])
+    }
+
+    // create connection with cache
+    function connect (options) {
+        return memoryDriver.connect(Object.assign({cache: true}, options), (type, data) => logged.push([type, data]))
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+
+        db = connect()
+
+        return db.query('CREATE TABLE foo (id INT, name VARCHAR(255))')
+        .then(() => db.query('CREATE TABLE bar (id INT)'))
+        .then(() => db.query("INSERT INTO foo VALUES(1, 'a')"))
+        .then(() => {
+            // use new connection so that stats do not include setup
+            db = connect()
+            logged = []
+        })
+    })
+
+    it('should cache query results', function () {
+        return db.query('SELECT * FROM foo WHERE id = :id', {id: 1}, {cache: true}).then(res => {
+            assert.strictEqual(res[0].name, 'a')
+            // change result so that cached copy can be checked
+            res[0].name = 'changed'
+
+            return db.query('SELECT * FROM foo WHERE id = :id', {id: 1}, {cache: true})
+        })
+        .then(res => {
+            assert.strictEqual(res[0].name, 'a')
+            assert.strictEqual(res.info.numRows, '1')
+            // cache hit is logged with response
+            var queries = loggedQueries()
+            assert.strictEqual(queries.length, 2)
+            assert.isUndefined(queries[0].cached)
+            assert.isTrue(queries[1].cached)
+            var responses = logged.filter(record => record[0] === 'dbResponse').map(record => record[1])
+            assert.strictEqual(responses.length, 2)
+            assert.strictEqual(responses[1].dbQueryId, queries[1].dbQueryId)
+            // only first query was run
+            assert.strictEqual(db.getStats().queries, 1)
+        })
+    })
+
+    it('should cache by params', function () {
+        return db.query('SELECT * FROM foo WHERE id = :id', {id: 1}, {cache: true}).then(() => {
+            return db.query('SELECT * FROM foo WHERE id = :id', {id: 2}, {cache: true})
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+            assert.strictEqual(db.getStats().queries, 2)
+        })
+    })
+
+    it('should not cache queries without cache option', function () {
+        return db.query('SELECT * FROM foo').then(() => db.query('SELECT * FROM foo', {}, {cache: true})).then(() => {
+            assert.strictEqual(db.getStats().queries, 2)
+        })
+    })
+
+    it('should expire results after ttl', function () {
+        return db.query('SELECT * FROM foo', {}, {cache: {ttl: 10}})
+        .delay(20)
+        .then(() => db.query('SELECT * FROM foo', {}, {cache: true}))
+        .then(() => {
+            assert.strictEqual(db.getStats().queries, 2)
+        })
+    })
+
+    it('should invalidate results when table is written to', function () {
+        return db.query('SELECT * FROM foo', {}, {cache: true})
+        .then(() => db.query('SELECT * FROM bar', {}, {cache: true}))
+        .then(() => db.query("INSERT INTO foo VALUES(2, 'b')"))
+        .then(() => db.query('SELECT * FROM foo', {}, {cache: true}))
+        .then(res => {
+            assert.strictEqual(res.length, 2)
+            assert.isUndefined(loggedQueries().pop().cached)
+
+            return db.query('SELECT * FROM bar', {}, {cache: true})
+        })
+        .then(() => {
+            assert.isTrue(loggedQueries().pop().cached)
+        })
+    })
+
+    it('should share cache between pool connections', function () {
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({
+            cache: {max: 10},
+            size: 2,
+        }))
+
+        assert.strictEqual(pool.connections[0].cache, pool.connections[1].cache)
+
+        return Promise.all([
+            pool.query('SELECT * FROM foo', {}, {cache: true}),
+            pool.query("INSERT INTO foo VALUES(2, 'b')"),
+        ])
+        .then(() => pool.query('SELECT * FROM foo', {}, {cache: true}))
+        .then(res => {
+            assert.strictEqual(res.length, 2)
+        })
+    })
+
+    it('should not cache in transaction and invalidate after commit', function () {
+        return db.query('SELECT * FROM foo', {}, {cache: true}).then(() => {
+            return db.transaction(trx => {
+                return trx.query("INSERT INTO foo VALUES(2, 'b')").then(() => {
+                    return trx.query('SELECT * FROM foo', {}, {cache: true})
+                })
+            })
+        })
+        .then(() => db.query('SELECT * FROM foo', {}, {cache: true}))
+        .then(res => {
+            assert.strictEqual(res.length, 2)
+            assert.isUndefined(loggedQueries().pop().cached)
+        })
+    })
+
+    it('should convert cached results to native types', function () {
+        return db.query('SELECT * FROM foo', {}, {cache: true, typed: true}).then(() => {
+            return db.query('SELECT * FROM foo', {}, {cache: true, typed: true})
+        })
+        .then(res => {
+            assert.strictEqual(res[0].id, 1)
+            assert.isTrue(loggedQueries().pop().cached)
+        })
+    })
+
+    it('should use custom store', function () {
+        var entries = {}
+        var store = {
+            delete: key => Promise.resolve(delete entries[key]),
+            get: key => Promise.resolve(entries[key] && JSON.parse(entries[key])),
+            set: (key, value) => Promise.resolve(entries[key] = JSON.stringify(value)),
+        }
+        db = connect({cache: {store: store}})
+
+        return db.query('SELECT * FROM foo', {}, {cache: true})
+        .then(() => db.query('SELECT * FROM foo', {}, {cache: true}))
+        .then(res => {
+            assert.strictEqual(res[0].name, 'a')
+            assert.strictEqual(res.info.numRows, '1')
+            assert.isTrue(loggedQueries().pop().cached)
+        })
+    })
+
+    it('should evict least recently used results', function () {
+        var lru = new ImmutableDatabaseMariaSQL.Cache.LRUCache({max: 2})
+
+        lru.set('a', 1)
+        lru.set('b', 2)
+        lru.get('a')
+        lru.set('c', 3)
+
+        assert.strictEqual(lru.get('a'), 1)
+        assert.isUndefined(lru.get('b'))
+        assert.strictEqual(lru.get('c'), 3)
+    })
+
+    it('should remove tags when results are evicted or expire', function () {
+        var cache = new ImmutableDatabaseMariaSQL.Cache({max: 1})
+
+        return cache.set('a', [], ['foo'])
+        .then(() => cache.set('b', [], ['bar']))
+        .then(() => {
+            // a was evicted
+            assert.deepEqual(Array.from(cache.tags.keys()), ['bar'])
+            return cache.set('c', [], ['baz'], 1)
+        })
+        .delay(5)
+        .then(() => cache.get('c'))
+        .then(res => {
+            assert.isUndefined(res)
+            assert.strictEqual(cache.tags.size, 0)
+            assert.strictEqual(cache.entries.size, 0)
+        })
+    })
+
+    it('should not cache results without tables', function () {
+        return db.query('SELECT 1', {}, {cache: true})
+        .then(() => db.query('SELECT 1', {}, {cache: true}))
+        .then(() => {
+            assert.strictEqual(db.getStats().queries, 2)
+            assert.strictEqual(db.cache.tags.size, 0)
+        })
+    })
+
+    it('should throw if cache not enabled', function () {
+        var uncached = connect({cache: undefined})
+
+        assert.throws(() => uncached.query('SELECT * FROM foo', {}, {cache: true}), 'query error: cache not enabled for connection')
+        assert.throws(() => connect({cache: {store: {}}}), 'cache error: store must have get, set and delete methods')
+        assert.throws(() => db.query('SELECT * FROM foo', {}, {cache: {ttl: -1}}), 'cache error: ttl must be number greater than or equal to 0')
+    })
+
+})
@@ -0,0 +1,153 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: dry run', function () {
+
+    var db, logged
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create new connection using memory driver
+        db = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+        // create test table
+        return db.query('CREATE TABLE foo (id INT)')
+        .then(() => {
+            logged = []
+        })
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    describe('classifyQuery', function () {
+
+        // get statement types and mutating flags for query
+        function classify (query) {
+            var classification = ImmutableDatabaseMariaSQL.classifyQuery(query)
+
+            return classification.statements.map(statement => [statement.type, statement.mutating])
+        }
+
+        it('should classify reads and writes', function () {
+            assert.deepEqual(classify('SELECT * FROM foo'), [['SELECT', false]])
+            assert.deepEqual(classify('(SELECT 1) UNION (SELECT 2)'), [['SELECT', false]])
+            assert.deepEqual(classify('SHOW TABLES'), [['SHOW', false]])
+            assert.deepEqual(classify('START TRANSACTION'), [['START', false]])
+            assert.deepEqual(classify('UPDATE foo SET id = 1'), [['UPDATE', true]])
+            assert.deepEqual(classify('delete from foo'), [['DELETE', true]])
+            assert.deepEqual(classify('REPLACE INTO foo VALUES(1)'), [['REPLACE', true]])
+            assert.deepEqual(classify('ALTER TABLE foo ADD bar INT'), [['ALTER', true]])
+            assert.deepEqual(classify("SELECT * FROM foo INTO OUTFILE '/tmp/foo'"), [['SELECT', true]])
+            assert.deepEqual(classify('EXPLAIN ANALYZE DELETE FROM foo'), [['EXPLAIN', true]])
+            assert.deepEqual(classify('SET @foo = 1'), [['SET', false]])
+            assert.deepEqual(classify('SET GLOBAL max_connections = 1'), [['SET', true]])
+        })
+
+        it('should skip comments and strings', function () {
+            assert.deepEqual(classify('/* SELECT */ -- SELECT\n# SELECT\n  INSERT INTO foo VALUES(1)'), [['INSERT', true]])
+            assert.deepEqual(classify("SELECT 'DELETE; FROM foo' AS `x;y`"), [['SELECT', false]])
+            // executable comments are run by server
+            assert.deepEqual(classify('/*!50000 DELETE */ FROM foo'), [['DELETE', true]])
+        })
+
+        it('should classify common table expressions', function () {
+            assert.deepEqual(classify('WITH a (id) AS (SELECT 1), b AS (SELECT 2) SELECT * FROM a, b'), [['SELECT', false]])
+            assert.deepEqual(classify('WITH RECURSIVE a AS (SELECT 1) DELETE foo FROM foo JOIN a'), [['DELETE', true]])
+        })
+
+        it('should classify multiple statements', function () {
+            var classification = ImmutableDatabaseMariaSQL.classifyQuery('SELECT 1; UPDATE foo SET id = 2;')
+            assert.isTrue(classification.mutating)
+            assert.deepEqual(classification.statements.map(statement => statement.type), ['SELECT', 'UPDATE'])
+        })
+
+        it('should get tables', function () {
+            // get tables for first statement
+            var tables = query => ImmutableDatabaseMariaSQL.classifyQuery(query).statements[0].tables
+
+            assert.deepEqual(tables('SELECT * FROM foo f JOIN `bar` AS b ON f.id = b.id'), ['foo', 'bar'])
+            assert.deepEqual(tables('SELECT * FROM foo, db.bar WHERE id IN (SELECT id FROM baz)'), ['foo', 'db.bar', 'baz'])
+            assert.deepEqual(tables('INSERT IGNORE INTO foo (id) VALUES(1)'), ['foo'])
+            assert.deepEqual(tables('UPDATE foo SET id = 1'), ['foo'])
+            assert.deepEqual(tables('DROP TABLE IF EXISTS foo, bar'), ['foo', 'bar'])
+            assert.deepEqual(tables('TRUNCATE TABLE foo'), ['foo'])
+            assert.deepEqual(tables('SELECT EXTRACT(YEAR FROM created) FROM foo'), ['foo'])
+            assert.deepEqual(tables('SELECT 1 FROM DUAL'), [])
+        })
+
+    })
+
+    it('should not run mutating statements', function () {
+        return db.query('/* comment */ INSERT INTO foo VALUES(1)', {}, {}, {dryRun: true, requestId: 'Bar'})
+        .then(res => {
+            // result should have empty info
+            assert.deepEqual(res.info, {
+                numRows: '0',
+                affectedRows: '0',
+                insertId: '0',
+                metadata: undefined,
+            })
+            // query should be logged as not executed
+            assert.strictEqual(logged.length, 1)
+            assert.strictEqual(logged[0][0], 'dbQuery')
+            assert.isTrue(logged[0][1].notExecuted)
+            assert.strictEqual(logged[0][1].requestId, 'Bar')
+
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+    it('should run reads', function () {
+        return db.query('SELECT 1 AS one', {}, {}, {dryRun: true})
+        .then(res => {
+            assert.deepEqual(res, [{one: '1'}])
+            assert.isUndefined(logged[0][1].notExecuted)
+        })
+    })
+
+    it('should return result for each statement', function () {
+        return db.query('SELECT 1; DELETE FROM foo', {}, {}, {dryRun: true})
+        .then(res => {
+            assert.strictEqual(res.length, 2)
+            assert.deepEqual(res[0], [])
+            assert.strictEqual(res[1].info.affectedRows, '0')
+        })
+    })
+
+    it('should not stream mutating statements', function () {
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            db.stream('INSERT INTO foo VALUES(1)', {}, {}, {dryRun: true})
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.strictEqual(rows.length, 0)
+            assert.isTrue(logged[0][1].notExecuted)
+        })
+    })
+
+    it('should not run insert after comment when noInsert set', function () {
+        return db.query('-- comment\nINSERT INTO foo VALUES(1)', {}, {}, {noInsert: true})
+        .then(() => {
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+})
@@ -0,0 +1,124 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const _ = require('lodash')
+const chai = require('chai')
+const memoryDriver = require('./helpers/memory-driver')
+
+const assert = chai.assert
+const errors = ImmutableDatabaseMariaSQL.errors
+
+describe('immutable-database-mariasql: errors', function () {
+
+    var db, logged
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+
+        db = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+
+        return db.query('CREATE TABLE foo (id INT NOT NULL, PRIMARY KEY (id))')
+        .then(() => db.query('INSERT INTO foo VALUES(1)'))
+        .then(() => {
+            logged = []
+        })
+    })
+
+    // get error that query rejects with
+    function queryError (query, options) {
+        return db.query(query, {}, options).then(() => assert.fail('query should fail'), err => err)
+    }
+
+    it('should convert duplicate key error', function () {
+        return queryError('INSERT INTO foo VALUES(1)').then(err => {
+            assert.instanceOf(err, errors.DuplicateKeyError)
+            assert.instanceOf(err, errors.DatabaseError)
+            assert.instanceOf(err, Error)
+            assert.strictEqual(err.name, 'DuplicateKeyError')
+            assert.strictEqual(err.code, 1062)
+            assert.strictEqual(err.sqlState, '23000')
+            assert.isTrue(err.isOperational)
+            assert.match(err.message, /Duplicate entry/)
+            assert.strictEqual(err.cause.code, 1062)
+            assert.match(err.stack, /^DuplicateKeyError: Duplicate entry/)
+            // error has id of query that failed
+            var dbQuery = logged.filter(record => record[0] === 'dbQuery')[0][1]
+            assert.strictEqual(err.dbQueryId, dbQuery.dbQueryId)
+        })
+    })
+
+    it('should convert errors by code', function () {
+        return Promise.all([
+            queryError('SELECT * FROM missing'),
+            queryError('SELECT Foobar!'),
+            queryError('INSERT INTO foo VALUES(NULL)'),
+        ])
+        .spread((schemaError, syntaxError, dataError) => {
+            assert.instanceOf(schemaError, errors.SchemaError)
+            assert.isFalse(schemaError.isOperational)
+            assert.strictEqual(schemaError.sqlState, '42S02')
+            assert.instanceOf(syntaxError, errors.SyntaxError)
+            assert.isFalse(syntaxError.isOperational)
+            assert.instanceOf(dataError, errors.DataError)
+            assert.isTrue(dataError.isOperational)
+        })
+    })
+
+    it('should log isOperational', function () {
+        return queryError('SELECT * FROM missing').then(() => {
+            var response = logged.filter(record => record[0] === 'dbResponse')[0][1]
+            assert.strictEqual(response.data.code, 1146)
+            assert.isFalse(response.data.isOperational)
+        })
+    })
+
+    it('should convert timeout error', function () {
+        // query that never completes
+        db.client.queryPromise = () => new Promise(() => {})
+
+        return queryError('SELECT 1', {timeout: 10}).then(err => {
+            assert.instanceOf(err, errors.TimeoutError)
+            assert.strictEqual(err.code, 'ETIMEDOUT')
+            assert.isTrue(err.isOperational)
+            assert.isString(err.dbQueryId)
+        })
+    })
+
+    it('should convert driver errors', function () {
+        var classes = {
+            '-1': errors.ConnectionLostError,
+            1045: errors.AccessDeniedError,
+            1205: errors.LockWaitTimeoutError,
+            1213: errors.DeadlockError,
+            1317: errors.TimeoutError,
+            1452: errors.ForeignKeyError,
+            2013: errors.ConnectionLostError,
+            9999: errors.DatabaseError,
+        }
+
+        _.each(classes, (ErrorClass, code) => {
+            var original = new Error('error '+code)
+            original.code = Number(code)
+
+            var err = errors.fromError(original, 'x')
+            assert.strictEqual(err.constructor, ErrorClass)
+            assert.strictEqual(err.code, Number(code))
+            assert.strictEqual(err.dbQueryId, 'x')
+            assert.strictEqual(err.message, 'error '+code)
+        })
+        // operational errors can be retried or returned to client
+        assert.isTrue(errors.fromError({code: 1213}).isOperational)
+        assert.isTrue(errors.fromError({code: 2013}).isOperational)
+        assert.isTrue(errors.fromError({code: -1}).isOperational)
+        assert.isTrue(errors.fromError({code: 1317}).isOperational)
+        assert.isFalse(errors.fromError({code: 9999}).isOperational)
+        // errors without code are not converted
+        var err = new Error('foo')
+        assert.strictEqual(errors.fromError(err), err)
+    })
+
+})
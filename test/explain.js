@@ -0,0 +1,130 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const chai = require('chai')
+const memoryDriver = require('./helpers/memory-driver')
+
+const assert = chai.assert
+
+const MemoryDriver = ImmutableDatabaseMariaSQL.MemoryDriver
+const queryPlanWarnings = ImmutableDatabaseMariaSQL.queryPlanWarnings
+
+// plan with full table scan and filesort
+const plan = {
+    query_block: {
+        select_id: 1,
+        filesort: {
+            sort_key: 'foo.name',
+            temporary_table: {
+                table: {
+                    access_type: 'ALL',
+                    attached_condition: "foo.name = 'secret'",
+                    rows: 5000,
+                    table_name: 'foo',
+                },
+            },
+        },
+    },
+}
+
+describe('immutable-database-mariasql: explain', function () {
+
+    var db, explained, logged
+
+    // memory driver that returns plan for explain queries
+    function ExplainDriver (config) {
+        MemoryDriver.call(this, config)
+    }
+    ExplainDriver.prototype = Object.create(MemoryDriver.prototype)
+    ExplainDriver.prototype.query = function (query, values, options, callback) {
+        var match = query.match(/^(EXPLAIN|ANALYZE) FORMAT=JSON /)
+        if (!match) {
+            return MemoryDriver.prototype.query.apply(this, arguments)
+        }
+        explained.push([query, values])
+        callback = typeof options === 'function' ? options : callback
+        process.nextTick(() => callback(null, [{[match[1]]: JSON.stringify(plan)}]))
+    }
+
+    // create connection with explain option
+    function connect (explain) {
+        return memoryDriver.connect({driver: ExplainDriver, explain: explain}, (type, data) => logged.push([type, data]))
+    }
+
+    // get logged query plan records
+    function loggedPlans () {
+        return logged.filter(record => record[0] === 'dbQueryPlan').map(record => record[1])
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        MemoryDriver.reset()
+        // capture log records and explain queries
+        explained = []
+        logged = []
+
+        db = connect(true)
+
+        return db.query('CREATE TABLE foo (id INT, name VARCHAR(255))').then(() => {
+            logged = []
+        })
+    })
+
+    it('should get warnings for plan', function () {
+        assert.deepEqual(queryPlanWarnings(plan, {maxRows: 1000}), [
+            {type: 'filesort'},
+            {type: 'temporaryTable'},
+            {table: 'foo', type: 'fullTableScan'},
+            {rows: 5000, table: 'foo', type: 'rowEstimate'},
+        ])
+        // row count from analyze is used
+        assert.deepEqual(queryPlanWarnings({table: {access_type: 'ref', r_rows: 10, rows: 5000, table_name: 'foo'}}, {maxRows: 1000}), [])
+        // mysql flags
+        assert.deepEqual(queryPlanWarnings({ordering_operation: {using_filesort: true, using_temporary_table: false}}), [{type: 'filesort'}])
+    })
+
+    it('should log plan for each distinct select', function () {
+        return db.query('SELECT * FROM foo WHERE name = :name ORDER BY name', {name: 'a'}, {}, {requestId: 'x'})
+        .then(() => db.query('SELECT * FROM foo WHERE name = :name ORDER BY name', {name: 'b'}))
+        .then(() => db.query("INSERT INTO foo VALUES(1, 'a')"))
+        .delay(10)
+        .then(() => {
+            assert.deepEqual(explained, [['EXPLAIN FORMAT=JSON SELECT * FROM foo WHERE name = :name ORDER BY name', {name: 'a'}]])
+
+            var plans = loggedPlans()
+            assert.strictEqual(plans.length, 1)
+            assert.strictEqual(plans[0].dbQueryId, logged.filter(record => record[0] === 'dbQuery')[0][1].dbQueryId)
+            assert.strictEqual(plans[0].fingerprint, 'SELECT * FROM foo WHERE name = ? ORDER BY name')
+            assert.strictEqual(plans[0].requestId, 'x')
+            assert.lengthOf(plans[0].warnings, 4)
+            // literal values are not logged
+            assert.strictEqual(plans[0].plan.query_block.filesort.temporary_table.table.attached_condition, 'foo.name = ?')
+            // explain queries are not counted
+            assert.strictEqual(db.getStats().queries, 4)
+        })
+    })
+
+    it('should use analyze and max rows options', function () {
+        db = connect({analyze: true, maxRows: 0})
+
+        return db.query('SELECT * FROM foo').delay(10).then(() => {
+            assert.strictEqual(explained[0][0], 'ANALYZE FORMAT=JSON SELECT * FROM foo')
+            assert.notInclude(loggedPlans()[0].warnings.map(warning => warning.type), 'rowEstimate')
+        })
+    })
+
+    it('should not explain without option', function () {
+        db = connect()
+
+        return db.query('SELECT * FROM foo').delay(10).then(() => {
+            assert.lengthOf(explained, 0)
+        })
+    })
+
+    it('should throw on invalid option', function () {
+        assert.throws(() => connect('yes'), 'connection error: explain must be boolean or object')
+        assert.throws(() => connect({maxRows: -1}), 'connection error: explain maxRows must be integer greater than or equal to 0')
+    })
+
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+const fingerprint = ImmutableDatabaseMariaSQL.fingerprint
+
+describe('immutable-database-mariasql: fingerprint', function () {
+
+    it('should replace literals and params', function () {
+        assert.strictEqual(
+            fingerprint("SELECT * FROM foo WHERE id = 10 AND name = 'it''s' AND t = \"x\" AND h = 0xFF AND b = X'0f' AND f = 1.5e3 AND p = :param AND q = ?"),
+            'SELECT * FROM foo WHERE id = ? AND name = ? AND t = ? AND h = ? AND b = ? AND f = ? AND p = ? AND q = ?'
+        )
+        // numbers in identifiers are kept
+        assert.strictEqual(fingerprint('SELECT col1 FROM t2'), 'SELECT col1 FROM t2')
+    })
+
+    it('should remove comments and collapse whitespace', function () {
+        assert.strictEqual(
+            fingerprint("/* app: it's */ SELECT\n\t*   FROM foo -- trailing\n# hash comment\nWHERE name = '-- not a comment'"),
+            'SELECT * FROM foo WHERE name = ?'
+        )
+    })
+
+    it('should fold lists of values', function () {
+        assert.strictEqual(fingerprint('SELECT * FROM foo WHERE id IN (1, 2, 3)'), fingerprint('SELECT * FROM foo WHERE id IN (4)'))
+        assert.strictEqual(fingerprint('SELECT * FROM foo WHERE id IN (:ids)'), 'SELECT * FROM foo WHERE id IN (?)')
+        assert.strictEqual(fingerprint("INSERT INTO foo VALUES (1, 'a'), (2, 'b')"), 'INSERT INTO foo VALUES (?)')
+    })
+
+    it('should get stable hash', function () {
+        var hash = fingerprint.hash('SELECT * FROM foo WHERE id = 1')
+
+        assert.match(hash, /^[0-9a-f]{16}$/)
+        assert.strictEqual(fingerprint.hash('SELECT  * FROM foo WHERE id = 2 /* x */'), hash)
+        assert.notEqual(fingerprint.hash('SELECT * FROM bar WHERE id = 1'), hash)
+    })
+
+    it('should log fingerprint with query', function () {
+        var logged = []
+        var db = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+
+        return db.query('SELECT :one AS one', {one: 1}).then(() => {
+            var query = logged.filter(record => record[0] === 'dbQuery')[0][1]
+
+            assert.strictEqual(query.fingerprint, 'SELECT ? AS one')
+            assert.strictEqual(query.fingerprintHash, fingerprint.hash('SELECT 2 AS one'))
+
+            return db.close()
+        })
+    })
+
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../../lib/immutable-database-mariasql')
+const MockLogClient = require('../../mock/mock-log-client')
+const _ = require('lodash')
+
+/* exports */
+module.exports = {
+    connect: connect,
+    connectionParams: connectionParams(),
+    options: options,
+}
+
+/**
+ * @function connect
+ *
+ * create new connection using memory driver
+ *
+ * @param {object} extra - connection options to set
+ * @param {function} log - function(type, data) called for each log record
+ *
+ * @returns {ImmutableDatabaseMariaSQL}
+ */
+function connect (extra, log) {
+    return new ImmutableDatabaseMariaSQL(connectionParams(), options(extra, log))
+}
+
+/**
+ * @function connectionParams
+ *
+ * get connection params for memory driver
+ *
+ * @returns {object}
+ */
+function connectionParams () {
+    // memory driver shares data between connections with same db name
+    return {charset: 'utf8', db: 'test', host: 'localhost'}
+}
+
+/**
+ * @function options
+ *
+ * get options for connection, pool or router using memory driver with
+ * reconnect disabled. if log function is set log records are passed to it.
+ *
+ * @param {object} extra - options to set
+ * @param {function} log - function(type, data) called for each log record
+ *
+ * @returns {object}
+ */
+function options (extra, log) {
+    var defaults = {
+        driver: ImmutableDatabaseMariaSQL.MemoryDriver,
+        reconnect: false,
+    }
+    // capture log records - mockumentary requires classic function for
+    // custom method so log may be arrow function
+    if (log) {
+        defaults.logClient = new MockLogClient({
+            error: function () {},
+            log: function (type, data) {
+                log(type, data)
+            },
+        })
+    }
+
+    return _.assign(defaults, extra)
+}
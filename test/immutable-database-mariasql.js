@@ -52,7 +52,10 @@ describe('immutable-database-mariasql', function () {
                 // validate log data
                 assert.strictEqual(data.connectionName, 'test')
                 assert.strictEqual(data.connectionNum, 1)
-                assert.deepEqual(data.connectionParams, connectionParams)
+                // password should be masked
+                assert.deepEqual(data.connectionParams, Object.assign({}, connectionParams, {
+                    password: '[REDACTED]',
+                }))
                 assert.match(data.connectionCreateTime, /^\d\d\d\d-\d\d-\d\d \d\d:\d\d:\d\d\.\d\d\d\d\d\d$/)
                 assert.match(data.connectionId, /^[0-9a-z]{32}$/)
                 assert.match(data.instanceId, /^[0-9a-z]{32}$/)
@@ -154,7 +157,7 @@ describe('immutable-database-mariasql', function () {
                     // validate data
                     assert.match(data.data.message, /You have an error in your SQL syntax/)
                     assert.strictEqual(data.data.code, 1064)
-                    assert.strictEqual(data.data.isOperational, true)
+                    assert.strictEqual(data.data.isOperational, false)
                     assert.strictEqual(data.dbQueryId, dbQueryId)
                     assert.match(data.dbResponseCreateTime, /^\d\d\d\d-\d\d-\d\d \d\d:\d\d:\d\d\.\d\d\d\d\d\d$/)
                     assert.strictEqual(data.dbResponseSuccess, false)
@@ -0,0 +1,182 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: insertMany', function () {
+
+    var db, logged
+
+    // get logged query strings
+    function loggedQueries () {
+        return logged.filter(record => record[0] === 'dbQuery').map(record => record[1].query)
+    }
+
+    // get rows with ids starting at 1
+    function makeRows (count) {
+        var rows = []
+        for (var i = 1; i <= count; i++) {
+            rows.push({name: 'name'+i})
+        }
+        return rows
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create connection
+        db = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+
+        return db.query('CREATE TABLE foo (id INT AUTO_INCREMENT PRIMARY KEY, name VARCHAR(255), extra VARCHAR(255), UNIQUE KEY (name))')
+        .then(() => {
+            logged = []
+        })
+    })
+
+    it('should insert rows', function () {
+        return db.insertMany('foo', makeRows(3)).then(res => {
+            assert.deepEqual(res, {
+                affectedRows: 3,
+                chunkResults: [
+                    {affectedRows: 3, firstInsertId: 1, rowCount: 3},
+                ],
+                chunks: 1,
+                firstInsertId: 1,
+            })
+            assert.deepEqual(loggedQueries(), ['INSERT INTO `foo` (`name`) VALUES (:row0), (:row1), (:row2)'])
+
+            return db.query('SELECT id, name FROM foo ORDER BY id')
+        })
+        .then(res => {
+            assert.deepEqual(res.map(row => row.name), ['name1', 'name2', 'name3'])
+        })
+    })
+
+    it('should escape values', function () {
+        var name = "it's a \\ \"test\"\n"
+
+        return db.insertMany('foo', [{name: name}]).then(() => {
+            return db.query('SELECT name FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res[0].name, name)
+        })
+    })
+
+    it('should insert missing columns as NULL', function () {
+        return db.insertMany('foo', [{name: 'a'}, {extra: 'x', name: 'b'}]).then(() => {
+            assert.deepEqual(loggedQueries(), ['INSERT INTO `foo` (`name`, `extra`) VALUES (:row0), (:row1)'])
+
+            return db.query('SELECT name, extra FROM foo ORDER BY id')
+        })
+        .then(res => {
+            assert.isUndefined(res[0].extra)
+            assert.strictEqual(res[1].extra, 'x')
+        })
+    })
+
+    it('should split rows into chunks by row count', function () {
+        return db.insertMany('foo', makeRows(5), {maxRows: 2}).then(res => {
+            assert.deepEqual(res, {
+                affectedRows: 5,
+                chunkResults: [
+                    {affectedRows: 2, firstInsertId: 1, rowCount: 2},
+                    {affectedRows: 2, firstInsertId: 3, rowCount: 2},
+                    {affectedRows: 1, firstInsertId: 5, rowCount: 1},
+                ],
+                chunks: 3,
+                firstInsertId: 1,
+            })
+            assert.strictEqual(loggedQueries().length, 3)
+        })
+    })
+
+    it('should split rows into chunks by bytes', function () {
+        // each row is 11 bytes
+        return db.insertMany('foo', makeRows(4), {maxBytes: 25}).then(res => {
+            assert.strictEqual(res.chunks, 2)
+            assert.strictEqual(res.affectedRows, 4)
+        })
+    })
+
+    it('should insert ignore', function () {
+        return db.insertMany('foo', makeRows(2)).then(() => {
+            logged = []
+
+            return db.insertMany('foo', makeRows(3), {ignore: true})
+        })
+        .then(res => {
+            // first insert id is id of first row inserted
+            assert.deepEqual(res, {
+                affectedRows: 1,
+                chunkResults: [
+                    {affectedRows: 1, firstInsertId: 3, rowCount: 3},
+                ],
+                chunks: 1,
+                firstInsertId: 3,
+            })
+            assert.match(loggedQueries()[0], /^INSERT IGNORE INTO `foo`/)
+        })
+    })
+
+    it('should add on duplicate key update', function () {
+        return db.insertMany('foo', makeRows(2), {onDuplicateKeyUpdate: ['extra']}, {dryRun: true}).then(() => {
+            assert.deepEqual(loggedQueries(), [
+                'INSERT INTO `foo` (`name`) VALUES (:row0), (:row1) ON DUPLICATE KEY UPDATE `extra` = VALUES(`extra`)',
+            ])
+        })
+    })
+
+    it('should insert all chunks in transaction', function () {
+        var rows = makeRows(3).concat({name: 'name1'})
+
+        return assert.isRejected(db.insertMany('foo', rows, {maxRows: 2, transaction: true}))
+        .then(() => db.query('SELECT * FROM foo'))
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+    it('should insert rows in existing transaction', function () {
+        return db.transaction(trx => {
+            return trx.insertMany('foo', makeRows(2), {transaction: true}).then(() => {
+                return Promise.reject(new Error('rollback'))
+            })
+        })
+        .catch(() => db.query('SELECT * FROM foo'))
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+    it('should insert rows on pool', function () {
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({size: 2}))
+
+        return pool.insertMany('foo', makeRows(2)).then(res => {
+            assert.strictEqual(res.affectedRows, 2)
+        })
+    })
+
+    it('should not insert with noInsert flag', function () {
+        return db.insertMany('foo', makeRows(2), {}, {noInsert: true}).then(res => {
+            assert.strictEqual(res.affectedRows, 0)
+            assert.strictEqual(res.chunks, 0)
+            assert.deepEqual(loggedQueries(), [])
+        })
+    })
+
+    it('should throw on invalid args', function () {
+        assert.throws(() => db.insertMany(), 'insertMany error: table must be string')
+        assert.throws(() => db.insertMany('foo', [1]), 'insertMany error: rows must be array of objects')
+        assert.throws(() => db.insertMany('foo', [], {maxRows: 0}), 'insertMany error: maxRows must be integer greater than 0')
+        assert.throws(() => db.insertMany('foo', [], {onDuplicateKeyUpdate: 'extra'}), 'insertMany error: onDuplicateKeyUpdate must be array of column names')
+    })
+
+})
@@ -0,0 +1,135 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: log limits', function () {
+
+    var db, logged
+
+    // create connection with log options
+    function createConnection (options) {
+        return memoryDriver.connect(options, (type, data) => logged.push([type, data]))
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create new connection
+        db = createConnection({logMaxRows: 2})
+        // create test table with data
+        return db.query('CREATE TABLE foo (id INT, name VARCHAR(255))')
+        .then(() => {
+            return db.query("INSERT INTO foo VALUES(1, 'aaaa'), (2, 'bbbb'), (3, 'cccc')")
+        })
+        .then(() => {
+            logged = []
+        })
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should log sample of rows when over max rows', function () {
+        return db.query('SELECT * FROM foo ORDER BY id')
+        .then(res => {
+            // result should not be truncated
+            assert.strictEqual(res.length, 3)
+            // logged data should be truncated
+            var dbResponse = logged[1][1]
+            assert.deepEqual(dbResponse.data, [{id: '1', name: 'aaaa'}, {id: '2', name: 'bbbb'}])
+            assert.isTrue(dbResponse.dataTruncated)
+            assert.strictEqual(dbResponse.rowCount, 3)
+            assert.match(dbResponse.dataHash, /^[0-9a-f]{64}$/)
+        })
+    })
+
+    it('should not truncate data within limits', function () {
+        return db.query('SELECT * FROM foo WHERE id = 1')
+        .then(() => {
+            var dbResponse = logged[1][1]
+            assert.deepEqual(dbResponse.data, [{id: '1', name: 'aaaa'}])
+            assert.isUndefined(dbResponse.dataTruncated)
+            assert.isUndefined(dbResponse.dataHash)
+            assert.strictEqual(dbResponse.rowCount, 1)
+        })
+    })
+
+    it('should log sample of rows when over max bytes', function () {
+        return db.query('SELECT * FROM foo ORDER BY id', {}, {logMaxBytes: 60, logMaxRows: 10})
+        .then(() => {
+            var dbResponse = logged[1][1]
+            // each row is 25 bytes of json
+            assert.strictEqual(dbResponse.data.length, 2)
+            assert.isTrue(dbResponse.dataTruncated)
+            assert.strictEqual(dbResponse.rowCount, 3)
+        })
+    })
+
+    it('should log same hash for same data', function () {
+        return db.query('SELECT * FROM foo ORDER BY id')
+        .then(() => db.query('SELECT * FROM foo ORDER BY id'))
+        .then(() => {
+            assert.strictEqual(logged[1][1].dataHash, logged[3][1].dataHash)
+        })
+    })
+
+    it('should not log queries that are not sampled', function () {
+        var db2 = createConnection({logSampleRate: 0})
+        logged = []
+
+        return db2.query('SELECT * FROM foo')
+        .then(() => {
+            assert.strictEqual(logged.length, 0)
+            // query option overrides connection default
+            return db2.query('SELECT * FROM foo', {}, {logSampleRate: 1})
+        })
+        .then(() => {
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbResponse'])
+            db2.close()
+        })
+    })
+
+    it('should always log errors', function () {
+        var db2 = createConnection({logSampleRate: 0})
+        logged = []
+
+        return db2.query('SELECT * FROM bar')
+        .catch(err => {
+            assert.strictEqual(err.code, 1146)
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbResponse'])
+            assert.strictEqual(logged[1][1].dbQueryId, logged[0][1].dbQueryId)
+            assert.strictEqual(logged[1][1].dbResponseSuccess, false)
+            db2.close()
+        })
+    })
+
+    it('should always log stream errors', function () {
+        var db2 = createConnection({logSampleRate: 0})
+        logged = []
+
+        return new Promise((resolve, reject) => {
+            db2.stream('SELECT * FROM bar')
+            .on('data', () => {})
+            .on('end', () => reject(new Error('stream should have failed')))
+            .on('error', resolve)
+        })
+        .then(() => {
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbResponse'])
+            assert.strictEqual(logged[1][1].dbResponseSuccess, false)
+            db2.close()
+        })
+    })
+
+    it('should throw error on invalid options', function () {
+        assert.throws(function () { createConnection({logMaxRows: -1}) }, Error)
+        assert.throws(function () { createConnection({logSampleRate: 2}) }, Error)
+        assert.throws(function () { db.query('SELECT 1', {}, {logMaxBytes: 'foo'}) }, Error)
+    })
+
+})
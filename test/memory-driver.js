@@ -0,0 +1,213 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: memory driver', function () {
+
+    var db
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // create new connection using memory driver
+        db = memoryDriver.connect()
+        // create test table
+        return db.query(`
+            CREATE TABLE foo (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                name VARCHAR(255) NOT NULL,
+                score INT DEFAULT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY name (name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8
+        `)
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should throw error on invalid driver', function () {
+        assert.throws(function () {
+            new ImmutableDatabaseMariaSQL(memoryDriver.connectionParams, {driver: 'foo'})
+        }, Error)
+    })
+
+    it('should select without table', function () {
+        return db.query('SELECT CURRENT_TIMESTAMP() AS time')
+        .then(res => {
+            assert.match(res[0].time, /^\d\d\d\d-\d\d-\d\d \d\d:\d\d:\d\d$/)
+            // validate info
+            assert.strictEqual(res.info.numRows, '1')
+            assert.strictEqual(res.info.affectedRows, '1')
+            assert.strictEqual(res.info.insertId, '0')
+        })
+    })
+
+    it('should insert rows', function () {
+        return db.query('INSERT INTO foo (name, score) VALUES(:name, :score), (:name2, NULL)', {
+            name: 'a',
+            name2: 'b',
+            score: 10,
+        })
+        .then(res => {
+            // validate info
+            assert.deepEqual(res.info, {
+                numRows: '0',
+                affectedRows: '2',
+                insertId: '1',
+                metadata: undefined,
+            })
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            // values are strings and nulls are converted to undefined
+            assert.deepEqual(res, [
+                {id: '1', name: 'a', score: '10'},
+                {id: '2', name: 'b', score: undefined},
+            ])
+            assert.strictEqual(res.info.numRows, '2')
+        })
+    })
+
+    it('should select with where, order and limit', function () {
+        return db.query("INSERT INTO foo (name, score) VALUES('a', 3), ('b', 1), ('c', 2), ('d', NULL)")
+        .then(() => {
+            return db.query(
+                'SELECT name, score AS s FROM foo WHERE score IS NOT NULL AND name IN (:names) ORDER BY score DESC LIMIT :limit',
+                {limit: 2, names: ['a', 'b', 'c']}
+            )
+        })
+        .then(res => {
+            assert.deepEqual(res, [
+                {name: 'a', s: '3'},
+                {name: 'c', s: '2'},
+            ])
+            return db.query('SELECT COUNT(*) AS count FROM foo WHERE score > 1 OR name LIKE :name', {name: 'D%'})
+        })
+        .then(res => {
+            assert.deepEqual(res, [{count: '3'}])
+        })
+    })
+
+    it('should return metadata and arrays', function () {
+        return db.query("INSERT INTO foo (name) VALUES('a')")
+        .then(() => {
+            return db.query('SELECT id, name FROM foo', {}, {metadata: true, useArray: true})
+        })
+        .then(res => {
+            assert.deepEqual(res, [['1', 'a']])
+            assert.strictEqual(res.info.metadata.id.type, 'INTEGER')
+            assert.strictEqual(res.info.metadata.name.type, 'VARCHAR')
+            assert.strictEqual(res.info.metadata.id.table, 'foo')
+        })
+    })
+
+    it('should reject duplicate keys', function () {
+        return db.query("INSERT INTO foo (name) VALUES('a')")
+        .then(() => {
+            return db.query("INSERT INTO foo (name) VALUES('b'), ('a')")
+        })
+        .then(() => {
+            throw new Error('query should have been rejected')
+        }, err => {
+            assert.strictEqual(err.code, 1062)
+            assert.match(err.message, /Duplicate entry 'a' for key 'name'/)
+            // insert ignore should skip duplicate
+            return db.query("INSERT IGNORE INTO foo (name) VALUES('b'), ('a')")
+        })
+        .then(res => {
+            assert.strictEqual(res.info.affectedRows, '1')
+            return db.query('SELECT name FROM foo ORDER BY id')
+        })
+        .then(res => {
+            // failed insert should not insert any rows
+            assert.deepEqual(res, [{name: 'a'}, {name: 'b'}])
+        })
+    })
+
+    it('should reject with mariasql error codes', function () {
+        return Promise.all([
+            db.query('SELECT Foobar!').catch(err => err),
+            db.query('SELECT * FROM bar').catch(err => err),
+            db.query('SELECT bar FROM foo').catch(err => err),
+            db.query("INSERT INTO foo (name) VALUES('a', 1)").catch(err => err),
+        ])
+        .then(errs => {
+            assert.strictEqual(errs[0].code, 1064)
+            assert.match(errs[0].message, /You have an error in your SQL syntax/)
+            assert.strictEqual(errs[1].code, 1146)
+            assert.strictEqual(errs[2].code, 1054)
+            assert.strictEqual(errs[3].code, 1136)
+        })
+    })
+
+    it('should rollback inserts in transaction', function () {
+        return db.transaction(trx => {
+            return trx.query("INSERT INTO foo (name) VALUES('a')").then(() => {
+                throw new Error('transaction error')
+            })
+        })
+        .catch(() => {
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+    it('should commit open transaction when new transaction starts', function () {
+        return db.query('START TRANSACTION')
+        .then(() => db.query("INSERT INTO foo (name) VALUES('a')"))
+        .then(() => db.query('START TRANSACTION'))
+        .then(() => db.query("INSERT INTO foo (name) VALUES('b')"))
+        .then(() => db.query('ROLLBACK'))
+        .then(() => db.query('SELECT name FROM foo'))
+        .then(res => {
+            assert.deepEqual(res, [{name: 'a'}])
+        })
+    })
+
+    it('should share data between connections', function () {
+        // create second connection
+        var db2 = memoryDriver.connect()
+
+        return db.query("INSERT INTO foo (name) VALUES('a')")
+        .then(() => {
+            return db2.query('SELECT name FROM foo')
+        })
+        .then(res => {
+            assert.deepEqual(res, [{name: 'a'}])
+            db2.close()
+        })
+    })
+
+    it('should not run insert when noInsert set', function () {
+        return db.query("INSERT INTO foo (name) VALUES('a')", {}, {}, {noInsert: true})
+        .then(() => {
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 0)
+        })
+    })
+
+    it('should log query and response', function () {
+        // capture log records
+        var logged = []
+        // create connection with log client
+        var db2 = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+
+        return db2.query('SELECT 1 AS one')
+        .then(() => {
+            assert.deepEqual(logged.map(record => record[0]), ['dbConnection', 'dbQuery', 'dbResponse'])
+            assert.deepEqual(logged[2][1].data, [{one: '1'}])
+            assert.strictEqual(logged[2][1].info.numRows, '1')
+            db2.close()
+        })
+    })
+
+})
@@ -0,0 +1,119 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: middleware', function () {
+
+    var db
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // create connection
+        db = memoryDriver.connect()
+
+        return db.query('CREATE TABLE foo (id INT)').then(() => db.query('INSERT INTO foo VALUES(1)'))
+    })
+
+    it('should call middleware in order', function () {
+        var calls = []
+
+        ImmutableDatabaseMariaSQL.use((context, next) => {
+            calls.push('global before')
+            return next().then(res => {
+                calls.push('global after')
+                return res
+            })
+        })
+        db.use((context, next) => {
+            calls.push('first before')
+            assert.strictEqual(context.connection, db)
+            assert.strictEqual(context.query, 'SELECT * FROM foo')
+            assert.deepEqual(context.params, {id: 1})
+            assert.deepEqual(context.session, {requestId: 'x'})
+            return next().then(res => {
+                calls.push('first after')
+                return res
+            })
+        })
+        .use((context, next) => {
+            calls.push('second before')
+            return next().then(res => {
+                calls.push('second after')
+                return res
+            })
+        })
+
+        return db.query('SELECT * FROM foo', {id: 1}, {}, {requestId: 'x'}).then(res => {
+            assert.strictEqual(res.length, 1)
+            assert.deepEqual(calls, [
+                'global before', 'first before', 'second before',
+                'second after', 'first after', 'global after',
+            ])
+        })
+    })
+
+    it('should rewrite query', function () {
+        db.use((context, next) => {
+            context.query = context.query.replace('foo', 'bar')
+            return next()
+        })
+
+        return assert.isRejected(db.query('SELECT * FROM foo'), "Table 'test.bar' doesn't exist")
+    })
+
+    it('should short circuit with result', function () {
+        db.use(() => 'mock')
+
+        return db.query('SELECT * FROM foo').then(res => {
+            assert.strictEqual(res, 'mock')
+            assert.strictEqual(db.getStats().queries, 2)
+        })
+    })
+
+    it('should handle errors', function () {
+        var error
+
+        db.use((context, next) => next().catch(err => {
+            error = err
+            return []
+        }))
+
+        return db.query('SELECT * FROM missing').then(res => {
+            assert.deepEqual(res, [])
+            assert.match(error.message, /doesn't exist/)
+        })
+    })
+
+    it('should reject if next called twice', function () {
+        db.use((context, next) => next().then(() => next()))
+
+        return assert.isRejected(db.query('SELECT * FROM foo'), 'middleware error: next called multiple times')
+    })
+
+    it('should apply middleware to pool connections', function () {
+        var queries = []
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({size: 2}))
+
+        pool.use((context, next) => {
+            queries.push(context.query)
+            return next()
+        })
+
+        return pool.query('SELECT * FROM foo').then(() => {
+            assert.deepEqual(queries, ['SELECT * FROM foo'])
+        })
+    })
+
+    it('should throw on invalid middleware', function () {
+        assert.throws(() => db.use(), 'middleware error: middleware must be function')
+        assert.throws(() => ImmutableDatabaseMariaSQL.use({}), 'middleware error: middleware must be function')
+    })
+
+})
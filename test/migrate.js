@@ -0,0 +1,227 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const fs = require('fs')
+const memoryDriver = require('./helpers/memory-driver')
+const os = require('os')
+const path = require('path')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: migrate', function () {
+
+    var db, directory, logged
+
+    // create new connection with memory driver
+    function connect () {
+        return memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+    }
+
+    // write migration file
+    function writeMigration (file, content) {
+        fs.writeFileSync(path.join(directory, file), content)
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create migration directory
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'immutable-database-mariasql-'))
+        writeMigration('1_create_foo.sql', "CREATE TABLE foo (id INT, name VARCHAR(255));\nINSERT INTO foo VALUES(1, 'a;b');\n")
+        writeMigration('1_create_foo.down.sql', 'DROP TABLE foo')
+        writeMigration('2_create_bar.js', `
+            module.exports = {
+                down: db => db.query('DROP TABLE bar'),
+                up: db => db.query('CREATE TABLE bar (id INT)'),
+            }
+        `)
+        writeMigration('README.md', 'not a migration')
+
+        db = connect()
+    })
+
+    afterEach(function () {
+        // remove migration directory
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)))
+        fs.rmdirSync(directory)
+    })
+
+    it('should require connection and directory', function () {
+        assert.throws(() => new ImmutableDatabaseMariaSQL.Migrator(), 'migration error: connection required')
+        assert.throws(() => new ImmutableDatabaseMariaSQL.Migrator(db), 'migration error: directory required')
+        assert.throws(() => new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory, table: 'foo; DROP'}), 'migration error: invalid table name')
+    })
+
+    it('should load migrations in version order', function () {
+        writeMigration('10_create_baz.sql', 'CREATE TABLE baz (id INT)')
+
+        var migrations = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory}).load()
+
+        assert.deepEqual(migrations.map(migration => migration.version), ['1', '2', '10'])
+        assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/)
+        assert.isString(migrations[0].down)
+        assert.isFunction(migrations[1].up)
+    })
+
+    it('should not load js files as down migrations', function () {
+        writeMigration('2_create_bar.down.js', 'module.exports = {}')
+        writeMigration('3_create_baz.down.js', 'module.exports = {}')
+
+        var migrations = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory}).load()
+
+        assert.deepEqual(migrations.map(migration => migration.version), ['1', '2'])
+        assert.isFunction(migrations[1].down)
+    })
+
+    it('should throw on duplicate versions', function () {
+        writeMigration('2_create_baz.sql', 'CREATE TABLE baz (id INT)')
+
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        assert.throws(() => migrator.load(), 'migration error: duplicate version 2')
+    })
+
+    it('should apply pending migrations', function () {
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return migrator.up().then(applied => {
+            assert.deepEqual(applied.map(migration => migration.version), ['1', '2'])
+
+            return db.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.deepEqual(res.map(row => row.name), ['a;b'])
+
+            return db.query('SELECT * FROM bar')
+        })
+        .then(() => migrator.up())
+        .then(applied => {
+            assert.deepEqual(applied, [])
+        })
+    })
+
+    it('should apply migrations on typed connection', function () {
+        var typedDb = memoryDriver.connect({typed: {bigint: 'number'}})
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(typedDb, {directory: directory})
+
+        return migrator.up().then(applied => {
+            assert.deepEqual(applied.map(migration => migration.version), ['1', '2'])
+            typedDb.close()
+        })
+    })
+
+    it('should apply migrations up to target version', function () {
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return migrator.up({to: 1}).then(() => migrator.status()).then(status => {
+            assert.deepEqual(status.map(migration => migration.applied), [true, false])
+        })
+    })
+
+    it('should revert migrations', function () {
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return migrator.up()
+        .then(() => migrator.down())
+        .then(reverted => {
+            assert.deepEqual(reverted.map(migration => migration.version), ['2'])
+
+            return assert.isRejected(db.query('SELECT * FROM bar'))
+        })
+        .then(() => migrator.down({steps: 1}))
+        .then(() => migrator.status())
+        .then(status => {
+            assert.deepEqual(status.map(migration => migration.applied), [false, false])
+            // migrations can be applied again
+            return migrator.up()
+        })
+        .then(applied => {
+            assert.deepEqual(applied.map(migration => migration.version), ['1', '2'])
+        })
+    })
+
+    it('should throw on revert without down migration', function () {
+        fs.unlinkSync(path.join(directory, '1_create_foo.down.sql'))
+
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return assert.isRejected(
+            migrator.up().then(() => migrator.down({to: 0})),
+            'migration error: no down migration for version 1'
+        )
+    })
+
+    it('should not apply migrations if applied migration changed', function () {
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return migrator.up({to: 1}).then(() => {
+            writeMigration('1_create_foo.sql', 'CREATE TABLE foo (id BIGINT)')
+
+            return migrator.status()
+        })
+        .then(status => {
+            assert.isTrue(status[0].changed)
+
+            return assert.isRejected(migrator.up(), 'migration error: checksum mismatch for version 1')
+        })
+        .then(() => migrator.status())
+        .then(status => {
+            assert.isFalse(status[1].applied)
+        })
+    })
+
+    it('should report applied migrations without files', function () {
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return migrator.up().then(() => {
+            fs.unlinkSync(path.join(directory, '2_create_bar.js'))
+
+            return migrator.status()
+        })
+        .then(status => {
+            assert.isTrue(status[1].missing)
+            assert.strictEqual(status[1].name, 'create_bar')
+        })
+    })
+
+    it('should not run while another connection holds lock', function () {
+        var other = connect()
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory, lockTimeout: 0})
+
+        return other.query("SELECT GET_LOCK('immutable_database_mariasql_migrations', 0) AS locked")
+        .then(res => {
+            assert.strictEqual(res[0].locked, '1')
+
+            return assert.isRejected(migrator.up(), 'migration error: could not get lock')
+        })
+        .then(() => other.query("SELECT RELEASE_LOCK('immutable_database_mariasql_migrations')"))
+        .then(() => migrator.up())
+        .then(applied => {
+            assert.strictEqual(applied.length, 2)
+        })
+    })
+
+    it('should release lock when migration fails', function () {
+        writeMigration('3_fail.sql', 'SELECT * FROM missing')
+
+        var migrator = new ImmutableDatabaseMariaSQL.Migrator(db, {directory: directory})
+
+        return assert.isRejected(migrator.up())
+        .then(() => db.query("SELECT IS_FREE_LOCK('immutable_database_mariasql_migrations') AS free"))
+        .then(res => {
+            assert.strictEqual(res[0].free, '1')
+            // failed migration is logged
+            var migrations = logged.filter(record => record[0] === 'dbMigration').map(record => record[1])
+            assert.deepEqual(migrations.map(migration => migration.dbMigrationSuccess), [true, true, false])
+            assert.strictEqual(migrations[2].version, '3')
+            assert.strictEqual(migrations[2].direction, 'up')
+            assert.isNumber(migrations[2].elapsedTime)
+        })
+    })
+
+})
@@ -0,0 +1,142 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const MockLogClient = require('../mock/mock-log-client')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+
+const dbHost = process.env.DB_HOST || 'localhost'
+const dbName = process.env.DB_NAME || 'test'
+const dbPass = process.env.DB_PASS || ''
+const dbUser = process.env.DB_USER || 'root'
+
+// use the same params for all connections
+const connectionParams = {
+    charset: 'utf8',
+    db: dbName,
+    host: dbHost,
+    password: dbPass,
+    user: dbUser,
+}
+
+describe('immutable-database-mariasql: pool', function () {
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+    })
+
+    it('should create and log numbered connections', function () {
+        // capture logged connections
+        var logged = []
+        // create mock log client
+        var mockLogClient = new MockLogClient({
+            log: function (type, data) {
+                assert.strictEqual(type, 'dbConnection')
+                logged.push(data)
+            },
+        })
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {
+            connectionName: 'test',
+            logClient: mockLogClient,
+            size: 3,
+        })
+        // validate connections
+        assert.strictEqual(pool.connections.length, 3)
+        assert.deepEqual(logged.map(data => data.connectionNum), [0, 1, 2])
+        assert.deepEqual(logged.map(data => data.connectionName), ['test', 'test', 'test'])
+        // close pool
+        pool.close()
+    })
+
+    it('should throw error on invalid size', function () {
+        assert.throws(function () { ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 0}) }, Error)
+        assert.throws(function () { ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 1.5}) }, Error)
+        assert.throws(function () { ImmutableDatabaseMariaSQL.pool(connectionParams, {size: '2'}) }, Error)
+    })
+
+    it('should queue queries when all connections are busy', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 2})
+        // capture which connection each query ran on
+        var queries = []
+        // override client query methods to resolve on next tick
+        pool.connections.forEach(connection => {
+            connection.client.queryPromise = function (query) {
+                queries.push([query, connection.connectionNum])
+                return Promise.delay(10).then(() => [])
+            }
+        })
+        // perform more queries than there are connections
+        var promise = Promise.all([
+            pool.query('SELECT 1'),
+            pool.query('SELECT 2'),
+            pool.query('SELECT 3'),
+        ])
+        // both connections should be busy
+        assert.strictEqual(pool.idleConnections.length, 0)
+
+        return promise.then(() => {
+            // third query should have waited for first connection
+            assert.deepEqual(queries, [
+                ['SELECT 1', 0],
+                ['SELECT 2', 1],
+                ['SELECT 3', 0],
+            ])
+            // all connections should be idle
+            assert.strictEqual(pool.idleConnections.length, 2)
+            // close pool
+            pool.close()
+        })
+    })
+
+    it('should release connection on query error', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 1})
+        // override client query method to return error
+        pool.connections[0].client.queryPromise = function () {
+            return Promise.reject(new Error('query error'))
+        }
+        // perform query
+        return pool.query('SELECT 1')
+        // catch error
+        .catch(err => {
+            assert.strictEqual(err.message, 'query error')
+            // connection should be idle
+            assert.strictEqual(pool.idleConnections.length, 1)
+            // close pool
+            pool.close()
+        })
+    })
+
+    it('should reject waiting queries when closed', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 1})
+        // acquire only connection
+        return pool.acquire().then(() => {
+            // query must wait for connection
+            var promise = pool.query('SELECT 1')
+            // close pool
+            pool.close()
+            // waiting query should be rejected
+            return promise.then(() => {
+                throw new Error('query should have been rejected')
+            }, err => {
+                assert.match(err.message, /pool closed/)
+            })
+        })
+    })
+
+    it('should throw error on invalid query arg', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 1})
+        // query should throw on invalid args
+        assert.throws(function () { pool.query(null) }, Error)
+        assert.throws(function () { pool.query('SELECT 1', null) }, Error)
+        assert.throws(function () { pool.query('SELECT 1', {}, false) }, Error)
+        assert.throws(function () { pool.query('SELECT 1', {}, {}, 0) }, Error)
+        // close pool
+        pool.close()
+    })
+
+})
@@ -0,0 +1,69 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const _ = require('lodash')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+const MemoryDriver = ImmutableDatabaseMariaSQL.MemoryDriver
+
+describe('immutable-database-mariasql: query cache', function () {
+
+    var configs
+
+    // memory driver that records config
+    function SpyDriver (config) {
+        configs.push(config)
+        MemoryDriver.call(this, config)
+    }
+    SpyDriver.prototype = Object.create(MemoryDriver.prototype)
+
+    // create connection with query cache connection param
+    function connect (queryCache) {
+        return new ImmutableDatabaseMariaSQL(
+            _.assign({queryCache: queryCache}, memoryDriver.connectionParams),
+            memoryDriver.options({driver: SpyDriver})
+        )
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        MemoryDriver.reset()
+        configs = []
+    })
+
+    it('should pass query cache size to client', function () {
+        connect(1000).close()
+
+        assert.strictEqual(configs[0].queryCache, 1000)
+        assert.strictEqual(configs[0].db, 'test')
+    })
+
+    it('should disable query cache', function () {
+        connect(false).close()
+
+        assert.isFalse(configs[0].queryCache)
+    })
+
+    it('should pass query cache instance to client', function () {
+        var cache = new ImmutableDatabaseMariaSQL.Cache.LRUCache({max: 10})
+
+        connect(cache).close()
+
+        assert.strictEqual(configs[0].queryCache, cache)
+    })
+
+    it('should share query cache instance between pool connections', function () {
+        var cache = new ImmutableDatabaseMariaSQL.Cache.LRUCache({max: 10})
+        var pool = ImmutableDatabaseMariaSQL.pool(
+            _.assign({queryCache: cache}, memoryDriver.connectionParams),
+            memoryDriver.options({driver: SpyDriver, size: 2})
+        )
+
+        assert.strictEqual(configs.length, 2)
+        assert.strictEqual(configs[0].queryCache, cache)
+        assert.strictEqual(configs[1].queryCache, cache)
+        pool.close()
+    })
+
+})
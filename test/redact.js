@@ -0,0 +1,131 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+// use the same params for all connections
+const connectionParams = {
+    charset: 'utf8',
+    db: 'test',
+    password: 'secret',
+}
+
+describe('immutable-database-mariasql: redact', function () {
+
+    var db, logged
+
+    // create connection with redaction rules
+    function createConnection (redact) {
+        return new ImmutableDatabaseMariaSQL(connectionParams, memoryDriver.options({redact: redact}, (type, data) => logged.push([type, data])))
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create new connection
+        db = createConnection({
+            columns: ['email', /^ssn/],
+            params: ['email'],
+            values: [/\d{3}-\d{2}-\d{4}/],
+        })
+        // create test table
+        return db.query('CREATE TABLE foo (id INT, email VARCHAR(255), ssn_last VARCHAR(4), note VARCHAR(255))')
+        .then(() => {
+            return db.query('INSERT INTO foo VALUES(1, :email, :ssn, :note)', {
+                email: 'a@b.com',
+                note: 'ssn 123-45-6789',
+                ssn: '6789',
+            })
+        })
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should mask password in connection log', function () {
+        var dbConnection = logged[0][1]
+        assert.strictEqual(logged[0][0], 'dbConnection')
+        assert.strictEqual(dbConnection.connectionParams.password, '[REDACTED]')
+        assert.strictEqual(dbConnection.connectionParams.db, 'test')
+        // connection should still use real password
+        assert.strictEqual(db.connectionParams.password, 'secret')
+    })
+
+    it('should redact params in query log', function () {
+        var dbQuery = logged[3][1]
+        assert.strictEqual(logged[3][0], 'dbQuery')
+        assert.deepEqual(dbQuery.params, {
+            email: '[REDACTED]',
+            note: 'ssn [REDACTED]',
+            ssn: '6789',
+        })
+    })
+
+    it('should redact response data and values in query', function () {
+        logged = []
+
+        return db.query("SELECT * FROM foo WHERE note != '000-00-0000'")
+        .then(res => {
+            // response should not be redacted
+            assert.strictEqual(res[0].email, 'a@b.com')
+            // query should be redacted
+            assert.strictEqual(logged[0][1].query, "SELECT * FROM foo WHERE note != '[REDACTED]'")
+            // logged data should be redacted
+            assert.deepEqual(logged[1][1].data, [{
+                id: '1',
+                email: '[REDACTED]',
+                ssn_last: '[REDACTED]',
+                note: 'ssn [REDACTED]',
+            }])
+            assert.strictEqual(logged[1][1].data.info.numRows, '1')
+        })
+    })
+
+    it('should add query rules and hash values', function () {
+        logged = []
+
+        return db.query('SELECT id FROM foo', {}, {redact: {columns: ['id'], mode: 'hash'}})
+        .then(() => {
+            assert.match(logged[1][1].data[0].id, /^sha256:[0-9a-f]{64}$/)
+        })
+    })
+
+    it('should redact values in error messages', function () {
+        logged = []
+
+        return db.query('CREATE TABLE bar (email VARCHAR(255) PRIMARY KEY)')
+        .then(() => db.query("INSERT INTO bar VALUES('a@b.com')"))
+        .then(() => db.query("INSERT INTO bar VALUES('a@b.com')", {}, {redact: {values: [/a@b\.com/]}}))
+        .then(() => {
+            throw new Error('query should have been rejected')
+        }, err => {
+            assert.strictEqual(err.code, 1062)
+            var dbResponse = logged.pop()[1]
+            assert.strictEqual(dbResponse.dbResponseSuccess, false)
+            assert.strictEqual(dbResponse.data.message, "Duplicate entry '[REDACTED]' for key 'PRIMARY'")
+        })
+    })
+
+    it('should apply query rules to slow query log', function () {
+        db.close()
+        db = new ImmutableDatabaseMariaSQL(connectionParams, memoryDriver.options({slowQueryTime: 0}, (type, data) => logged.push([type, data])))
+        logged = []
+
+        return db.query("SELECT * FROM foo WHERE email = 'a@b.com'", {}, {redact: {values: [/a@b\.com/]}})
+        .then(() => {
+            var dbSlowQuery = logged.find(record => record[0] === 'dbSlowQuery')[1]
+            assert.strictEqual(dbSlowQuery.query, "SELECT * FROM foo WHERE email = '[REDACTED]'")
+        })
+    })
+
+    it('should throw error on invalid rules', function () {
+        assert.throws(function () { createConnection({columns: 'email'}) }, Error)
+        assert.throws(function () { createConnection({values: ['foo']}) }, Error)
+        assert.throws(function () { createConnection({mode: 'foo'}) }, Error)
+    })
+
+})
@@ -0,0 +1,157 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: retry and reconnect', function () {
+
+    var db, logged
+
+    // create error with mysql error code
+    function sqlError (code) {
+        var err = new Error('error '+code)
+        err.code = code
+        return err
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        // capture log records
+        logged = []
+        // create new connection
+        db = memoryDriver.connect({reconnect: {initialDelay: 1, maxDelay: 4}}, (type, data) => logged.push([type, data]))
+        logged = []
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should retry query on transient error', function () {
+        // fail with deadlock on first attempt
+        var errors = [sqlError(1213)]
+        db.client.queryPromise = function () {
+            return errors.length ? Promise.reject(errors.shift()) : Promise.resolve([])
+        }
+        // perform query with retry policy
+        return db.query('SELECT 1', {}, {retry: {initialDelay: 1}})
+        .then(() => {
+            // each attempt logs query and response
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbResponse', 'dbQuery', 'dbResponse'])
+            // first attempt failed
+            assert.strictEqual(logged[1][1].dbResponseSuccess, false)
+            assert.strictEqual(logged[1][1].data.code, 1213)
+            // retry should be linked to original query
+            assert.isUndefined(logged[0][1].originalDbQueryId)
+            assert.strictEqual(logged[2][1].originalDbQueryId, logged[0][1].dbQueryId)
+            assert.strictEqual(logged[2][1].retryNum, 1)
+            assert.notEqual(logged[2][1].dbQueryId, logged[0][1].dbQueryId)
+            // second attempt succeeded
+            assert.strictEqual(logged[3][1].dbQueryId, logged[2][1].dbQueryId)
+            assert.strictEqual(logged[3][1].dbResponseSuccess, true)
+        })
+    })
+
+    it('should reject after max retries', function () {
+        var attempts = 0
+        db.client.queryPromise = function () {
+            attempts++
+            return Promise.reject(sqlError(1205))
+        }
+
+        return db.query('SELECT 1', {}, {retry: {initialDelay: 1, retries: 2}})
+        .then(() => {
+            throw new Error('query should have been rejected')
+        }, err => {
+            assert.strictEqual(err.code, 1205)
+            assert.strictEqual(attempts, 3)
+        })
+    })
+
+    it('should not retry without retry option', function () {
+        var attempts = 0
+        db.client.queryPromise = function () {
+            attempts++
+            return Promise.reject(sqlError(1213))
+        }
+
+        return db.query('SELECT 1')
+        .catch(err => {
+            assert.strictEqual(err.code, 1213)
+            assert.strictEqual(attempts, 1)
+        })
+    })
+
+    it('should not retry on non-transient error', function () {
+        var attempts = 0
+        db.client.queryPromise = function () {
+            attempts++
+            return Promise.reject(sqlError(1064))
+        }
+
+        return db.query('SELECT 1', {}, {retry: true})
+        .catch(err => {
+            assert.strictEqual(err.code, 1064)
+            assert.strictEqual(attempts, 1)
+        })
+    })
+
+    it('should not retry query in transaction', function () {
+        var attempts = 0
+        db.client.queryPromise = function (query) {
+            if (query === 'SELECT 1') {
+                attempts++
+                return Promise.reject(sqlError(1213))
+            }
+            return Promise.resolve([])
+        }
+
+        return db.transaction(trx => trx.query('SELECT 1', {}, {retry: true}))
+        .catch(err => {
+            assert.strictEqual(err.code, 1213)
+            assert.strictEqual(attempts, 1)
+        })
+    })
+
+    it('should throw error on invalid retry option', function () {
+        assert.throws(function () { db.query('SELECT 1', {}, {retry: 'foo'}) }, Error)
+        assert.throws(function () { db.query('SELECT 1', {}, {retry: -1}) }, Error)
+    })
+
+    it('should reconnect when connection is lost', function () {
+        // wait for reconnect
+        var ready = new Promise(resolve => db.client.once('ready', resolve))
+        // simulate lost connection
+        db.client.connected = false
+        db.client.emit('close')
+        // reconnect should be scheduled
+        assert.isOk(db.reconnectTimer)
+        assert.strictEqual(db.reconnectAttempts, 1)
+
+        return ready.then(() => {
+            assert.isTrue(db.client.connected)
+            assert.strictEqual(db.reconnectAttempts, 0)
+            return db.query('SELECT 1 AS one')
+        })
+        .then(res => {
+            assert.deepEqual(res, [{one: '1'}])
+        })
+    })
+
+    it('should not reconnect after close', function () {
+        db.close()
+        db.client.emit('close')
+        assert.isUndefined(db.reconnectTimer)
+    })
+
+    it('should not reconnect when disabled', function () {
+        var db2 = memoryDriver.connect()
+        db2.client.connected = false
+        db2.client.emit('close')
+        assert.isUndefined(db2.reconnectTimer)
+        db2.close()
+    })
+
+})
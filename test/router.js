@@ -0,0 +1,181 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const ImmutableDatabaseMariaSQLRouter = require('../lib/immutable-database-mariasql-router')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+// connection params for each host - memory driver shares data by db name
+const routerConfig = {
+    primary: {charset: 'utf8', db: 'test', host: 'primary'},
+    replicas: [
+        {charset: 'utf8', db: 'test', host: 'replica1'},
+        {charset: 'utf8', db: 'test', host: 'replica2'},
+    ],
+}
+
+describe('immutable-database-mariasql: router', function () {
+
+    var logged, router
+
+    // get hosts from logged queries
+    function queryHosts () {
+        return logged.filter(record => record[0] === 'dbQuery').map(record => record[1].host)
+    }
+
+    // create error with mysql error code
+    function sqlError (code) {
+        var err = new Error('error '+code)
+        err.code = code
+        return err
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create router
+        router = ImmutableDatabaseMariaSQL.router(routerConfig, memoryDriver.options({}, (type, data) => logged.push([type, data])))
+
+        return router.query('CREATE TABLE foo (id INT)')
+        .then(() => {
+            logged = []
+        })
+    })
+
+    afterEach(function () {
+        router.close()
+    })
+
+    it('should send reads to replicas round-robin and writes to primary', function () {
+        return router.query('INSERT INTO foo VALUES(1)')
+        .then(() => router.query('SELECT * FROM foo'))
+        .then(() => router.query('  /* comment */ select id FROM foo'))
+        .then(() => router.query('SELECT * FROM foo'))
+        .then(res => {
+            assert.deepEqual(res, [{id: '1'}])
+            assert.deepEqual(queryHosts(), ['primary', 'replica1', 'replica2', 'replica1'])
+        })
+    })
+
+    it('should send reads to primary with primary option', function () {
+        return router.query('SELECT * FROM foo', {}, {primary: true})
+        .then(() => router.query('SELECT * FROM foo FOR UPDATE'))
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['primary', 'primary'])
+        })
+    })
+
+    it('should only send single reads without session state to replicas', function () {
+        var isRead = ImmutableDatabaseMariaSQLRouter.isRead
+
+        assert.isTrue(isRead('SELECT * FROM foo'))
+        assert.isTrue(isRead('(SELECT id FROM foo) UNION (SELECT id FROM bar)'))
+        assert.isTrue(isRead("SELECT 'FOR UPDATE', '@x', 'LAST_INSERT_ID()' FROM foo"))
+        // multiple statements and writes
+        assert.isFalse(isRead('SELECT 1; DELETE FROM foo'))
+        assert.isFalse(isRead('SELECT * FROM foo INTO OUTFILE "/tmp/foo"'))
+        assert.isFalse(isRead('SHOW TABLES'))
+        // locking reads
+        assert.isFalse(isRead('SELECT * FROM foo FOR UPDATE'))
+        assert.isFalse(isRead('SELECT * FROM foo FOR SHARE'))
+        assert.isFalse(isRead('SELECT * FROM foo LOCK IN SHARE MODE'))
+        // session and lock functions, variables and sequences
+        assert.isFalse(isRead('SELECT LAST_INSERT_ID()'))
+        assert.isFalse(isRead('SELECT found_rows()'))
+        assert.isFalse(isRead("SELECT GET_LOCK('foo', 10)"))
+        assert.isFalse(isRead("SELECT RELEASE_LOCK('foo')"))
+        assert.isFalse(isRead('SELECT @foo'))
+        assert.isFalse(isRead('SELECT * FROM foo WHERE id = @@insert_id'))
+        assert.isFalse(isRead('SELECT NEXTVAL(seq)'))
+        assert.isFalse(isRead('SELECT NEXT VALUE FOR seq'))
+    })
+
+    it('should run transactions on primary', function () {
+        return router.transaction(trx => trx.query('SELECT * FROM foo'))
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['primary', 'primary', 'primary'])
+        })
+    })
+
+    it('should skip replicas that are down', function () {
+        // simulate failed connection to first replica
+        router.replicas[0].connection.client.emit('error', sqlError(2003))
+
+        return router.query('SELECT * FROM foo')
+        .then(() => router.query('SELECT * FROM foo'))
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['replica2', 'replica2'])
+            // replica should be used again after it connects
+            router.replicas[0].connection.client.emit('ready')
+            return router.query('SELECT * FROM foo')
+        })
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['replica2', 'replica2', 'replica1'])
+        })
+    })
+
+    it('should fall back to primary when all replicas are down', function () {
+        router.replicas[0].connection.client.emit('error', sqlError(2003))
+        router.replicas[1].connection.client.emit('error', sqlError(2003))
+
+        return router.query('SELECT * FROM foo')
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['primary'])
+        })
+    })
+
+    it('should try next host when replica connection is lost during query', function () {
+        // fail query on first replica
+        router.replicas[0].connection.client.queryPromise = function () {
+            return Promise.reject(sqlError(2013))
+        }
+
+        return router.query('SELECT * FROM foo')
+        .then(res => {
+            assert.deepEqual(res, [])
+            assert.deepEqual(queryHosts(), ['replica1', 'replica2'])
+            assert.isFalse(router.replicas[0].healthy)
+        })
+    })
+
+    it('should not try next host on query error', function () {
+        return router.query('SELECT * FROM bar')
+        .then(() => {
+            throw new Error('query should have been rejected')
+        }, err => {
+            assert.strictEqual(err.code, 1146)
+            assert.deepEqual(queryHosts(), ['replica1'])
+            assert.isTrue(router.replicas[0].healthy)
+        })
+    })
+
+    it('should stream reads from replica', function () {
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            router.stream('SELECT * FROM foo')
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.deepEqual(queryHosts(), ['replica1'])
+        })
+    })
+
+    it('should create pool for each host with size option', function () {
+        var router2 = ImmutableDatabaseMariaSQL.router(routerConfig, memoryDriver.options({size: 2}))
+        assert.strictEqual(router2.primary.connection.connections.length, 2)
+        assert.strictEqual(router2.replicas.length, 2)
+        router2.close()
+    })
+
+    it('should throw error on invalid config', function () {
+        assert.throws(function () { ImmutableDatabaseMariaSQL.router({}) }, Error)
+        assert.throws(function () { ImmutableDatabaseMariaSQL.router({primary: {}, replicas: {}}) }, Error)
+    })
+
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const _ = require('lodash')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+describe('immutable-database-mariasql: shutdown', function () {
+
+    var db
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // create connection
+        db = memoryDriver.connect()
+
+        return db.query('CREATE TABLE foo (id INT)')
+    })
+
+    it('should resolve close when connection is closed', function () {
+        assert.strictEqual(db.getState(), 'ready')
+
+        var promise = db.close()
+
+        assert.strictEqual(db.getState(), 'closing')
+        // close can be called more than once
+        assert.strictEqual(db.close(), promise)
+
+        return promise.then(() => {
+            assert.strictEqual(db.getState(), 'closed')
+
+            return assert.isRejected(db.query('SELECT * FROM foo'), 'query error: connection closed')
+        })
+    })
+
+    it('should wait for transaction in progress before closing', function () {
+        var transaction = db.transaction(trx => {
+            return Promise.delay(20).then(() => trx.query('INSERT INTO foo VALUES(1)'))
+        })
+
+        return db.close().then(() => {
+            assert.isTrue(transaction.isFulfilled())
+            // data was committed
+            var other = memoryDriver.connect()
+
+            return other.query('SELECT * FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res.length, 1)
+        })
+    })
+
+    it('should destroy connection after timeout', function () {
+        var transaction = db.transaction(trx => {
+            return Promise.delay(100).then(() => trx.query('INSERT INTO foo VALUES(1)'))
+        })
+
+        return db.close({timeout: 10}).then(() => {
+            assert.strictEqual(db.getState(), 'closed')
+            assert.isTrue(transaction.isPending())
+
+            return assert.isRejected(transaction)
+        })
+    })
+
+    it('should close immediately when forced', function () {
+        return db.close(true).then(() => {
+            assert.strictEqual(db.getState(), 'closed')
+        })
+    })
+
+    it('should throw on invalid close timeout', function () {
+        assert.throws(() => db.close({timeout: -1}), 'connection error: close timeout must be number greater than or equal to 0')
+    })
+
+    it('should ping connection', function () {
+        return db.ping().then(res => {
+            assert.isTrue(res.healthy)
+            assert.isNumber(res.elapsedTime)
+            assert.strictEqual(res.state, 'ready')
+            // ping is not counted in stats
+            assert.strictEqual(db.getStats().queries, 1)
+        })
+    })
+
+    it('should not be healthy after close', function () {
+        return db.close().then(() => db.ping()).then(res => {
+            assert.isFalse(res.healthy)
+            assert.strictEqual(res.state, 'closed')
+        })
+    })
+
+    it('should close and ping pool', function () {
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({size: 2}))
+
+        return pool.ping().then(res => {
+            assert.isTrue(res.healthy)
+            assert.strictEqual(res.connections.length, 2)
+
+            return pool.close()
+        })
+        .then(() => {
+            assert.deepEqual(pool.connections.map(connection => connection.getState()), ['closed', 'closed'])
+        })
+    })
+
+    it('should get state and ping router', function () {
+        var router = ImmutableDatabaseMariaSQL.router({
+            primary: memoryDriver.connectionParams,
+            replicas: [memoryDriver.connectionParams],
+        }, memoryDriver.options({size: 2}))
+
+        assert.strictEqual(router.getState(), 'ready')
+        assert.strictEqual(router.primary.connection.getState(), 'ready')
+
+        return router.query('SELECT * FROM foo')
+        .then(() => router.ping())
+        .then(res => {
+            assert.isTrue(res.healthy)
+            assert.strictEqual(res.primary.connections.length, 2)
+            assert.strictEqual(res.replicas.length, 1)
+            // query was sent to replica
+            var stats = router.getStats()
+            assert.strictEqual(_.sumBy(stats.primary, 'queries'), 0)
+            assert.strictEqual(_.sumBy(stats.replicas[0], 'queries'), 1)
+
+            var closed = router.close()
+            assert.strictEqual(router.getState(), 'closing')
+
+            return closed
+        })
+        .then(() => {
+            assert.strictEqual(router.getState(), 'closed')
+            assert.strictEqual(router.replicas[0].connection.getState(), 'closed')
+        })
+    })
+
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const _ = require('lodash')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: stats', function () {
+
+    var db, logged
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create new connection using memory driver
+        db = memoryDriver.connect({slowQueryTime: 20}, (type, data) => logged.push([type, data]))
+        logged = []
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should log elapsed time on every response', function () {
+        return db.query('SELECT 1')
+        .then(() => db.query('SELECT * FROM bar').catch(() => {}))
+        .then(() => {
+            var responses = logged.filter(record => record[0] === 'dbResponse')
+            assert.strictEqual(responses.length, 2)
+            assert.isNumber(responses[0][1].elapsedTime)
+            assert.isNumber(responses[1][1].elapsedTime)
+        })
+    })
+
+    it('should count queries and errors by fingerprint', function () {
+        return Promise.all([
+            db.query('SELECT 1 AS one'),
+            db.query('SELECT  2 AS one'),
+            db.query('SELECT * FROM bar WHERE id = :id', {id: 1}).catch(() => {}),
+        ])
+        .then(() => {
+            var stats = db.getStats()
+            assert.strictEqual(stats.connectionId, db.connectionId)
+            assert.strictEqual(stats.queries, 3)
+            assert.strictEqual(stats.errors, 1)
+            assert.strictEqual(stats.inFlight, 0)
+            assert.deepEqual(Object.keys(stats.fingerprints), [
+                'SELECT ? AS one',
+                'SELECT * FROM bar WHERE id = ?',
+            ])
+            // validate fingerprint stats
+            var fingerprint = stats.fingerprints['SELECT ? AS one']
+            assert.strictEqual(fingerprint.count, 2)
+            assert.strictEqual(fingerprint.errors, 0)
+            assert.strictEqual(_.sum(_.values(fingerprint.histogram)), 2)
+            assert.isNumber(fingerprint.meanTime)
+        })
+    })
+
+    it('should count queries in flight', function () {
+        db.client.queryPromise = function () {
+            return Promise.delay(10).then(() => [])
+        }
+
+        var promise = db.query('SELECT 1')
+        assert.strictEqual(db.getStats().inFlight, 1)
+
+        return promise.then(() => {
+            assert.strictEqual(db.getStats().inFlight, 0)
+        })
+    })
+
+    it('should log slow queries', function () {
+        db.client.queryPromise = function () {
+            return Promise.delay(30).then(() => [])
+        }
+
+        return db.query('SELECT * FROM foo WHERE id = 1', {}, {}, {requestId: 'Bar'})
+        .then(() => {
+            assert.deepEqual(logged.map(record => record[0]), ['dbQuery', 'dbSlowQuery', 'dbResponse'])
+            var slowQuery = logged[1][1]
+            assert.strictEqual(slowQuery.dbQueryId, logged[0][1].dbQueryId)
+            assert.strictEqual(slowQuery.fingerprint, 'SELECT * FROM foo WHERE id = ?')
+            assert.strictEqual(slowQuery.requestId, 'Bar')
+            assert.isAtLeast(slowQuery.elapsedTime, 20)
+            assert.strictEqual(db.getStats().slowQueries, 1)
+        })
+    })
+
+    it('should get stats for pool connections', function () {
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({size: 2}))
+
+        return pool.query('SELECT 1')
+        .then(() => {
+            var stats = pool.getStats()
+            assert.deepEqual(stats.map(stats => stats.connectionNum), [0, 1])
+            assert.strictEqual(stats[0].queries, 1)
+            pool.close()
+        })
+    })
+
+    it('should throw error on invalid slowQueryTime', function () {
+        assert.throws(function () {
+            memoryDriver.connect({slowQueryTime: 'foo'})
+        }, Error)
+    })
+
+})
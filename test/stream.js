@@ -0,0 +1,155 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: stream', function () {
+
+    var db, logged
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // capture log records
+        logged = []
+        // create new connection using memory driver
+        db = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+        // create test table with data
+        return db.query('CREATE TABLE foo (id INT NOT NULL, bar VARCHAR(255))')
+        .then(() => {
+            return db.query("INSERT INTO foo VALUES(1, 'a'), (2, NULL), (3, 'c')")
+        })
+        .then(() => {
+            logged = []
+        })
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should stream formatted rows', function () {
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            db.stream('SELECT * FROM foo WHERE id > :id ORDER BY id', {id: 1})
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            // nulls should be converted to undefined
+            assert.deepEqual(rows, [
+                {id: '2', bar: undefined},
+                {id: '3', bar: 'c'},
+            ])
+        })
+    })
+
+    it('should be usable as async iterator', async function () {
+        var ids = []
+
+        for await (const row of db.stream('SELECT id FROM foo ORDER BY id')) {
+            ids.push(row.id)
+        }
+
+        assert.deepEqual(ids, ['1', '2', '3'])
+    })
+
+    it('should log row count and timing instead of data', function () {
+        return new Promise((resolve, reject) => {
+            db.stream('SELECT * FROM foo', {}, {}, {requestId: 'Bar'})
+            .on('data', () => {})
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.strictEqual(logged.length, 2)
+            // validate query
+            assert.strictEqual(logged[0][0], 'dbQuery')
+            assert.strictEqual(logged[0][1].requestId, 'Bar')
+            // validate response
+            assert.strictEqual(logged[1][0], 'dbResponse')
+            assert.strictEqual(logged[1][1].dbQueryId, logged[0][1].dbQueryId)
+            assert.strictEqual(logged[1][1].dbResponseSuccess, true)
+            assert.strictEqual(logged[1][1].rowCount, 3)
+            assert.isNumber(logged[1][1].elapsedTime)
+            assert.isUndefined(logged[1][1].data)
+            assert.strictEqual(logged[1][1].info.numRows, '3')
+        })
+    })
+
+    it('should emit and log error', function () {
+        return new Promise((resolve, reject) => {
+            db.stream('SELECT * FROM bar')
+            .on('data', () => {})
+            .on('end', () => reject(new Error('stream should have failed')))
+            .on('error', resolve)
+        })
+        .then(err => {
+            assert.strictEqual(err.code, 1146)
+            // validate response
+            assert.strictEqual(logged[1][0], 'dbResponse')
+            assert.strictEqual(logged[1][1].dbResponseSuccess, false)
+            assert.strictEqual(logged[1][1].data.code, 1146)
+            assert.strictEqual(logged[1][1].rowCount, 0)
+        })
+    })
+
+    it('should run next query after stream error', function () {
+        db.stream('SELECT * FROM bar').on('error', () => {})
+
+        return db.query('SELECT COUNT(*) AS count FROM foo').timeout(500)
+        .then(res => {
+            assert.strictEqual(res[0].count, '3')
+        })
+    })
+
+    it('should stream on pool connection', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({size: 1}))
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            pool.stream('SELECT id FROM foo ORDER BY id')
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.deepEqual(rows, [{id: '1'}, {id: '2'}, {id: '3'}])
+            // connection should be released
+            return pool.query('SELECT COUNT(*) AS count FROM foo')
+        })
+        .then(res => {
+            assert.strictEqual(res[0].count, '3')
+            pool.close()
+        })
+    })
+
+    it('should release pool connection if stream is destroyed before query', function () {
+        var pool = ImmutableDatabaseMariaSQL.pool(memoryDriver.connectionParams, memoryDriver.options({
+            size: 1,
+        }, (type, data) => logged.push([type, data])))
+        // destroy stream while waiting for connection
+        pool.stream('SELECT id FROM foo').on('error', () => {}).destroy()
+
+        return pool.query('SELECT COUNT(*) AS count FROM foo').timeout(500)
+        .then(res => {
+            assert.strictEqual(res[0].count, '3')
+            assert.strictEqual(pool.idleConnections.length, 1)
+            // streaming query should not be run
+            var queries = logged.filter(record => record[0] === 'dbQuery').map(record => record[1].query)
+            assert.deepEqual(queries, ['SELECT COUNT(*) AS count FROM foo'])
+            pool.close()
+        })
+    })
+
+    it('should throw error on invalid query arg', function () {
+        assert.throws(function () { db.stream(null) }, Error)
+        assert.throws(function () { db.stream('SELECT 1', null) }, Error)
+    })
+
+})
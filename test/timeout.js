@@ -0,0 +1,201 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+const util = require('util')
+
+/**
+ * @function SerialDriver
+ *
+ * memory driver that runs one query at a time like mariasql. each query
+ * takes the number of ms in its SLEEP() call. abort kills the query that is
+ * running and returns without calling callback if no query is running.
+ */
+function SerialDriver (config) {
+    ImmutableDatabaseMariaSQL.MemoryDriver.call(this, config)
+    // queries killed by abort
+    this.killed = []
+    // queries waiting to run
+    this.queue = []
+    // query that is running
+    this.running = undefined
+}
+
+util.inherits(SerialDriver, ImmutableDatabaseMariaSQL.MemoryDriver)
+
+SerialDriver.prototype.abort = function (callback) {
+    // nothing to kill
+    if (!this.running) {
+        return
+    }
+    // kill running query
+    var running = this.running
+    this.killed.push(running.query)
+    clearTimeout(running.timer)
+    setTimeout(() => {
+        var err = new Error('Query execution was interrupted')
+        err.code = 1317
+        this.finish(running, err)
+        callback()
+    }, 1)
+}
+
+SerialDriver.prototype.finish = function (job, err) {
+    this.running = undefined
+    err ? job.callback(err) : job.callback(null, [])
+    this.next()
+}
+
+SerialDriver.prototype.next = function () {
+    if (this.running || !this.queue.length) {
+        return
+    }
+    var job = this.running = this.queue.shift()
+    var sleep = job.query.match(/SLEEP\((\d+)\)/)
+    job.timer = setTimeout(() => this.finish(job), sleep ? parseInt(sleep[1]) : 0)
+}
+
+SerialDriver.prototype.query = function (query, values, options, callback) {
+    this.queue.push({callback: callback, query: query})
+    this.next()
+}
+
+describe('immutable-database-mariasql: timeout', function () {
+
+    var aborted, db, logged
+
+    // create connection with mocked slow query
+    function createConnection (options) {
+        var db = memoryDriver.connect(options, (type, data) => logged.push([type, data]))
+        // query takes 50ms
+        db.client.queryPromise = function () {
+            return Promise.delay(50).then(() => [])
+        }
+        // capture abort
+        db.client.abort = function (callback) {
+            aborted++
+            callback()
+        }
+
+        return db
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        aborted = 0
+        logged = []
+        db = createConnection()
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should reject and kill query after timeout', function () {
+        return db.query('SELECT SLEEP(1)', {}, {timeout: 10})
+        .then(() => {
+            throw new Error('query should have been rejected')
+        }, err => {
+            assert.strictEqual(err.code, 'ETIMEDOUT')
+            assert.strictEqual(err.timeout, 10)
+            assert.isTrue(err.isOperational)
+            // query should be killed on server
+            assert.strictEqual(aborted, 1)
+            // failed response should be logged
+            assert.strictEqual(logged[2][0], 'dbResponse')
+            assert.strictEqual(logged[2][1].dbResponseSuccess, false)
+            assert.strictEqual(logged[2][1].data.code, 'ETIMEDOUT')
+        })
+    })
+
+    it('should resolve if query completes before timeout', function () {
+        return db.query('SELECT 1', {}, {timeout: 500})
+        .then(res => {
+            assert.deepEqual(res, [])
+            assert.strictEqual(aborted, 0)
+        })
+    })
+
+    it('should use connection default timeout', function () {
+        var db2 = createConnection({timeout: 10})
+
+        return db2.query('SELECT SLEEP(1)')
+        .catch(err => err)
+        .then(err => {
+            assert.strictEqual(err.code, 'ETIMEDOUT')
+            // query option overrides default
+            return db2.query('SELECT SLEEP(1)', {}, {timeout: 0})
+        })
+        .then(res => {
+            assert.deepEqual(res, [])
+            db2.close()
+        })
+    })
+
+    it('should throw error on invalid timeout', function () {
+        assert.throws(function () { db.query('SELECT 1', {}, {timeout: -1}) }, Error)
+        assert.throws(function () { db.query('SELECT 1', {}, {timeout: '10'}) }, Error)
+        assert.throws(function () { createConnection({timeout: 1.5}) }, Error)
+    })
+
+    describe('with serial driver', function () {
+
+        var serialDb
+
+        beforeEach(function () {
+            serialDb = memoryDriver.connect({driver: SerialDriver}, () => {})
+        })
+
+        afterEach(function () {
+            serialDb.close()
+        })
+
+        it('should start timeout when query starts running', function () {
+            return Promise.all([
+                serialDb.query('SELECT SLEEP(40)'),
+                // would time out if time waiting for first query counted
+                serialDb.query('SELECT SLEEP(10)', {}, {timeout: 30}),
+            ])
+            .then(() => {
+                assert.deepEqual(serialDb.client.killed, [])
+            })
+        })
+
+        it('should only kill query that timed out', function () {
+            return Promise.all([
+                serialDb.query('SELECT SLEEP(40)'),
+                serialDb.query('SELECT SLEEP(50)', {}, {timeout: 10}).catch(err => err),
+                serialDb.query('SELECT SLEEP(1)'),
+            ])
+            .then(res => {
+                assert.deepEqual(res[0], [])
+                assert.strictEqual(res[1].code, 'ETIMEDOUT')
+                assert.deepEqual(res[2], [])
+                // first query was running when second was queued but must
+                // not be killed
+                assert.deepEqual(serialDb.client.killed, ['SELECT SLEEP(50)'])
+            })
+        })
+
+        it('should resolve abort if no query is running', function () {
+            return serialDb.abortQuery()
+        })
+
+        it('should resolve abort if query completes without abort callback', function () {
+            // query completes before abort reaches client
+            serialDb.client.abort = function () {}
+            var query = serialDb.query('SELECT SLEEP(10)')
+
+            return Promise.delay(1)
+            .then(() => serialDb.abortQuery())
+            .then(() => query)
+            .then(res => {
+                assert.deepEqual(res, [])
+            })
+        })
+
+    })
+
+})
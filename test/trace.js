@@ -0,0 +1,124 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const memoryDriver = require('./helpers/memory-driver')
+
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+const MemoryDriver = ImmutableDatabaseMariaSQL.MemoryDriver
+const sqlComment = ImmutableDatabaseMariaSQL.sqlComment
+
+// traceparent of parent span
+const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+
+describe('immutable-database-mariasql: trace', function () {
+
+    var db, logged, queries
+
+    // memory driver that records queries sent to server
+    function SpyDriver (config) {
+        MemoryDriver.call(this, config)
+    }
+    SpyDriver.prototype = Object.create(MemoryDriver.prototype)
+    SpyDriver.prototype.query = function (query) {
+        queries.push(query)
+        return MemoryDriver.prototype.query.apply(this, arguments)
+    }
+
+    // get logged records of type
+    function loggedRecords (type) {
+        return logged.filter(record => record[0] === type).map(record => record[1])
+    }
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        MemoryDriver.reset()
+        // capture log records and queries
+        logged = []
+        queries = []
+
+        db = memoryDriver.connect({
+            connectionName: 'main',
+            driver: SpyDriver,
+            sqlComment: true,
+        }, (type, data) => logged.push([type, data]))
+    })
+
+    it('should build sanitized comment', function () {
+        assert.strictEqual(
+            sqlComment({request_id: "a'b */ :c ?", route: '/foo', skip: undefined}),
+            "/*request_id='a%27b%20%2A%2F%20%3Ac%20%3F',route='%2Ffoo'*/"
+        )
+        assert.strictEqual(sqlComment({}), '')
+    })
+
+    it('should prepend comment to query', function () {
+        return db.query('SELECT :one AS one', {one: 1}, {}, {moduleCallId: 'Foo', requestId: 'Bar'}).then(res => {
+            assert.strictEqual(res[0].one, '1')
+            assert.deepEqual(queries, ["/*connection_name='main',module_call_id='Foo',request_id='Bar'*/ SELECT :one AS one"])
+            // logged query does not have comment
+            assert.strictEqual(loggedRecords('dbQuery')[0].query, 'SELECT :one AS one')
+        })
+    })
+
+    it('should not add comment if disabled for query', function () {
+        return db.query('SELECT 1', {}, {sqlComment: false}, {requestId: 'Bar'}).then(() => {
+            assert.deepEqual(queries, ['SELECT 1'])
+        })
+    })
+
+    it('should log span for query with traceparent', function () {
+        return db.query('SELECT 1', {}, {}, {requestId: 'Bar', traceparent: traceparent}).then(() => {
+            var span = loggedRecords('dbQuerySpan')[0]
+
+            assert.strictEqual(span.dbQueryId, loggedRecords('dbQuery')[0].dbQueryId)
+            assert.strictEqual(span.traceId, '0af7651916cd43dd8448eb211c80319c')
+            assert.strictEqual(span.parentSpanId, 'b7ad6b7169203331')
+            assert.match(span.spanId, /^[0-9a-f]{16}$/)
+            assert.notEqual(span.spanId, span.parentSpanId)
+            assert.strictEqual(span.traceFlags, '01')
+            assert.isTrue(span.success)
+            assert.isNumber(span.elapsedTime)
+            assert.isTrue(span.startTime <= span.endTime)
+            // child span is sent to server
+            assert.include(queries[0], "traceparent='00-0af7651916cd43dd8448eb211c80319c-"+span.spanId+"-01'")
+        })
+    })
+
+    it('should log failed span', function () {
+        return assert.isRejected(db.query('SELECT * FROM missing', {}, {}, {traceparent: traceparent})).then(() => {
+            assert.isFalse(loggedRecords('dbQuerySpan')[0].success)
+        })
+    })
+
+    it('should log span for stream', function () {
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            db.stream('SELECT 1 AS one', {}, {}, {traceparent: traceparent})
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.strictEqual(rows.length, 1)
+            assert.isTrue(loggedRecords('dbQuerySpan')[0].success)
+            assert.match(queries[0], /^\/\*connection_name='main',traceparent='00-[0-9a-f]{32}-[0-9a-f]{16}-01'\*\/ SELECT 1 AS one$/)
+        })
+    })
+
+    it('should ignore invalid traceparent', function () {
+        assert.isUndefined(sqlComment.parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01'))
+        assert.isUndefined(sqlComment.parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'))
+        assert.isUndefined(sqlComment.parseTraceparent('invalid'))
+
+        return db.query('SELECT 1', {}, {}, {traceparent: 'invalid'}).then(() => {
+            assert.lengthOf(loggedRecords('dbQuerySpan'), 0)
+            assert.deepEqual(queries, ["/*connection_name='main'*/ SELECT 1"])
+        })
+    })
+
+})
@@ -0,0 +1,171 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const MockLogClient = require('../mock/mock-log-client')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+
+const dbHost = process.env.DB_HOST || 'localhost'
+const dbName = process.env.DB_NAME || 'test'
+const dbPass = process.env.DB_PASS || ''
+const dbUser = process.env.DB_USER || 'root'
+
+// use the same params for all connections
+const connectionParams = {
+    charset: 'utf8',
+    db: dbName,
+    host: dbHost,
+    password: dbPass,
+    user: dbUser,
+}
+
+describe('immutable-database-mariasql: transaction', function () {
+
+    var db, logged, queries
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        // capture log records and queries
+        logged = []
+        queries = []
+        // create mock log client
+        var mockLogClient = new MockLogClient({
+            log: function (type, data) {
+                logged.push([type, data])
+            },
+        })
+        // create new connection
+        db = new ImmutableDatabaseMariaSQL(connectionParams, {
+            logClient: mockLogClient,
+        })
+        // override client query method to capture queries
+        db.client.queryPromise = function (query) {
+            queries.push(query)
+            return Promise.delay(1).then(() => [])
+        }
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should commit when function resolves', function () {
+        return db.transaction(trx => {
+            return trx.query('INSERT INTO foo VALUES(1)').then(() => 'done')
+        })
+        .then(res => {
+            // should resolve with function result
+            assert.strictEqual(res, 'done')
+            // validate queries
+            assert.deepEqual(queries, [
+                'START TRANSACTION',
+                'INSERT INTO foo VALUES(1)',
+                'COMMIT',
+            ])
+        })
+    })
+
+    it('should rollback when function rejects', function () {
+        return db.transaction(trx => {
+            return trx.query('INSERT INTO foo VALUES(1)').then(() => {
+                throw new Error('transaction error')
+            })
+        })
+        .then(() => {
+            throw new Error('transaction should have been rejected')
+        }, err => {
+            // should reject with original error
+            assert.strictEqual(err.message, 'transaction error')
+            // validate queries
+            assert.deepEqual(queries, [
+                'START TRANSACTION',
+                'INSERT INTO foo VALUES(1)',
+                'ROLLBACK',
+            ])
+        })
+    })
+
+    it('should log transaction id with queries and responses', function () {
+        var dbTransactionId
+        // perform transaction with session
+        return db.transaction(trx => {
+            dbTransactionId = trx.dbTransactionId
+            return trx.query('SELECT 1')
+        }, {requestId: 'Bar'})
+        .then(() => {
+            // skip connection log
+            var records = logged.slice(1)
+            // start, select, commit each produce query and response
+            assert.strictEqual(records.length, 6)
+            records.forEach(record => {
+                assert.strictEqual(record[1].dbTransactionId, dbTransactionId)
+            })
+            // session should be logged with queries
+            assert.strictEqual(records[2][0], 'dbQuery')
+            assert.strictEqual(records[2][1].query, 'SELECT 1')
+            assert.strictEqual(records[2][1].requestId, 'Bar')
+        })
+    })
+
+    it('should make other queries wait for transaction', function () {
+        // start transaction
+        var promise = db.transaction(trx => {
+            return trx.query('INSERT INTO foo VALUES(1)')
+        })
+        // query outside of transaction
+        var query = db.query('SELECT 1')
+        // wait for both
+        return Promise.all([promise, query]).then(() => {
+            // query should be run after transaction is committed
+            assert.deepEqual(queries, [
+                'START TRANSACTION',
+                'INSERT INTO foo VALUES(1)',
+                'COMMIT',
+                'SELECT 1',
+            ])
+        })
+    })
+
+    it('should not allow queries after transaction complete', function () {
+        var transaction
+        // perform transaction
+        return db.transaction(trx => {
+            transaction = trx
+            return Promise.resolve()
+        })
+        .then(() => {
+            assert.throws(function () { transaction.query('SELECT 1') }, Error)
+        })
+    })
+
+    it('should run transaction on pool connection', function () {
+        // create pool
+        var pool = ImmutableDatabaseMariaSQL.pool(connectionParams, {size: 1})
+        // capture queries
+        var poolQueries = []
+        pool.connections[0].client.queryPromise = function (query) {
+            poolQueries.push(query)
+            return Promise.delay(1).then(() => [])
+        }
+        // perform transaction and query outside of transaction
+        return Promise.all([
+            pool.transaction(trx => trx.query('INSERT INTO foo VALUES(1)')),
+            pool.query('SELECT 1'),
+        ])
+        .then(() => {
+            assert.deepEqual(poolQueries, [
+                'START TRANSACTION',
+                'INSERT INTO foo VALUES(1)',
+                'COMMIT',
+                'SELECT 1',
+            ])
+            pool.close()
+        })
+    })
+
+    it('should throw error on invalid function arg', function () {
+        assert.throws(function () { db.transaction() }, Error)
+        assert.throws(function () { db.transaction('foo') }, Error)
+    })
+
+})
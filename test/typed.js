@@ -0,0 +1,174 @@
+'use strict'
+
+const ImmutableDatabaseMariaSQL = require('../lib/immutable-database-mariasql')
+const Promise = require('bluebird')
+const assert = require('chai').assert
+const memoryDriver = require('./helpers/memory-driver')
+
+describe('immutable-database-mariasql: typed results', function () {
+
+    var db
+
+    beforeEach(function () {
+        ImmutableDatabaseMariaSQL.reset()
+        ImmutableDatabaseMariaSQL.MemoryDriver.reset()
+        // create new connection with typed results
+        db = memoryDriver.connect({typed: {json: ['data']}})
+        // create test table with data
+        return db.query(`
+            CREATE TABLE foo (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                big BIGINT,
+                price DECIMAL(10,2),
+                active TINYINT(1),
+                created DATETIME,
+                data TEXT,
+                hash VARBINARY(16),
+                name VARCHAR(255),
+                PRIMARY KEY (id)
+            )
+        `)
+        .then(() => {
+            return db.query(
+                'INSERT INTO foo (big, price, active, created, data, hash, name) VALUES(:big, :price, :active, :created, :data, :hash, :name), (NULL, NULL, NULL, NULL, NULL, NULL, NULL)',
+                {
+                    active: 1,
+                    big: '9007199254740993',
+                    created: '2017-01-02 03:04:05.678',
+                    data: '{"foo":[1,2]}',
+                    hash: 'ÿ\u0000',
+                    name: 'a',
+                    price: '1.50',
+                }
+            )
+        })
+    })
+
+    afterEach(function () {
+        db.close()
+    })
+
+    it('should convert values to native types', function () {
+        return db.query('SELECT * FROM foo ORDER BY id')
+        .then(res => {
+            var row = res[0]
+            assert.strictEqual(row.id, 1)
+            // bigint is string by default to avoid losing precision
+            assert.strictEqual(row.big, '9007199254740993')
+            assert.strictEqual(row.price, 1.5)
+            // tinyint is number by default
+            assert.strictEqual(row.active, 1)
+            assert.instanceOf(row.created, Date)
+            assert.strictEqual(row.created.getTime(), new Date(2017, 0, 2, 3, 4, 5, 678).getTime())
+            assert.deepEqual(row.data, {foo: [1, 2]})
+            assert.isTrue(Buffer.isBuffer(row.hash))
+            assert.deepEqual(Array.from(row.hash), [255, 0])
+            assert.strictEqual(row.name, 'a')
+            // nulls are still undefined
+            assert.deepEqual(res[1], {
+                id: 2,
+                big: undefined,
+                price: undefined,
+                active: undefined,
+                created: undefined,
+                data: undefined,
+                hash: undefined,
+                name: undefined,
+            })
+            // info should be numeric
+            assert.strictEqual(res.info.numRows, 2)
+            assert.strictEqual(res.info.affectedRows, 2)
+            assert.strictEqual(res.info.insertId, 0)
+            // metadata was not requested
+            assert.isUndefined(res.info.metadata)
+        })
+    })
+
+    it('should make info numeric for insert', function () {
+        return db.query("INSERT INTO foo (name) VALUES('b')")
+        .then(res => {
+            assert.strictEqual(res.info.affectedRows, 1)
+            assert.strictEqual(res.info.insertId, 3)
+        })
+    })
+
+    it('should convert insert id that is not safe integer like bigint', function () {
+        var info = {insertId: '9007199254740993'}
+        new ImmutableDatabaseMariaSQL.TypeConverter().convertInfo(info)
+        assert.strictEqual(info.insertId, '9007199254740993')
+
+        info = {insertId: '9007199254740993'}
+        new ImmutableDatabaseMariaSQL.TypeConverter({bigint: 'bigint'}).convertInfo(info)
+        assert.strictEqual(info.insertId, BigInt('9007199254740993'))
+    })
+
+    it('should convert with query options', function () {
+        return db.query('SELECT id, big, active, created FROM foo WHERE id = 1', {}, {
+            metadata: true,
+            typed: {bigint: 'bigint', date: 'string', timezone: 'utc', tinyint: 'boolean'},
+        })
+        .then(res => {
+            assert.deepEqual(res[0], {
+                id: 1,
+                big: BigInt('9007199254740993'),
+                active: true,
+                created: '2017-01-02T03:04:05.678Z',
+            })
+            // metadata was requested
+            assert.strictEqual(res.info.metadata.id.type, 'INTEGER')
+        })
+    })
+
+    it('should convert array rows', function () {
+        return db.query('SELECT id, price FROM foo WHERE id = 1', {}, {useArray: true})
+        .then(res => {
+            assert.deepEqual(res[0], [1, 1.5])
+        })
+    })
+
+    it('should not convert when disabled for query', function () {
+        return db.query('SELECT id, active FROM foo WHERE id = 1', {}, {typed: false})
+        .then(res => {
+            assert.deepEqual(res[0], {id: '1', active: '1'})
+            assert.strictEqual(res.info.numRows, '1')
+        })
+    })
+
+    it('should log data as returned by server', function () {
+        var logged = []
+        // create connection with log client
+        var db2 = memoryDriver.connect({}, (type, data) => logged.push([type, data]))
+
+        return db2.query('SELECT id FROM foo WHERE id = 1', {}, {typed: true})
+        .then(res => {
+            assert.deepEqual(res, [{id: 1}])
+            // logged options should not include metadata added for conversion
+            assert.isUndefined(logged[1][1].options.metadata)
+            db2.close()
+        })
+    })
+
+    it('should stream typed rows', function () {
+        var rows = []
+
+        return new Promise((resolve, reject) => {
+            db.stream('SELECT id, active FROM foo ORDER BY id')
+            .on('data', row => rows.push(row))
+            .on('end', resolve)
+            .on('error', reject)
+        })
+        .then(() => {
+            assert.deepEqual(rows, [
+                {id: 1, active: 1},
+                {id: 2, active: undefined},
+            ])
+        })
+    })
+
+    it('should throw error on invalid typed option', function () {
+        assert.throws(function () { db.query('SELECT 1', {}, {typed: 'foo'}) }, Error)
+        assert.throws(function () { db.query('SELECT 1', {}, {typed: {bigint: 'foo'}}) }, Error)
+        assert.throws(function () { db.query('SELECT 1', {}, {typed: {json: 'data'}}) }, Error)
+    })
+
+})